@@ -0,0 +1,69 @@
+/**
+ * Script to check password and token verification offline
+ *
+ * Hashes a password the way the main app stores it and checks that only the
+ * right password matches, that malformed stored hashes never match, and that
+ * tokens are rejected once tampered with, expired, or checked against another
+ * secret.
+ *
+ * Usage: node check-auth.js
+ */
+
+import assert from 'assert';
+import { AuthError, hashPassword, signToken, verifyPassword, verifyToken } from './server/auth.js';
+
+const SECRET = 'check-auth-secret';
+
+async function checkPasswords() {
+  const stored = await hashPassword('correct horse');
+  assert.strictEqual(await verifyPassword('correct horse', stored), true);
+  assert.strictEqual(await verifyPassword('wrong horse', stored), false);
+
+  const [hash, salt] = stored.split('.');
+  const malformed = {
+    'one hex character': `a.${salt}`,
+    'odd number of hex characters': `${hash.slice(0, 127)}.${salt}`,
+    'short hash': `${hash.slice(0, 64)}.${salt}`,
+    'non-hex hash': `${'z'.repeat(128)}.${salt}`,
+    'missing salt': hash,
+    'empty value': '',
+    'null value': null
+  };
+  for (const [label, value] of Object.entries(malformed)) {
+    assert.strictEqual(await verifyPassword('anything', value), false, `${label} should never match`);
+    console.log(`  Rejected stored hash with ${label}`);
+  }
+  console.log('✅ Passwords only match their own well-formed hash');
+}
+
+function expectAuthError(fn, message, label) {
+  assert.throws(fn, error => error instanceof AuthError && error.message === message, label);
+  console.log(`  Rejected ${label}: ${message}`);
+}
+
+function checkTokens() {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const { token } = signToken(42, SECRET, { ttlSeconds: 60, now });
+  assert.strictEqual(verifyToken(token, SECRET, { now }), 42);
+
+  const [header, payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: '1', iat: 0, exp: 4102444800 })).toString('base64url');
+  expectAuthError(() => verifyToken(`${header}.${forged}.${signature}`, SECRET, { now }), 'Invalid token signature', 'tampered payload');
+  expectAuthError(() => verifyToken(`${header}.${payload}.${signature.slice(0, -2)}xx`, SECRET, { now }), 'Invalid token signature', 'tampered signature');
+  expectAuthError(() => verifyToken(token, 'another-secret', { now }), 'Invalid token signature', 'wrong secret');
+  expectAuthError(() => verifyToken(token, SECRET, { now: new Date(now.getTime() + 61 * 1000) }), 'Token has expired', 'expired token');
+  expectAuthError(() => verifyToken('not-a-token', SECRET, { now }), 'Malformed token', 'malformed token');
+
+  console.log('✅ Tokens only verify unaltered, unexpired and with their own secret');
+}
+
+async function checkAuth() {
+  console.log('Checking password and token verification...');
+  await checkPasswords();
+  checkTokens();
+}
+
+checkAuth().catch(error => {
+  console.error('❌ Auth check failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+/**
+ * Script to check the FHIR Observation import/export round trip offline
+ *
+ * Reads the fixture bundle in server/fixtures, stores each observation the way
+ * the importer would (without a database), exports those rows as a new bundle,
+ * and checks that reading the export back yields the same rows.
+ *
+ * Usage: node check-fhir-roundtrip.js [bundle.json]
+ */
+
+import fs from 'fs';
+import assert from 'assert';
+import { parseObservationBundle, buildObservationBundle } from './server/fhir.js';
+import { prepareMetricForWrite } from './server/health-metrics.js';
+import { prepareBloodworkForWrite } from './server/bloodwork.js';
+
+const DEFAULT_FIXTURE = './server/fixtures/fhir-observation-bundle.json';
+
+/**
+ * Store parsed observations as they would be written to the database
+ */
+function toRows(parsed) {
+  return {
+    metrics: parsed.metrics.map((entry, i) => ({ id: `metric-${i}`, ...prepareMetricForWrite(entry) })),
+    bloodwork: parsed.bloodwork.map((entry, i) => ({ id: `lab-${i}`, ...prepareBloodworkForWrite(entry) }))
+  };
+}
+
+// Ids are new on each import and reportedStatus is not stored
+function withoutIds(rows) {
+  return rows.map(({ id, icon, reportedStatus, ...row }) => row);
+}
+
+function checkFhirRoundTrip() {
+  const fixturePath = process.argv[2] || DEFAULT_FIXTURE;
+  console.log(`Checking FHIR round trip with ${fixturePath}...`);
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const imported = parseObservationBundle(fixture);
+  console.log(`Fixture: ${imported.metrics.length} metrics, ${imported.bloodwork.length} lab results, ${imported.unmapped.length} unmapped`);
+  imported.unmapped.forEach(item => console.log(`- Unmapped: ${item.system} ${item.code} (${item.display})`));
+
+  const rows = toRows(imported);
+  rows.metrics.forEach(row => console.log(`  ${row.type}: ${row.value} ${row.unit} @ ${row.date}`));
+  rows.bloodwork.forEach(row => console.log(`  ${row.type}: ${row.value} ${row.unit} [${row.min}-${row.max}] ${row.status || ''} @ ${row.date}`));
+
+  const exported = buildObservationBundle({ userId: 1, ...rows });
+  assert.strictEqual(exported.resourceType, 'Bundle');
+  assert.strictEqual(exported.entry.length, rows.metrics.length + rows.bloodwork.length);
+
+  const reimported = toRows(parseObservationBundle(JSON.parse(JSON.stringify(exported))));
+  assert.deepStrictEqual(withoutIds(reimported.metrics), withoutIds(rows.metrics));
+  assert.deepStrictEqual(withoutIds(reimported.bloodwork), withoutIds(rows.bloodwork));
+  assert.strictEqual(parseObservationBundle(exported).unmapped.length, 0);
+
+  console.log('✅ Export and re-import produced identical metric and bloodwork rows');
+}
+
+try {
+  checkFhirRoundTrip();
+} catch (error) {
+  console.error('❌ FHIR round trip check failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,66 @@
+/**
+ * Script to check the lab report parser offline
+ *
+ * Parses the sample report in server/fixtures (or a text report given on the
+ * command line), prints the draft a reviewer would see, and checks that every
+ * matched row converts cleanly into a bloodwork_results row.
+ *
+ * Usage: node check-lab-report-parser.js [report.txt]
+ */
+
+import fs from 'fs';
+import assert from 'assert';
+import { parseLabReportText } from './server/lab-report-import.js';
+import { prepareBloodworkForWrite } from './server/bloodwork.js';
+
+const DEFAULT_FIXTURE = './server/fixtures/lab-report.txt';
+
+// Rows the sample report must produce, as stored
+const EXPECTED = {
+  'Cholesterol': { value: '182', max: '200', status: 'normal' },
+  'HDL Cholesterol': { value: '61', min: '50', status: 'normal' },
+  'LDL Cholesterol': { value: '112', status: 'high' },
+  'Iron': { value: '38', min: '40', max: '190', status: 'low' },
+  'Ferritin': { value: '8', min: '16', max: '154', status: 'low' },
+  'Vitamin D': { value: '18', min: '30', max: '100', status: 'low' },
+  'HbA1c': { value: '5.4', max: '5.7', status: 'normal' },
+  'TSH': { value: '1.92', min: '0.4', max: '4.5', status: 'normal' }
+};
+
+function checkLabReportParser() {
+  const fixturePath = process.argv[2] || DEFAULT_FIXTURE;
+  console.log(`Checking lab report parser with ${fixturePath}...`);
+
+  const draft = parseLabReportText(fs.readFileSync(fixturePath, 'utf8'));
+  console.log(`Collected: ${draft.collectedAt}, ${draft.results.length} results, ${draft.unmatched.length} unmatched lines`);
+
+  const rows = {};
+  for (const result of draft.results) {
+    const row = prepareBloodworkForWrite({ ...result, type: result.analyte, date: draft.collectedAt }, { sex: 'female', age: 37 });
+    rows[row.type] = row;
+    const warnings = result.warnings.length > 0 ? ` ⚠ ${result.warnings.join('; ')}` : '';
+    console.log(`  line ${result.line}: ${row.type} ${row.value} ${row.unit} [${row.min ?? ''}-${row.max ?? ''}] ${row.status}${warnings}`);
+  }
+  draft.unmatched.forEach(item => console.log(`- Unmatched line ${item.line}: ${item.text}`));
+
+  if (process.argv[2]) return;
+
+  assert.strictEqual(draft.collectedAt, '2026-09-14');
+  assert.strictEqual(draft.results.length, 16);
+  assert.strictEqual(draft.unmatched.length, 0);
+  for (const [type, expected] of Object.entries(EXPECTED)) {
+    assert.ok(rows[type], `${type} was not found`);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.strictEqual(rows[type][field], value, `${type} ${field}`);
+    }
+  }
+
+  console.log('✅ Sample report parsed into the expected bloodwork rows');
+}
+
+try {
+  checkLabReportParser();
+} catch (error) {
+  console.error('❌ Lab report parser check failed:', error.message);
+  process.exit(1);
+}
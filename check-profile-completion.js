@@ -2,6 +2,7 @@
  * Script to diagnose profile completion issues
  */
 import pg from 'pg';
+import { ESSENTIAL_METRICS, getMetricSpellings, getCanonicalName } from './server/metric-registry.js';
 
 async function checkProfileCompletion() {
   console.log('Checking health profile completion status...');
@@ -40,19 +41,19 @@ async function checkProfileCompletion() {
     console.log(`Health questionnaire exists: ${questionnaireExists}`);
     
     // Step 3: Check essential health metrics
-    const essentialMetrics = ['sleep-duration', 'stress-level', 'exercise-frequency', 'weight'];
+    const essentialMetrics = ESSENTIAL_METRICS.map(metric => metric.name);
     const metricsResult = await pool.query(
       `SELECT type FROM health_metrics WHERE user_id = $1 AND type = ANY($2)`,
-      [userId, essentialMetrics]
+      [userId, essentialMetrics.flatMap(getMetricSpellings)]
     );
     
-    const uniqueMetrics = new Set(metricsResult.rows.map(row => row.type));
+    const uniqueMetrics = new Set(metricsResult.rows.map(row => getCanonicalName(row.type)));
     console.log(`Found ${uniqueMetrics.size} of ${essentialMetrics.length} essential metrics:`);
     essentialMetrics.forEach(metric => {
       console.log(`- ${metric}: ${uniqueMetrics.has(metric) ? '✅ Present' : '❌ Missing'}`);
     });
     
-    const hasEssentialMetrics = uniqueMetrics.size >= 4;
+    const hasEssentialMetrics = uniqueMetrics.size >= essentialMetrics.length;
     console.log(`Has all essential metrics: ${hasEssentialMetrics}`);
     
     // Overall profile status
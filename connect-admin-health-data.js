@@ -8,6 +8,7 @@
 
 import { db } from './server/db.js';
 import { v4 as uuidv4 } from 'uuid';
+import { getMetricDefaults, getCanonicalName } from './server/metric-registry.js';
 
 async function connectAdminHealthData() {
   try {
@@ -83,67 +84,55 @@ async function connectAdminHealthData() {
       // 3. Check and create essential health metrics with standardized types
       const essentialMetrics = [
         {
-          type: 'Weight',
+          ...getMetricDefaults('Weight'),
           value: '70',
-          unit: 'kg',
-          icon: 'ri-scales-2-line',
           progress: 75,
           goal: '65-75'
         },
         {
-          type: 'Sleep Duration',
+          ...getMetricDefaults('Sleep Duration'),
           value: '7.5',
-          unit: 'hr',
-          icon: 'ri-zzz-line',
           progress: 80,
           goal: '7-9'
         },
         {
-          type: 'Stress Level',
+          ...getMetricDefaults('Stress Level'),
           value: '3',
-          unit: 'score',
-          icon: 'ri-mental-health-line',
           progress: 70,
           goal: '2-4'
         },
         {
-          type: 'Exercise Frequency',
+          ...getMetricDefaults('Exercise Frequency'),
           value: '3',
-          unit: 'days/week',
-          icon: 'ri-run-line',
           progress: 65,
           goal: '3-5'
         },
         {
-          type: 'Heart Rate',
+          ...getMetricDefaults('Heart Rate'),
           value: '72',
-          unit: 'bpm',
-          icon: 'ri-heart-pulse-line',
           progress: 80,
           goal: '60-100'
         },
         {
-          type: 'Water Intake',
+          ...getMetricDefaults('Water Intake'),
           value: '2.5',
-          unit: 'L',
-          icon: 'ri-drop-line',
           progress: 70,
           goal: '2-3'
         }
       ];
       
-      // Get existing metrics - case insensitive comparison
+      // Get existing metrics - compared by canonical registry name
       const existingMetricsResult = await db.query(
-        `SELECT id, type, lower(type) as type_lower FROM health_metrics WHERE user_id = $1`,
+        `SELECT id, type FROM health_metrics WHERE user_id = $1`,
         [adminUser.id]
       );
       
       console.log(`Found ${existingMetricsResult.rows.length} existing health metrics for admin.`);
       
-      // Create a map of existing metrics by lowercase type
+      // Create a map of existing metrics by canonical type
       const existingMetricsByType = {};
       existingMetricsResult.rows.forEach(metric => {
-        existingMetricsByType[metric.type_lower] = metric;
+        existingMetricsByType[getCanonicalName(metric.type)] = metric;
       });
       
       let metricsAdded = 0;
@@ -151,9 +140,9 @@ async function connectAdminHealthData() {
       
       // Add missing essential metrics
       for (const metric of essentialMetrics) {
-        const metricTypeLower = metric.type.toLowerCase();
+        const existingMetric = existingMetricsByType[metric.type];
         
-        if (!existingMetricsByType[metricTypeLower]) {
+        if (!existingMetric) {
           // Create new metric
           await db.query(
             `INSERT INTO health_metrics (id, user_id, type, value, unit, icon, progress, goal, date)
@@ -175,8 +164,6 @@ async function connectAdminHealthData() {
           console.log(`Added missing essential metric: ${metric.type}`);
         } else {
           // Update existing metric to ensure proper case and values
-          const existingMetric = existingMetricsByType[metricTypeLower];
-          
           await db.query(
             `UPDATE health_metrics 
              SET type = $1, value = $2, unit = $3, icon = $4, progress = $5, goal = $6
@@ -1,130 +1,312 @@
 /**
  * Database Migration Script for Health Metric Format Standardization
- * 
- * This script converts all health metrics in the database from the old lowercase
- * hyphenated format (e.g., "sleep-duration") to the new capitalized proper names format
- * (e.g., "Sleep Duration").
+ *
+ * This script converts health_metrics.type from legacy spellings (e.g. the
+ * lowercase hyphenated "sleep-duration") to the registry display name
+ * (e.g. "Sleep Duration").
+ *
+ * The migration is idempotent: rows already stored under their display name
+ * are left alone, so it can be re-run after a partial run. Every change is
+ * recorded in a journal so a run can be rolled back.
+ *
+ * Usage:
+ *   node convert-metric-formats.js                  Apply the migration
+ *   node convert-metric-formats.js --dry-run        Show the changes without writing
+ *   node convert-metric-formats.js --list           List recorded migration runs
+ *   node convert-metric-formats.js --rollback <id>  Restore the types changed by a run
+ *   --batch-size <n>                                Rows per UPDATE (default 500)
  */
 
 import pg from 'pg';
+import { v4 as uuidv4 } from 'uuid';
+import { getMetricType } from './server/metric-registry.js';
 
-// Format mapping from old to new
-const formatMapping = {
-  // Essential metrics
-  'weight': 'Weight',
-  'sleep-duration': 'Sleep Duration',
-  'stress-level': 'Stress Level',
-  'exercise-frequency': 'Exercise Frequency',
-  
-  // Additional metrics
-  'heart-rate': 'Heart Rate',
-  'blood-pressure': 'Blood Pressure',
-  'body-temperature': 'Body Temperature',
-  'respiratory-rate': 'Respiratory Rate',
-  'oxygen-saturation': 'Oxygen Saturation',
-  'heart-rate-variability': 'Heart Rate Variability',
-  'resting-heart-rate': 'Resting Heart Rate',
-  'vo2-max': 'VO2 Max',
-  'active-minutes': 'Active Minutes',
-  'exercise-duration': 'Exercise Duration',
-  'water-intake': 'Water Intake',
-  'calorie-intake': 'Calorie Intake',
-  'protein-intake': 'Protein Intake',
-  'carb-intake': 'Carbohydrate Intake',
-  'fat-intake': 'Fat Intake',
-  'deep-sleep': 'Deep Sleep',
-  'rem-sleep': 'REM Sleep',
-  'sleep-score': 'Sleep Score',
-  'recovery-score': 'Recovery Score',
-  'bmi': 'BMI',
-  'body-fat': 'Body Fat',
-  'lean-mass': 'Lean Mass',
-  'visceral-fat': 'Visceral Fat',
-  'mood': 'Mood',
-  'meditation': 'Meditation',
-  'anxiety-level': 'Anxiety Level',
-  'biological-age': 'Biological Age',
-  'longevity-score': 'Longevity Score',
-  'energy-level': 'Energy Level',
-  'testosterone': 'Testosterone',
-  'cortisol': 'Cortisol'
-};
+const MIGRATION_NAME = 'metric-type-display-names';
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const options = { dryRun: false, list: false, rollback: null, batchSize: DEFAULT_BATCH_SIZE };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--list') {
+      options.list = true;
+    } else if (arg === '--rollback') {
+      options.rollback = argv[++i];
+      if (!options.rollback) throw new Error('--rollback needs a migration id (see --list)');
+    } else if (arg === '--batch-size') {
+      options.batchSize = parseInt(argv[++i]);
+      if (!(options.batchSize > 0)) throw new Error('--batch-size needs a positive number');
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Create the journal tables if they do not exist yet
+ */
+async function ensureJournalTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS metric_migrations (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      completed_at TIMESTAMP,
+      rolled_back_at TIMESTAMP,
+      rows_changed INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS metric_migration_journal (
+      migration_id TEXT NOT NULL REFERENCES metric_migrations(id),
+      metric_id TEXT NOT NULL,
+      old_type TEXT NOT NULL,
+      new_type TEXT NOT NULL
+    )
+  `);
+}
+
+/**
+ * Work out which types need to change. Returns the planned changes grouped by
+ * (old type → new type), the unmapped types and the number of rows already done.
+ */
+function planMigration(typeCounts) {
+  const changes = [];
+  const unmapped = [];
+  let alreadyConverted = 0;
+
+  for (const { type, count } of typeCounts) {
+    const metric = getMetricType(type);
+    if (!metric) {
+      unmapped.push({ type, count });
+    } else if (metric.name === type) {
+      alreadyConverted += count;
+    } else {
+      changes.push({ from: type, to: metric.name, count });
+    }
+  }
+
+  return { changes, unmapped, alreadyConverted };
+}
+
+/**
+ * Print the planned changes as a diff and the types with no registry mapping
+ */
+function printPlan(plan) {
+  console.log('\n--- Planned changes ---');
+  if (plan.changes.length === 0) {
+    console.log('Nothing to convert.');
+  }
+  for (const change of plan.changes) {
+    console.log(`- ${change.from}`);
+    console.log(`+ ${change.to}    (${change.count} rows)`);
+  }
+
+  console.log('\n--- Unmapped types ---');
+  if (plan.unmapped.length === 0) {
+    console.log('None. Every type is in the metric registry.');
+  }
+  for (const { type, count } of plan.unmapped) {
+    console.log(`? ${type}    (${count} rows, add it to server/metric-registry.js to migrate it)`);
+  }
+
+  console.log(`\nRows already in the new format: ${plan.alreadyConverted}`);
+}
+
+/**
+ * Split a list into chunks of the given size
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Convert one legacy type, batch by batch, journaling each changed row
+ */
+async function applyChange(client, migrationId, change, batchSize) {
+  const { rows } = await client.query(
+    'SELECT id FROM health_metrics WHERE type = $1',
+    [change.from]
+  );
+  const ids = rows.map(row => row.id.toString());
+
+  let updated = 0;
+  for (const batch of chunk(ids, batchSize)) {
+    await client.query(
+      `INSERT INTO metric_migration_journal (migration_id, metric_id, old_type, new_type)
+       SELECT $1, unnest($2::text[]), $3, $4`,
+      [migrationId, batch, change.from, change.to]
+    );
+    const result = await client.query(
+      'UPDATE health_metrics SET type = $1 WHERE id = ANY($2) AND type = $3',
+      [change.to, batch, change.from]
+    );
+    updated += result.rowCount;
+  }
+
+  console.log(`Converted: ${change.from} → ${change.to} (${updated} rows)`);
+  return updated;
+}
+
+async function runMigration(client, { dryRun, batchSize }) {
+  const { rows: typeCounts } = await client.query(
+    'SELECT type, COUNT(*)::int AS count FROM health_metrics GROUP BY type ORDER BY type'
+  );
+  const plan = planMigration(typeCounts);
+  printPlan(plan);
+
+  if (dryRun) {
+    console.log('\nDry run: no changes were written.');
+    return;
+  }
+  if (plan.changes.length === 0) {
+    console.log('\nNo migration recorded because nothing needed converting.');
+    return;
+  }
+
+  await ensureJournalTables(client);
+
+  const migrationId = uuidv4();
+  await client.query('BEGIN');
+  try {
+    await client.query(
+      'INSERT INTO metric_migrations (id, name) VALUES ($1, $2)',
+      [migrationId, MIGRATION_NAME]
+    );
+
+    let rowsChanged = 0;
+    for (const change of plan.changes) {
+      rowsChanged += await applyChange(client, migrationId, change, batchSize);
+    }
+
+    await client.query(
+      'UPDATE metric_migrations SET completed_at = NOW(), rows_changed = $1 WHERE id = $2',
+      [rowsChanged, migrationId]
+    );
+    await client.query('COMMIT');
+
+    console.log(`\nMigration ${migrationId} committed: ${rowsChanged} rows converted`);
+    console.log(`Roll back with: node convert-metric-formats.js --rollback ${migrationId}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function listMigrations(client) {
+  await ensureJournalTables(client);
+  const { rows } = await client.query(
+    'SELECT id, name, started_at, completed_at, rolled_back_at, rows_changed FROM metric_migrations ORDER BY started_at'
+  );
+
+  if (rows.length === 0) {
+    console.log('No migrations recorded.');
+    return;
+  }
+  for (const row of rows) {
+    const state = row.rolled_back_at ? `rolled back ${row.rolled_back_at.toISOString()}` : 'applied';
+    console.log(`${row.id}  ${row.name}  ${row.started_at.toISOString()}  ${row.rows_changed} rows  ${state}`);
+  }
+}
+
+async function rollbackMigration(client, migrationId, { dryRun, batchSize }) {
+  await ensureJournalTables(client);
+
+  const { rows: migrations } = await client.query(
+    'SELECT id, rolled_back_at FROM metric_migrations WHERE id = $1',
+    [migrationId]
+  );
+  if (migrations.length === 0) {
+    throw new Error(`No migration with id ${migrationId}`);
+  }
+  if (migrations[0].rolled_back_at) {
+    console.log(`Migration ${migrationId} was already rolled back.`);
+    return;
+  }
+
+  const { rows: groups } = await client.query(
+    `SELECT old_type, new_type, array_agg(metric_id) AS ids
+     FROM metric_migration_journal WHERE migration_id = $1
+     GROUP BY old_type, new_type ORDER BY old_type`,
+    [migrationId]
+  );
+
+  console.log('\n--- Rollback changes ---');
+  for (const group of groups) {
+    console.log(`- ${group.new_type}`);
+    console.log(`+ ${group.old_type}    (${group.ids.length} rows)`);
+  }
+  if (dryRun) {
+    console.log('\nDry run: no changes were written.');
+    return;
+  }
+
+  await client.query('BEGIN');
+  try {
+    let restored = 0;
+    for (const group of groups) {
+      for (const batch of chunk(group.ids, batchSize)) {
+        // Only restore rows that still carry the migrated type
+        const result = await client.query(
+          'UPDATE health_metrics SET type = $1 WHERE id = ANY($2) AND type = $3',
+          [group.old_type, batch, group.new_type]
+        );
+        restored += result.rowCount;
+      }
+    }
+
+    await client.query(
+      'UPDATE metric_migrations SET rolled_back_at = NOW() WHERE id = $1',
+      [migrationId]
+    );
+    await client.query('COMMIT');
+    console.log(`\nMigration ${migrationId} rolled back: ${restored} rows restored`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
 
 async function convertMetricFormats() {
+  const options = parseArgs(process.argv.slice(2));
   console.log('Starting database migration for health metrics format standardization...');
-  
-  // Connect to database
+
+  // Connect to database; one client so the transaction covers every statement
   const pool = new pg.Pool({
     connectionString: process.env.DATABASE_URL
   });
+  const client = await pool.connect();
 
   try {
-    // Start transaction
-    await pool.query('BEGIN');
-    console.log('Transaction started');
-    
-    // Get all health metrics
-    const { rows: metrics } = await pool.query(
-      'SELECT id, user_id, type, value, unit, date FROM health_metrics'
-    );
-    
-    console.log(`Found ${metrics.length} health metrics to process`);
-    
-    // Track conversion stats
-    let converted = 0;
-    let alreadyInNewFormat = 0;
-    let skipped = 0;
-    
-    // Process each metric
-    for (const metric of metrics) {
-      // Skip if already in new format (contains a space and first letter is capitalized)
-      if (metric.type.includes(' ') && metric.type.charAt(0) === metric.type.charAt(0).toUpperCase()) {
-        alreadyInNewFormat++;
-        continue;
-      }
-      
-      // Check if metric type is in our mapping
-      if (formatMapping[metric.type]) {
-        // Update the metric type to the new format
-        await pool.query(
-          'UPDATE health_metrics SET type = $1 WHERE id = $2',
-          [formatMapping[metric.type], metric.id]
-        );
-        converted++;
-        console.log(`Converted: ${metric.type} → ${formatMapping[metric.type]}`);
-      } else {
-        // If not in our mapping, skip it
-        skipped++;
-        console.log(`Skipped: ${metric.type} (no mapping found)`);
-      }
+    if (options.list) {
+      await listMigrations(client);
+    } else if (options.rollback) {
+      await rollbackMigration(client, options.rollback, options);
+    } else {
+      await runMigration(client, options);
     }
-    
-    // Commit transaction
-    await pool.query('COMMIT');
-    console.log('Transaction committed');
-    
-    // Summary
-    console.log('\n--- Conversion Summary ---');
-    console.log(`Total metrics processed: ${metrics.length}`);
-    console.log(`- Already in new format: ${alreadyInNewFormat}`);
-    console.log(`- Converted to new format: ${converted}`);
-    console.log(`- Skipped (no mapping): ${skipped}`);
-    
-  } catch (error) {
-    // Rollback transaction on error
-    await pool.query('ROLLBACK');
-    console.error('Transaction rolled back due to error:', error);
   } finally {
     // Close the database connection
+    client.release();
     await pool.end();
     console.log('Database connection closed');
   }
-  
-  console.log('\nMigration completed.');
 }
 
 // Run the conversion
 convertMetricFormats().catch(err => {
-  console.error('Error in conversion script:', err);
+  console.error('Error in conversion script:', err.message || err);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -5,11 +5,9 @@
  * health profile to be marked as complete. It is designed to be run as a maintenance
  * script or during application startup to prevent incomplete health profiles.
  * 
- * The script will check for the following essential metrics:
- *  - sleep-duration
- *  - stress-level
- *  - exercise-frequency
- *  - weight
+ * The essential metrics (sleep duration, stress level, exercise frequency and
+ * weight) are defined in server/metric-registry.js, which also provides their
+ * units, icons and legacy spellings.
  * 
  * If any of these are missing for a user that has completed onboarding and has a
  * questionnaire, the script will add default values to ensure the health profile
@@ -17,6 +15,16 @@
  */
 import pg from 'pg';
 import { v4 as uuidv4 } from 'uuid';
+import { ESSENTIAL_METRICS, getCanonicalName, getMetricSpellings } from './server/metric-registry.js';
+
+// Default values used when an essential metric is missing, keyed by registry key.
+// Goals and progress live in health_goals, so none are seeded here.
+const ESSENTIAL_METRIC_DEFAULTS = {
+  'sleep-duration': { defaultValue: '7.5', trend: 'stable' },
+  'stress-level': { defaultValue: '4', trend: 'improving' },
+  'exercise-frequency': { defaultValue: '3', trend: 'stable' },
+  'weight': { defaultValue: '70', trend: 'stable' }
+};
 
 /**
  * Main function to ensure all users have essential health metrics
@@ -69,53 +77,22 @@ async function ensureEssentialMetrics() {
 async function processUser(pool, userId, username) {
   console.log(`\nProcessing user ${username} (ID: ${userId})...`);
   
-  // Define essential metrics
-  const essentialMetrics = [
-    {
-      type: 'sleep-duration',
-      defaultValue: '7.5',
-      unit: 'hours',
-      icon: 'sleep',
-      progress: 75,
-      trend: 'stable',
-      goal: '8'
-    },
-    {
-      type: 'stress-level',
-      defaultValue: '4',
-      unit: 'scale',
-      icon: 'stress',
-      progress: 60,
-      trend: 'improving',
-      goal: '3'
-    },
-    {
-      type: 'exercise-frequency',
-      defaultValue: '3',
-      unit: 'days/week',
-      icon: 'exercise',
-      progress: 60,
-      trend: 'stable',
-      goal: '5'
-    },
-    {
-      type: 'weight',
-      defaultValue: '70',
-      unit: 'kg',
-      icon: 'weight',
-      progress: 90,
-      trend: 'stable',
-      goal: '68'
-    }
-  ];
+  // Build the essential metrics from the registry
+  const essentialMetrics = ESSENTIAL_METRICS.map(metric => ({
+    type: metric.name,
+    spellings: getMetricSpellings(metric.key),
+    unit: metric.defaultUnit,
+    icon: metric.icon,
+    ...ESSENTIAL_METRIC_DEFAULTS[metric.key]
+  }));
   
-  // Check which metrics already exist
+  // Check which metrics already exist, under any of their spellings
   const existingResult = await pool.query(
     `SELECT type FROM health_metrics WHERE user_id = $1 AND type = ANY($2)`,
-    [userId, essentialMetrics.map(m => m.type)]
+    [userId, essentialMetrics.flatMap(m => m.spellings)]
   );
   
-  const existingMetrics = new Set(existingResult.rows.map(row => row.type));
+  const existingMetrics = new Set(existingResult.rows.map(row => getCanonicalName(row.type)));
   
   // Find missing metrics
   const missingMetrics = essentialMetrics.filter(m => !existingMetrics.has(m.type));
@@ -134,8 +111,8 @@ async function processUser(pool, userId, username) {
   for (const metric of missingMetrics) {
     await pool.query(
       `INSERT INTO health_metrics 
-       (id, user_id, type, value, unit, date, icon, progress, trend, goal)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+       (id, user_id, type, value, unit, date, icon, trend)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
       [
         uuidv4(),
         userId, 
@@ -144,9 +121,7 @@ async function processUser(pool, userId, username) {
         metric.unit,
         timestamp,
         metric.icon,
-        metric.progress,
-        metric.trend,
-        metric.goal
+        metric.trend
       ]
     );
     
@@ -6,6 +6,99 @@
 
 import express from 'express';
 import { generateSupplementRecommendations, getUserHealthData } from './server/openai-supplements.js';
+import { loadRules, buildRuleContext, applyRules, getRuleSetVersion } from './server/rule-engine.js';
+import {
+  analyzeMetrics,
+  normalizeMetricType,
+  findMetricAnalysis,
+  getMetricStat,
+  getCurrentValue,
+  getComponentReading
+} from './server/metric-analysis.js';
+import { computeMetricTrends, saveComputedTrends } from './server/metric-trends.js';
+import { getMetricType, getMetricStatus } from './server/metric-registry.js';
+import { getUnitSystem, toPreferredUnit } from './server/unit-conversion.js';
+import { prepareMetricForWrite, insertHealthMetrics } from './server/health-metrics.js';
+import { importHealthMetrics, MetricImportError } from './server/metric-import.js';
+import { exportFhirBundle, importFhirBundle } from './server/fhir.js';
+import {
+  prepareBloodworkForWrite,
+  insertBloodworkResults,
+  loadLatestBloodwork,
+  buildBloodworkContext,
+  getBloodworkFlags,
+  getLabProfile
+} from './server/bloodwork.js';
+import {
+  createLabReportDraft,
+  getLabReportDraft,
+  confirmLabReportDraft,
+  discardLabReportDraft,
+  LabReportError
+} from './server/lab-report-import.js';
+import {
+  loadSupplementCatalog,
+  loadCatalogVersion,
+  listCatalogVersions,
+  getSupplementOptions,
+  saveCatalogEntry,
+  SupplementCatalogError,
+  CatalogLockedError
+} from './server/supplement-catalog.js';
+import { applySafetyFilter, getSafetyProfile } from './server/supplement-safety.js';
+import { applyInteractionScreen, checkInteractions } from './server/supplement-interactions.js';
+import { applyUpperLimitScreen, checkUpperLimits, getNutrientAmounts } from './server/supplement-dosage.js';
+import { buildScheduleCalendar, buildSupplementSchedule } from './server/supplement-schedule.js';
+import { AdherenceError, getAdherenceLimit, loadAdherenceLog, recordAdherence, summarizeAdherence } from './server/supplement-adherence.js';
+import {
+  RECOMMENDATION_ACTIONS,
+  RecommendationStateError,
+  createRecommendationInstance,
+  filterVisibleRecommendations,
+  loadHiddenSourceIds,
+  loadRecommendationInstances,
+  syncRecommendationInstances,
+  transitionRecommendation
+} from './server/recommendation-lifecycle.js';
+import {
+  diffSnapshots,
+  findSnapshotBefore,
+  getRecommendationSnapshot,
+  listRecommendationSnapshots,
+  saveRecommendationSnapshot,
+  summarizeInputs
+} from './server/recommendation-history.js';
+import { DEFAULT_OUTCOME_WINDOW_DAYS, evaluateOutcomes } from './server/recommendation-outcomes.js';
+import {
+  GoalError,
+  createGoal,
+  deleteGoal,
+  describeGoalTarget,
+  getGoal,
+  listGoals,
+  updateGoal
+} from './server/health-goals.js';
+import { createMailTransport } from './server/mail-transport.js';
+import {
+  DEFAULT_DIGEST_FROM,
+  DigestPreferenceError,
+  buildWeeklyDigest,
+  getDigestPreferences,
+  renderDigestHtml,
+  renderDigestSubject,
+  renderDigestText,
+  runWeeklyDigests,
+  setDigestPreferences,
+  startDigestScheduler
+} from './server/weekly-digest.js';
+import {
+  AuthError,
+  DEFAULT_SESSION_COOKIE,
+  DEFAULT_SESSION_TABLE,
+  createAuthMiddleware,
+  loginWithPassword
+} from './server/auth.js';
+import { useDateStrings } from './server/dates.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -17,14 +110,26 @@ const PORT = process.env.PORT || 3010;
 // In Replit environment, always bind to 0.0.0.0 to ensure proper connectivity
 const HOST = '0.0.0.0';
 
+// Weekly digest emails go to the outbox directory unless MAIL_TRANSPORT=smtp
+const mailTransport = createMailTransport();
+
+// Model recorded in the history for OpenAI supplement runs, unless the
+// generator reports the one it used
+const OPENAI_SUPPLEMENT_MODEL = process.env.OPENAI_MODEL || 'gpt-4o';
+
 console.log(`Starting Smart Recommendations server with OpenAI integration on port ${PORT}...`);
 
 // Add middleware for parsing JSON and handling CORS
-app.use(express.json());
+// Bulk metric imports send whole spreadsheets, as JSON or raw text/csv,
+// clinics send FHIR bundles as application/fhir+json, and lab reports arrive
+// as PDFs or pasted text
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/fhir+json'] }));
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }));
+app.use(express.raw({ type: 'application/pdf', limit: '10mb' }));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-User-ID');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -33,49 +138,76 @@ app.use((req, res, next) => {
   next();
 });
 
-// Add authentication middleware
-app.use((req, res, next) => {
-  // Check for user ID in header
-  const userId = req.headers['x-user-id'];
-  
-  if (!userId) {
-    console.log('No user ID provided in request headers');
-    // Allow health endpoint without authentication
-    if (req.path === '/health') {
-      return next();
+// Requests are authenticated with a bearer token from /api/context-aware/auth/token
+// or the main app's session cookie, both signed with SESSION_SECRET
+const sessionSecret = process.env.SESSION_SECRET;
+const tokenSecret = process.env.AUTH_TOKEN_SECRET || sessionSecret;
+if (!tokenSecret) {
+  console.error('SESSION_SECRET (or AUTH_TOKEN_SECRET) must be set to verify logins');
+  process.exit(1);
+}
+
+app.use(createAuthMiddleware({
+  getPool,
+  tokenSecret,
+  sessionSecret,
+  cookieName: process.env.SESSION_COOKIE_NAME || DEFAULT_SESSION_COOKIE,
+  sessionTable: process.env.SESSION_TABLE || DEFAULT_SESSION_TABLE,
+  publicPaths: ['/health', 'POST /api/context-aware/auth/token']
+}));
+
+// Shared connection pool for endpoints that query tables directly
+let sharedPool = null;
+async function getPool() {
+  if (!sharedPool) {
+    const pg = await import('pg');
+    // DATE columns come back as "YYYY-MM-DD" rather than local midnight
+    useDateStrings(pg.default);
+    sharedPool = new pg.default.Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+  return sharedPool;
+}
+
+// Restrict an endpoint to users whose role is "admin"
+async function requireAdmin(req, res, next) {
+  try {
+    const pool = await getPool();
+    const { rows } = await pool.query('SELECT role FROM users WHERE id = $1', [parseInt(req.userId)]);
+    if (rows.length === 0 || rows[0].role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
     }
-    return res.status(401).json({ 
-      message: "Authentication required", 
-      success: false 
+    next();
+  } catch (error) {
+    console.error('Error checking admin access:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check admin access'
     });
   }
-  
-  // Set the user ID on the request object
-  req.userId = userId;
-  console.log(`Request authenticated with user ID: ${userId}`);
-  next();
-});
+}
 
 // Smart recommendations endpoints
 app.get('/api/context-aware/health-recommendations', async (req, res) => {
   console.log('Received request for health recommendations');
   
-  // Get user ID from request headers
-  const userId = req.headers['x-user-id'] ? parseInt(req.headers['x-user-id'].toString()) : 370; // Default to admin user ID if not provided
+  const userId = parseInt(req.userId);
   console.log(`Processing health recommendations for user ID: ${userId}`);
   
+  // Opt-in trace of which rules fired for each recommendation
+  const explain = req.query.explain === 'true';
+  
   try {
     // Import needed modules
-    const pg = await import('pg');
     const { storage } = await import('./server/db-storage.js');
-    
-    // Create a database connection
-    const pool = new pg.default.Pool({
-      connectionString: process.env.DATABASE_URL
-    });
+    const pool = await getPool();
     
     // Get user health data for personalized recommendations
-    let [questionnaire, metrics] = await Promise.all([
+    let [questionnaire, metrics, bloodwork] = await Promise.all([
       storage.getQuestionnaire(userId).catch(err => {
         console.error(`Error fetching questionnaire for user ${userId}:`, err);
         return null;
@@ -83,6 +215,10 @@ app.get('/api/context-aware/health-recommendations', async (req, res) => {
       storage.getHealthMetrics(userId).catch(err => {
         console.error(`Error fetching health metrics for user ${userId}:`, err);
         return [];
+      }),
+      loadLatestBloodwork(pool, userId).catch(err => {
+        console.error(`Error fetching bloodwork for user ${userId}:`, err);
+        return [];
       })
     ]);
     
@@ -169,231 +305,38 @@ app.get('/api/context-aware/health-recommendations', async (req, res) => {
       }
     ];
     
-    // Personalization logic based on user data
-    const personalizeHealthRecommendations = () => {
-      let personalizedRecs = [...healthRecommendations];
-      
-      // Personalize based on metrics if available
-      if (metrics && metrics.length > 0) {
-        // Check sleep metrics
-        const sleepMetric = metrics.find(m => 
-          m.type === 'Sleep Duration' || m.type === 'sleep-duration'
-        );
-        
-        if (sleepMetric) {
-          const hours = parseFloat(sleepMetric.value.toString());
-          const sleepRec = personalizedRecs.find(r => r.category === 'Sleep');
-          
-          if (sleepRec) {
-            if (hours < 6) {
-              sleepRec.priority = 'high';
-              sleepRec.title = 'Increase Sleep Duration';
-              sleepRec.description = `Your average sleep of ${hours} hours is below the recommended 7-9 hours for adults.`;
-              sleepRec.content = 'Sleep deprivation can lead to decreased cognitive function, mood changes, weakened immunity, and increased health risks. Prioritizing sleep is a critical health investment.';
-              sleepRec.actionText = 'Try going to bed 30 minutes earlier each night this week.';
-            } else if (hours > 9) {
-              sleepRec.title = 'Optimize Sleep Quality';
-              sleepRec.description = `You're getting ${hours} hours of sleep, which is on the higher end. Let's focus on quality.`;
-              sleepRec.content = 'Excessive sleep can sometimes indicate poor sleep quality or an underlying health issue. Focus on improving sleep efficiency rather than just duration.';
-              sleepRec.actionText = 'Consider tracking sleep quality with a sleep diary or app.';
-            }
-          }
-        }
-        
-        // Check stress metrics
-        const stressMetric = metrics.find(m => 
-          m.type === 'Stress Level' || m.type === 'stress-level'
-        );
-        
-        if (stressMetric) {
-          const level = parseFloat(stressMetric.value.toString());
-          const stressRec = personalizedRecs.find(r => r.category === 'Stress');
-          
-          if (stressRec && level > 6) {
-            stressRec.priority = 'high';
-            stressRec.title = 'Stress Reduction Plan';
-            stressRec.description = `Your stress level of ${level}/10 indicates a need for active stress management.`;
-            stressRec.content = 'Chronic high stress can negatively impact nearly every system in your body, from cardiovascular to immune function. Implementing stress reduction techniques can have widespread health benefits.';
-            stressRec.actionText = 'Begin with 5 minutes of deep breathing exercises twice daily.';
-          }
-        }
-        
-        // Check exercise metrics
-        const exerciseMetric = metrics.find(m => 
-          m.type === 'Exercise Frequency' || m.type === 'exercise-frequency'
-        );
-        
-        if (exerciseMetric) {
-          const frequency = parseFloat(exerciseMetric.value.toString());
-          const exerciseRec = personalizedRecs.find(r => r.category === 'Exercise');
-          
-          if (exerciseRec) {
-            if (frequency < 3) {
-              exerciseRec.priority = 'high';
-              exerciseRec.title = 'Increase Physical Activity';
-              exerciseRec.description = `Your current exercise frequency of ${frequency} times per week could be increased for health benefits.`;
-              exerciseRec.content = 'Regular physical activity is one of the most powerful health interventions, with benefits for cardiovascular health, mood, cognition, and longevity.';
-              exerciseRec.actionText = 'Add one additional day of activity this week, even if it\'s just a 15-minute walk.';
-            } else if (frequency >= 5) {
-              exerciseRec.title = 'Optimize Recovery Between Workouts';
-              exerciseRec.description = `With your high activity level of ${frequency} times per week, recovery becomes essential.`;
-              exerciseRec.content = 'Proper recovery between workouts prevents overtraining, reduces injury risk, and allows for performance improvements. This includes adequate sleep, nutrition, and active recovery strategies.';
-              exerciseRec.actionText = 'Incorporate a dedicated recovery day with gentle stretching or yoga.';
-            }
-          }
-        }
-        
-        // Check water intake
-        const waterMetric = metrics.find(m => 
-          m.type === 'Water Intake' || m.type === 'water-intake'
-        );
-        
-        if (waterMetric) {
-          const intake = parseFloat(waterMetric.value.toString());
-          const hydrationRec = personalizedRecs.find(r => r.category === 'Hydration');
-          
-          if (hydrationRec && intake < 1.5) {
-            hydrationRec.priority = 'high';
-            hydrationRec.title = 'Increase Daily Hydration';
-            hydrationRec.description = `Your current water intake of ${intake}L is below the recommended amount.`;
-            hydrationRec.content = 'Even mild dehydration can affect energy levels, cognitive function, and physical performance. Proper hydration supports all cellular functions.';
-            hydrationRec.actionText = 'Set reminders to drink water throughout the day, aiming for 2L minimum.';
-          }
-        }
-        
-        // Look for relationships between metrics (sleep-stress connection)
-        if (sleepMetric && stressMetric) {
-          const sleepHours = parseFloat(sleepMetric.value.toString());
-          const stressLevel = parseFloat(stressMetric.value.toString());
-          
-          if (sleepHours < 7 && stressLevel > 6) {
-            // Add a recommendation about the sleep-stress cycle
-            personalizedRecs.push({
-              id: 8,
-              category: 'Sleep-Stress Cycle',
-              title: 'Breaking the Sleep-Stress Cycle',
-              description: 'Your data shows a potential relationship between poor sleep and high stress levels.',
-              content: 'Poor sleep can increase stress, and high stress can worsen sleep - creating a challenging cycle. Breaking this cycle from either end can create positive momentum for overall health.',
-              actionText: 'Create a 15-minute pre-sleep relaxation routine to transition from day to night.',
-              reasonForRecommendation: 'Addressing the sleep-stress connection can create compound benefits for both issues.',
-              priority: 'high',
-              tags: ['sleep', 'stress', 'mental health', 'integrated health']
-            });
-          }
-        }
-        
-        // Check for exercise-mood connection
-        const moodMetric = metrics.find(m => 
-          m.type === 'Mood Score' || m.type === 'mood-score' || m.type === 'Mood' || m.type === 'mood'
-        );
-        
-        if (exerciseMetric && moodMetric) {
-          const exerciseFreq = parseFloat(exerciseMetric.value.toString());
-          const moodScore = parseFloat(moodMetric.value.toString());
-          
-          // Assuming mood is rated on a scale where lower is worse
-          if (exerciseFreq < 3 && moodScore < 6) {
-            personalizedRecs.push({
-              id: 9,
-              category: 'Exercise for Mental Health',
-              title: 'Activity for Mood Enhancement',
-              description: 'Your data suggests a potential benefit from using exercise as a mood management tool.',
-              content: 'Physical activity has proven mental health benefits, including reduced symptoms of depression and anxiety, improved mood, and better stress regulation.',
-              actionText: 'Start with just 10 minutes of enjoyable movement daily, with a focus on consistency rather than intensity.',
-              reasonForRecommendation: 'Even modest increases in physical activity can significantly improve mood and mental wellbeing.',
-              priority: 'high',
-              tags: ['exercise', 'mental health', 'mood', 'wellbeing']
-            });
-          }
-        }
-      }
-      
-      // Personalize based on questionnaire if available
-      if (questionnaire) {
-        // Check health concerns
-        if (questionnaire.healthConcerns && questionnaire.healthConcerns.length > 0) {
-          const concerns = questionnaire.healthConcerns.map(c => c.toLowerCase());
-          
-          // Heart health concerns
-          if (concerns.some(c => c.includes('heart') || c.includes('cardio') || c.includes('blood pressure'))) {
-            personalizedRecs.push({
-              id: 10,
-              category: 'Heart Health',
-              title: 'Cardiovascular Health Strategies',
-              description: 'Based on your health concerns, here are targeted strategies for heart health.',
-              content: 'A combination of regular activity, heart-healthy nutrition, stress management, and adequate sleep all contribute to cardiovascular wellness.',
-              actionText: 'Add one heart-healthy food (like fatty fish, nuts, or leafy greens) to your meals daily.',
-              reasonForRecommendation: 'Small, consistent dietary and lifestyle changes can significantly impact heart health over time.',
-              priority: 'high',
-              tags: ['heart health', 'cardiovascular', 'nutrition', 'exercise']
-            });
-          }
-          
-          // Joint or pain concerns
-          if (concerns.some(c => c.includes('joint') || c.includes('pain') || c.includes('arthritis'))) {
-            personalizedRecs.push({
-              id: 11,
-              category: 'Pain Management',
-              title: 'Joint Health and Pain Management',
-              description: 'Your health concerns indicate a focus on joint health and pain management would be beneficial.',
-              content: 'A multi-faceted approach including gentle movement, anti-inflammatory nutrition, proper body mechanics, and stress management can help manage joint discomfort.',
-              actionText: 'Try gentle range-of-motion exercises daily and consider applying heat or cold for temporary pain relief.',
-              reasonForRecommendation: 'Maintaining mobility and managing inflammation are key components of joint health.',
-              priority: 'high',
-              tags: ['pain management', 'joint health', 'mobility', 'inflammation']
-            });
-          }
-          
-          // Energy or fatigue concerns
-          if (concerns.some(c => c.includes('energy') || c.includes('fatigue') || c.includes('tired'))) {
-            personalizedRecs.push({
-              id: 12,
-              category: 'Energy Management',
-              title: 'Natural Energy Optimization',
-              description: 'Your concerns about energy levels can be addressed through several lifestyle strategies.',
-              content: 'Energy management involves optimizing sleep, nutrition, physical activity, stress levels, and potentially identifying any underlying health issues.',
-              actionText: 'Focus on protein and complex carbs at breakfast, and avoid high-sugar snacks that cause energy crashes.',
-              reasonForRecommendation: 'Stabilizing blood sugar and optimizing sleep are two foundational factors for balanced energy.',
-              priority: 'high',
-              tags: ['energy', 'fatigue', 'nutrition', 'sleep']
-            });
-          }
-        }
-        
-        // Check dietary preferences
-        if (questionnaire.dietaryPreferences && questionnaire.dietaryPreferences.length > 0) {
-          const diet = questionnaire.dietaryPreferences.map(d => d.toLowerCase());
-          
-          if (diet.some(d => d.includes('vegan') || d.includes('vegetarian'))) {
-            personalizedRecs.push({
-              id: 13,
-              category: 'Plant-Based Nutrition',
-              title: 'Optimizing Plant-Based Diet',
-              description: 'Here are strategies to ensure nutritional adequacy on your plant-based diet.',
-              content: 'Well-planned plant-based diets can be nutritionally complete, but may require attention to specific nutrients including vitamin B12, iron, zinc, omega-3s, vitamin D, and calcium.',
-              actionText: 'Include a variety of protein sources daily (legumes, tofu, tempeh, seitan, and/or a high-quality plant protein powder).',
-              reasonForRecommendation: 'Ensuring adequate protein, iron, and B12 intake is particularly important for plant-based eaters.',
-              priority: 'medium',
-              tags: ['nutrition', 'plant-based', 'vegan', 'vegetarian']
-            });
-          }
-        }
-      }
-      
-      // Sort by priority
-      return personalizedRecs.sort((a, b) => {
-        const priorityOrder = { high: 0, medium: 1, low: 2 };
-        return priorityOrder[a.priority] - priorityOrder[b.priority];
-      });
-    };
+    // Personalize the base recommendations with the shared rule set
+    const rules = await loadRules();
+    const ruleContext = buildRuleContext({ metrics, bloodwork, questionnaire });
+    const { recommendations: personalizedRecs } = applyRules(healthRecommendations, ruleContext, {
+      profile: 'recommendations',
+      rules,
+      explain
+    });
+    
+    // Sort by priority
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    const recommendations = personalizedRecs.sort((a, b) => 
+      priorityOrder[a.priority] - priorityOrder[b.priority]
+    );
     
-    // Generate personalized recommendations
-    const recommendations = personalizeHealthRecommendations();
+    await saveRecommendationSnapshot(pool, userId, {
+      source: 'health-recommendations',
+      inputs: summarizeInputs({ questionnaire, metrics, bloodwork }),
+      ruleVersion: getRuleSetVersion(rules),
+      model: 'contextual-health-analyzer-v2',
+      output: recommendations
+    }).catch(err => console.error(`Error saving health recommendation snapshot for user ${userId}:`, err));
+    
+    // Keep what the user has done with each recommendation and leave out the
+    // ones they dismissed, snoozed or completed. These ids are not the ones
+    // /health uses, so they are tracked as their own kind.
+    const tracked = await syncRecommendationInstances(pool, userId, 'lifestyle', recommendations);
     
     // Return personalized recommendations
     res.json({
       success: true,
-      recommendations: recommendations,
+      recommendations: filterVisibleRecommendations(tracked),
       meta: {
         generatedAt: new Date().toISOString(),
         modelUsed: "contextual-health-analyzer-v2",
@@ -412,22 +355,16 @@ app.get('/api/context-aware/health-recommendations', async (req, res) => {
 app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
   console.log('Received request for supplement recommendations');
   
-  // Get user ID from request headers
-  const userId = req.headers['x-user-id'] ? parseInt(req.headers['x-user-id'].toString()) : 370; // Default to admin user ID if not provided
+  const userId = parseInt(req.userId);
   console.log(`Processing supplement recommendations for user ID: ${userId}`);
   
   try {
     // Import needed modules
-    const pg = await import('pg');
     const { storage } = await import('./server/db-storage.js');
-    
-    // Create a database connection
-    const pool = new pg.default.Pool({
-      connectionString: process.env.DATABASE_URL
-    });
+    const pool = await getPool();
     
     // Get user health data for personalized recommendations
-    let [questionnaire, metrics, currentSupplements] = await Promise.all([
+    let [questionnaire, metrics, currentSupplements, bloodwork, adherenceLog, hiddenKeys] = await Promise.all([
       storage.getQuestionnaire(userId).catch(err => {
         console.error(`Error fetching questionnaire for user ${userId}:`, err);
         return null;
@@ -439,147 +376,42 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
       storage.getUserSupplements(userId).catch(err => {
         console.error(`Error fetching supplements for user ${userId}:`, err);
         return [];
+      }),
+      loadLatestBloodwork(pool, userId).catch(err => {
+        console.error(`Error fetching bloodwork for user ${userId}:`, err);
+        return [];
+      }),
+      loadAdherenceLog(pool, userId).catch(err => {
+        console.error(`Error fetching adherence log for user ${userId}:`, err);
+        return [];
+      }),
+      loadHiddenSourceIds(pool, userId, 'supplement').catch(err => {
+        console.error(`Error fetching dismissed supplements for user ${userId}:`, err);
+        return new Set();
       })
     ]);
     
     console.log(`Found ${currentSupplements.length} current supplements for user ${userId}`);
     
-    // Base supplement options that we can recommend
-    const supplementOptions = [
-      {
-        id: 1,
-        name: 'Vitamin D3',
-        category: 'Essential Nutrients',
-        description: 'Vitamin D is essential for calcium absorption and bone health, with additional benefits for immune function and mood regulation.',
-        dosage: '2000 IU daily',
-        timing: 'With a meal containing healthy fats',
-        benefits: [
-          'Supports bone health',
-          'Contributes to immune function',
-          'May improve mood and energy levels'
-        ],
-        priority: 'medium',
-        indicatedFor: ['low vitamin D levels', 'limited sun exposure', 'fatigue', 'bone health concerns'],
-        contraindicatedFor: ['hypercalcemia', 'kidney stones', 'taking certain medications']
-      },
-      {
-        id: 2,
-        name: 'Magnesium Glycinate',
-        category: 'Minerals',
-        description: 'Magnesium is involved in over 300 enzymatic reactions in the body and is often deficient in modern diets.',
-        dosage: '300-400mg daily',
-        timing: 'Before bedtime',
-        benefits: [
-          'Supports muscle recovery',
-          'May improve sleep quality',
-          'Helps regulate stress response'
-        ],
-        priority: 'medium',
-        indicatedFor: ['poor sleep', 'muscle cramping', 'high stress levels', 'exercise recovery'],
-        contraindicatedFor: ['severe kidney disease', 'myasthenia gravis']
-      },
-      {
-        id: 3,
-        name: 'Omega-3 Fatty Acids',
-        category: 'Essential Fatty Acids',
-        description: 'EPA and DHA are essential omega-3 fatty acids that support cardiovascular and cognitive health.',
-        dosage: '1-2g daily',
-        timing: 'With meals',
-        benefits: [
-          'Supports cardiovascular health',
-          'May reduce inflammation',
-          'Supports brain function'
-        ],
-        priority: 'medium',
-        indicatedFor: ['limited fatty fish intake', 'joint discomfort', 'cardiovascular health concerns', 'cognitive function'],
-        contraindicatedFor: ['blood thinning medications', 'fish allergies', 'upcoming surgery']
-      },
-      {
-        id: 4,
-        name: 'Zinc',
-        category: 'Minerals',
-        description: 'Zinc is an essential mineral that supports immune function, protein synthesis, and wound healing.',
-        dosage: '15-30mg daily',
-        timing: 'With food to prevent nausea',
-        benefits: [
-          'Supports immune function',
-          'Aids in protein synthesis',
-          'Supports wound healing'
-        ],
-        priority: 'low',
-        indicatedFor: ['frequent illness', 'intense exercise regimen', 'plant-based diet', 'wound healing'],
-        contraindicatedFor: ['high supplemental copper intake', 'certain antibiotics']
-      },
-      {
-        id: 5,
-        name: 'Vitamin B Complex',
-        category: 'Essential Nutrients',
-        description: 'B vitamins are essential for energy production, nerve function, and cellular metabolism.',
-        dosage: 'As directed on label (varies by formulation)',
-        timing: 'Morning with food',
-        benefits: [
-          'Supports energy metabolism',
-          'Helps with stress response',
-          'Supports nervous system function'
-        ],
-        priority: 'medium',
-        indicatedFor: ['fatigue', 'plant-based diet', 'high stress levels', 'older adults'],
-        contraindicatedFor: ['certain genetic conditions']
-      },
-      {
-        id: 6,
-        name: 'Vitamin C',
-        category: 'Essential Nutrients',
-        description: 'Vitamin C is a potent antioxidant that supports immune function and collagen production.',
-        dosage: '500-1000mg daily',
-        timing: 'With meals, divided doses for better absorption',
-        benefits: [
-          'Supports immune function',
-          'Acts as an antioxidant',
-          'Supports collagen production'
-        ],
-        priority: 'low',
-        indicatedFor: ['limited fruit and vegetable intake', 'frequent illness', 'smoking', 'high stress'],
-        contraindicatedFor: ['history of kidney stones', 'hemochromatosis']
-      },
-      {
-        id: 7,
-        name: 'Probiotics',
-        category: 'Digestive Health',
-        description: 'Beneficial bacteria that support gut health, immune function, and potentially mood regulation.',
-        dosage: '10-50 billion CFU daily',
-        timing: 'Morning on empty stomach or as directed',
-        benefits: [
-          'Supports digestive health',
-          'May enhance immune function',
-          'Can help after antibiotics'
-        ],
-        priority: 'medium',
-        indicatedFor: ['digestive issues', 'recent antibiotic use', 'immune support'],
-        contraindicatedFor: ['severe immunocompromised conditions', 'SIBO']
-      },
-      {
-        id: 8,
-        name: 'Ashwagandha',
-        category: 'Adaptogenic Herbs',
-        description: 'An adaptogenic herb that may help the body manage stress and support overall wellbeing.',
-        dosage: '300-600mg daily of root extract',
-        timing: 'Morning or evening consistently',
-        benefits: [
-          'May help manage stress response',
-          'Could support healthy energy levels',
-          'May support immune function'
-        ],
-        priority: 'low',
-        indicatedFor: ['high stress levels', 'anxiety', 'fatigue', 'poor sleep quality'],
-        contraindicatedFor: ['autoimmune thyroid conditions', 'pregnancy', 'certain medications']
-      }
-    ];
+    // Users who aren't keeping up with their current supplements get fewer additions
+    const adherence = summarizeAdherence(adherenceLog);
+    const adherenceLimit = getAdherenceLimit(adherence, currentSupplements.length);
+    
+    // Latest lab results by analyte, and the ones outside their reference range
+    const labs = buildBloodworkContext(bloodwork, getLabProfile(questionnaire));
+    const labFlags = getBloodworkFlags(labs);
+    
+    // Supplement options come from the versioned catalog
+    const catalog = loadSupplementCatalog();
+    const supplementOptions = getSupplementOptions(catalog);
     
     // Currently used supplement names
     const currentSupplementNames = currentSupplements.map(s => s.name.toLowerCase());
     console.log('Current supplements:', currentSupplementNames);
     
+    // Explanations for supplements removed or downgraded for safety
+    let safetyNotes = [];
+    
     // Personalization logic based on user data
     const personalizeRecommendations = () => {
       let personalizedRecs = [...supplementOptions];
@@ -590,17 +422,18 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
                                     supp.name.toLowerCase().includes(cs))
       );
       
-      // Personalize based on metrics
+      // and ones they dismissed, snoozed or completed
+      personalizedRecs = personalizedRecs.filter(supp => !hiddenKeys.has(supp.key));
+      
+      // Personalize based on recent metric averages rather than a single entry
       if (metrics && metrics.length > 0) {
-        const sleepMetric = metrics.find(m => 
-          m.type === 'Sleep Duration' || m.type === 'sleep-duration'
-        );
+        const metricAnalysis = analyzeMetrics(metrics);
+        const hours = getMetricStat(findMetricAnalysis(metricAnalysis, 'Sleep Duration'), 'avg7');
         
-        if (sleepMetric) {
-          const hours = parseFloat(sleepMetric.value.toString());
+        if (hours !== null) {
           if (hours < 6.5) {
             // Prioritize sleep support supplements
-            const magnesium = personalizedRecs.find(s => s.name === 'Magnesium Glycinate');
+            const magnesium = personalizedRecs.find(s => s.key === 'magnesium-glycinate');
             if (magnesium) {
               magnesium.priority = 'high';
               magnesium.description = 'Your sleep data indicates you may benefit from magnesium, which can help promote relaxation and improve sleep quality.';
@@ -608,21 +441,18 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
           }
         }
         
-        const stressMetric = metrics.find(m => 
-          m.type === 'Stress Level' || m.type === 'stress-level'
-        );
+        const level = getMetricStat(findMetricAnalysis(metricAnalysis, 'Stress Level'), 'avg7');
         
-        if (stressMetric) {
-          const level = parseFloat(stressMetric.value.toString());
+        if (level !== null) {
           if (level > 6) {
             // Prioritize stress management supplements
-            const ashwagandha = personalizedRecs.find(s => s.name === 'Ashwagandha');
+            const ashwagandha = personalizedRecs.find(s => s.key === 'ashwagandha');
             if (ashwagandha) {
               ashwagandha.priority = 'high';
               ashwagandha.description = 'Based on your stress levels, you may benefit from Ashwagandha, an adaptogenic herb that can help regulate stress response.';
             }
             
-            const bComplex = personalizedRecs.find(s => s.name === 'Vitamin B Complex');
+            const bComplex = personalizedRecs.find(s => s.key === 'vitamin-b-complex');
             if (bComplex) {
               bComplex.priority = 'medium';
               bComplex.description += ' Your stress data suggests B vitamins may be particularly beneficial.';
@@ -639,9 +469,9 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
           
           if (diet.some(d => d.includes('vegan') || d.includes('vegetarian'))) {
             // Prioritize nutrients commonly deficient in plant-based diets
-            const b12 = personalizedRecs.find(s => s.name === 'Vitamin B Complex');
-            const omega3 = personalizedRecs.find(s => s.name === 'Omega-3 Fatty Acids');
-            const zinc = personalizedRecs.find(s => s.name === 'Zinc');
+            const b12 = personalizedRecs.find(s => s.key === 'vitamin-b-complex');
+            const omega3 = personalizedRecs.find(s => s.key === 'omega-3');
+            const zinc = personalizedRecs.find(s => s.key === 'zinc');
             
             if (b12) {
               b12.priority = 'high';
@@ -665,7 +495,7 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
           const goals = questionnaire.healthGoals.map(g => g.toLowerCase());
           
           if (goals.some(g => g.includes('energy') || g.includes('fatigue'))) {
-            const b12 = personalizedRecs.find(s => s.name === 'Vitamin B Complex');
+            const b12 = personalizedRecs.find(s => s.key === 'vitamin-b-complex');
             if (b12) {
               b12.priority = 'high';
               b12.description = 'Based on your energy-related goals, B vitamins may be particularly beneficial as they play a key role in energy metabolism.';
@@ -673,9 +503,9 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
           }
           
           if (goals.some(g => g.includes('immune') || g.includes('sick'))) {
-            const vitaminC = personalizedRecs.find(s => s.name === 'Vitamin C');
-            const vitaminD = personalizedRecs.find(s => s.name === 'Vitamin D3');
-            const zinc = personalizedRecs.find(s => s.name === 'Zinc');
+            const vitaminC = personalizedRecs.find(s => s.key === 'vitamin-c');
+            const vitaminD = personalizedRecs.find(s => s.key === 'vitamin-d3');
+            const zinc = personalizedRecs.find(s => s.key === 'zinc');
             
             if (vitaminC) {
               vitaminC.priority = 'high';
@@ -694,8 +524,8 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
           }
           
           if (goals.some(g => g.includes('stress') || g.includes('anxiety') || g.includes('mood'))) {
-            const magnesium = personalizedRecs.find(s => s.name === 'Magnesium Glycinate');
-            const ashwagandha = personalizedRecs.find(s => s.name === 'Ashwagandha');
+            const magnesium = personalizedRecs.find(s => s.key === 'magnesium-glycinate');
+            const ashwagandha = personalizedRecs.find(s => s.key === 'ashwagandha');
             
             if (magnesium) {
               magnesium.priority = 'high';
@@ -714,7 +544,7 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
           const concerns = questionnaire.healthConcerns.map(c => c.toLowerCase());
           
           if (concerns.some(c => c.includes('joint') || c.includes('inflammation') || c.includes('pain'))) {
-            const omega3 = personalizedRecs.find(s => s.name === 'Omega-3 Fatty Acids');
+            const omega3 = personalizedRecs.find(s => s.key === 'omega-3');
             
             if (omega3) {
               omega3.priority = 'high';
@@ -723,7 +553,7 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
           }
           
           if (concerns.some(c => c.includes('digest') || c.includes('gut') || c.includes('stomach'))) {
-            const probiotics = personalizedRecs.find(s => s.name === 'Probiotics');
+            const probiotics = personalizedRecs.find(s => s.key === 'probiotics');
             
             if (probiotics) {
               probiotics.priority = 'high';
@@ -733,71 +563,149 @@ app.get('/api/context-aware/supplement-recommendations', async (req, res) => {
         }
       }
       
-      // Sort by priority and limit to top recommendations
+      // Personalize based on lab results, which outweigh self-reported data
+      const labIndications = [
+        {
+          supplement: 'vitamin-d3',
+          analytes: ['vitamin-d'],
+          statuses: ['low', 'critical-low'],
+          describe: lab => `Your latest vitamin D level was ${lab.value} ${lab.unit}, below the reference range. Supplementing with D3 can help restore healthy levels; retest after about 3 months.`
+        },
+        {
+          supplement: 'iron-bisglycinate',
+          analytes: ['ferritin', 'iron'],
+          statuses: ['low', 'critical-low'],
+          describe: (lab, supp) => `Your latest ${lab.name.toLowerCase()} result was ${lab.value} ${lab.unit}, below the reference range. ${supp.description}`
+        },
+        {
+          supplement: 'vitamin-b-complex',
+          analytes: ['vitamin-b12', 'folate'],
+          statuses: ['low', 'critical-low'],
+          describe: lab => `Your latest ${lab.name} result was ${lab.value} ${lab.unit}, below the reference range. A B complex with methylated B12 and folate can help correct it.`
+        },
+        {
+          supplement: 'magnesium-glycinate',
+          analytes: ['magnesium'],
+          statuses: ['low', 'critical-low'],
+          describe: lab => `Your latest magnesium level was ${lab.value} ${lab.unit}, below the reference range. Magnesium glycinate is well absorbed and gentle on digestion.`
+        },
+        {
+          supplement: 'zinc',
+          analytes: ['zinc'],
+          statuses: ['low', 'critical-low'],
+          describe: lab => `Your latest zinc level was ${lab.value} ${lab.unit}, below the reference range. Supplementation can support immune function and healing.`
+        },
+        {
+          supplement: 'omega-3',
+          analytes: ['hs-crp', 'triglycerides'],
+          statuses: ['high', 'critical-high'],
+          describe: lab => `Your latest ${lab.name} result was ${lab.value} ${lab.unit}, above the reference range. Omega-3 fatty acids may help lower inflammation and triglycerides.`
+        }
+      ];
+      
+      const labSupported = new Set();
+      for (const indication of labIndications) {
+        const analyte = indication.analytes.find(key => labs[key] && indication.statuses.includes(labs[key].status));
+        const supp = personalizedRecs.find(s => s.key === indication.supplement);
+        if (!analyte || !supp) continue;
+        
+        const lab = labs[analyte];
+        supp.priority = 'high';
+        supp.description = indication.describe(lab, supp);
+        if (lab.status.startsWith('critical')) {
+          supp.description += ` This result is far outside the normal range; please discuss it with your doctor before starting this supplement.`;
+        }
+        labSupported.add(supp.key);
+      }
+      
+      // Supplements such as iron are only recommended on lab evidence
+      personalizedRecs = personalizedRecs.filter(s => !s.requiresLabEvidence || labSupported.has(s.key));
+      
+      // Drop or downgrade anything that conflicts with the user's conditions,
+      // medications, allergies or lab results
+      const safety = applySafetyFilter(personalizedRecs, getSafetyProfile(questionnaire, labs));
+      personalizedRecs = safety.supplements;
+      safetyNotes = safety.safetyNotes;
+      
+      // Then check what is left against the current stack and medications
+      const screen = applyInteractionScreen(personalizedRecs, { current: currentSupplements, medications });
+      personalizedRecs = screen.supplements;
+      safetyNotes.push(...screen.safetyNotes);
+      
+      // Sort by priority, then keep the stack within nutrient upper limits,
+      // lowering or dropping lower-priority supplements first
       const priorityOrder = { high: 0, medium: 1, low: 2 };
-      return personalizedRecs.sort((a, b) => 
+      personalizedRecs.sort((a, b) => 
         priorityOrder[a.priority] - priorityOrder[b.priority]
-      ).slice(0, 3); // Return top 3 recommendations
+      );
+      const limits = applyUpperLimitScreen(personalizedRecs, {
+        current: currentSupplements,
+        profile: getLabProfile(questionnaire)
+      });
+      safetyNotes.push(...limits.safetyNotes);
+      
+      // Limit to top recommendations
+      return limits.supplements.slice(0, adherenceLimit.limit); // Top 3, or fewer when adherence is low
     };
     
-    // Generate personalized recommendations
-    const personalizedRecommendations = personalizeRecommendations();
+    // Generate personalized recommendations and track them so they can be
+    // accepted, dismissed or snoozed
+    const medications = getSafetyProfile(questionnaire).medications;
+    const personalizedRecommendations = await syncRecommendationInstances(
+      pool, userId, 'supplement', personalizeRecommendations(), { getSourceId: rec => rec.key }
+    );
+    
+    // Interactions that involve the recommendations, including between them
+    const interactions = checkInteractions({
+      current: currentSupplements,
+      proposed: personalizedRecommendations,
+      medications
+    }).interactions.filter(finding => finding.items.some(item => item.source === 'proposed'));
+    
+    // Daily nutrient totals across the current stack and the recommendations,
+    // checked against upper intake limits for the user's age and sex
+    const dosageCheck = checkUpperLimits([
+      ...currentSupplements.map(s => ({ name: s.name, dosage: s.dosage, source: 'current' })),
+      ...personalizedRecommendations.map(s => ({ name: s.name, key: s.key, dosage: s.dosage, source: 'recommended' }))
+    ], getLabProfile(questionnaire));
+    
+    await saveRecommendationSnapshot(pool, userId, {
+      source: 'supplements',
+      inputs: summarizeInputs({
+        questionnaire,
+        metrics,
+        bloodwork,
+        currentSupplements: currentSupplements.map(s => ({ name: s.name, dosage: s.dosage || null })),
+        adherence: adherence.enoughData ? adherence.percentage : null,
+        hidden: [...hiddenKeys].sort()
+      }),
+      catalogVersion: catalog.version,
+      model: 'supplement-catalog-personalizer',
+      output: personalizedRecommendations
+    }).catch(err => console.error(`Error saving supplement recommendation snapshot for user ${userId}:`, err));
     
     // Return the personalized supplement recommendations
     res.json({
       success: true,
-      recommendations: personalizedRecommendations
+      recommendations: personalizedRecommendations.map(s => ({ ...s, nutrients: getNutrientAmounts(s) })),
+      labFlags,
+      safetyNotes,
+      interactions,
+      nutrientTotals: dosageCheck.totals,
+      dosageWarnings: dosageCheck.warnings,
+      adherence: {
+        percentage: adherence.percentage,
+        loggedDoses: adherence.loggedDoses,
+        currentStreak: adherence.currentStreak,
+        note: adherenceLimit.reason
+      },
+      catalogVersion: catalog.version
     });
   } catch (error) {
     console.error('Error generating personalized supplement recommendations:', error);
-    
-    // If there's an error, fall back to generic recommendations
-    res.json({
-      success: true,
-      recommendations: [
-        {
-          id: 1,
-          name: 'Vitamin D3',
-          category: 'Essential Nutrients',
-          description: 'Vitamin D is essential for calcium absorption and bone health, with benefits for immune function.',
-          dosage: '2000 IU daily',
-          timing: 'With a meal containing healthy fats',
-          benefits: [
-            'Supports bone health',
-            'Contributes to immune function',
-            'May improve mood and energy levels'
-          ],
-          priority: 'high'
-        },
-        {
-          id: 2,
-          name: 'Magnesium Glycinate',
-          category: 'Minerals',
-          description: 'Magnesium supports muscle recovery and sleep quality.',
-          dosage: '300-400mg daily',
-          timing: 'Before bedtime',
-          benefits: [
-            'Supports muscle recovery',
-            'May improve sleep quality',
-            'Helps regulate stress response'
-          ],
-          priority: 'medium'
-        },
-        {
-          id: 3,
-          name: 'Omega-3 Fatty Acids',
-          category: 'Essential Fatty Acids',
-          description: 'EPA and DHA are essential omega-3 fatty acids that support cardiovascular and cognitive health.',
-          dosage: '1-2g daily',
-          timing: 'With meals',
-          benefits: [
-            'Supports cardiovascular health',
-            'May reduce inflammation',
-            'Supports brain function'
-          ],
-          priority: 'medium'
-        }
-      ]
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate supplement recommendations'
     });
   }
 });
@@ -807,7 +715,7 @@ app.get('/api/context-aware/supplements', async (req, res) => {
   console.log('Received request for supplements at /api/context-aware/supplements');
   
   // Get the userId for personalization
-  const userId = req.userId || '1';
+  const userId = req.userId;
   console.log(`Generating personalized supplement recommendations for user ${userId}`);
   
   try {
@@ -833,8 +741,13 @@ app.get('/api/context-aware/supplements', async (req, res) => {
     // Generate recommendations using OpenAI
     const result = await generateSupplementRecommendations(userData);
     
+    // Drop or flag suggestions that interact with the current stack or medications,
+    // and lower or drop doses that would go over nutrient upper limits
+    const screen = await screenAiSupplements(parseInt(userId), result.recommendations);
+    await saveAiSupplementSnapshot(parseInt(userId), userData, result, screen);
+    
     // Add userId and other required fields to each recommendation
-    const processedRecommendations = result.recommendations.map((rec, index) => ({
+    const processedRecommendations = screen.supplements.map((rec, index) => ({
       ...rec,
       id: index + 1,
       userId: parseInt(userId),
@@ -857,6 +770,7 @@ app.get('/api/context-aware/supplements', async (req, res) => {
     res.json({
       success: true,
       recommendations: processedRecommendations,
+      safetyNotes: screen.safetyNotes,
       analysis: analysis
     });
     
@@ -871,6 +785,55 @@ app.get('/api/context-aware/supplements', async (req, res) => {
   }
 });
 
+// AI suggestions get the same interaction and upper-limit screens as the
+// catalog ones, against the user's current supplements and questionnaire
+// medications. Returns the screened list with the questionnaire and
+// supplements it was checked against.
+async function screenAiSupplements(userId, recommendations) {
+  const { storage } = await import('./server/db-storage.js');
+  const [questionnaire, currentSupplements] = await Promise.all([
+    storage.getQuestionnaire(userId).catch(err => {
+      console.error(`Error fetching questionnaire for user ${userId}:`, err);
+      return null;
+    }),
+    storage.getUserSupplements(userId).catch(err => {
+      console.error(`Error fetching supplements for user ${userId}:`, err);
+      return [];
+    })
+  ]);
+  
+  const screen = applyInteractionScreen(recommendations, {
+    current: currentSupplements,
+    medications: getSafetyProfile(questionnaire).medications
+  });
+  const limits = applyUpperLimitScreen(screen.supplements, {
+    current: currentSupplements,
+    profile: getLabProfile(questionnaire)
+  });
+  return {
+    supplements: limits.supplements,
+    safetyNotes: [...screen.safetyNotes, ...limits.safetyNotes],
+    questionnaire,
+    currentSupplements
+  };
+}
+
+// Record an OpenAI supplement run in the recommendation history
+async function saveAiSupplementSnapshot(userId, userData, result, screen) {
+  const pool = await getPool();
+  await saveRecommendationSnapshot(pool, userId, {
+    source: 'ai-supplements',
+    inputs: summarizeInputs({
+      questionnaire: screen.questionnaire,
+      metrics: userData.metrics || [],
+      currentSupplements: screen.currentSupplements.map(s => ({ name: s.name, dosage: s.dosage || null }))
+    }),
+    catalogVersion: loadSupplementCatalog().version,
+    model: result.model || OPENAI_SUPPLEMENT_MODEL,
+    output: screen.supplements
+  }).catch(err => console.error(`Error saving AI supplement snapshot for user ${userId}:`, err));
+}
+
 // Helper function to get icon based on category
 function getIconForCategory(category) {
   if (!category) return 'supplement';
@@ -896,7 +859,7 @@ app.get('/api/context-aware/supplements/regenerate', async (req, res) => {
   
   try {
     // Get the userId for personalization
-    const userId = req.userId || '1';
+    const userId = req.userId;
     
     // Fetch real user data from the database
     console.log(`Fetching fresh health data for user ID: ${userId}`);
@@ -918,15 +881,18 @@ app.get('/api/context-aware/supplements/regenerate', async (req, res) => {
     
     console.log('Regenerating supplement recommendations using OpenAI');
     
-    // Generate fresh recommendations
+    // Generate fresh recommendations, screened for interactions
     const result = await generateSupplementRecommendations(userData);
+    const screen = await screenAiSupplements(parseInt(userId), result.recommendations);
+    await saveAiSupplementSnapshot(parseInt(userId), userData, result, screen);
     
-    console.log(`Successfully regenerated ${result.recommendations.length} supplement recommendations`);
+    console.log(`Successfully regenerated ${screen.supplements.length} supplement recommendations`);
     
     res.json({
       success: true,
       message: 'Supplement recommendations regenerated successfully',
-      count: result.recommendations.length,
+      count: screen.supplements.length,
+      safetyNotes: screen.safetyNotes,
       timestamp: new Date().toISOString(),
       analysis: result.analysis
     });
@@ -944,22 +910,16 @@ app.get('/api/context-aware/supplements/regenerate', async (req, res) => {
 app.get('/api/context-aware/health-context', async (req, res) => {
   console.log('Received request for health context');
   
-  // Get user ID from request headers
-  const userId = req.headers['x-user-id'] ? parseInt(req.headers['x-user-id'].toString()) : 370; // Default to admin user ID if not provided
+  const userId = parseInt(req.userId);
   console.log(`Processing health context for user ID: ${userId}`);
   
   try {
     // Import needed modules
-    const pg = await import('pg');
     const { storage } = await import('./server/db-storage.js');
-    
-    // Create a database connection
-    const pool = new pg.default.Pool({
-      connectionString: process.env.DATABASE_URL
-    });
+    const pool = await getPool();
     
     // Get user data for personalized context
-    let [questionnaire, metrics, supplements, healthRecommendations, supplementRecommendations] = await Promise.all([
+    let [questionnaire, metrics, supplements, healthRecommendations, supplementRecommendations, adherenceLog] = await Promise.all([
       storage.getQuestionnaire(userId).catch(err => {
         console.error(`Error fetching questionnaire for user ${userId}:`, err);
         return null;
@@ -979,73 +939,88 @@ app.get('/api/context-aware/health-context', async (req, res) => {
       storage.getSupplementRecommendations(userId).catch(err => {
         console.error(`Error fetching supplement recommendations for user ${userId}:`, err);
         return [];
+      }),
+      loadAdherenceLog(pool, userId).catch(err => {
+        console.error(`Error fetching adherence log for user ${userId}:`, err);
+        return [];
       })
     ]);
     
     console.log(`Found ${metrics.length} health metrics for user ${userId}`);
     console.log(`Found ${supplements.length} supplements for user ${userId}`);
     
+    // Analyze each metric type as a time series
+    const metricAnalysis = analyzeMetrics(metrics);
+    
+    // Display values in the unit system the user answered the questionnaire in
+    const unitSystem = getUnitSystem(questionnaire);
+    
+    // Keep the most recent row per metric type for display
+    const latestMetricsByType = new Map();
+    metrics.forEach(metric => {
+      const key = normalizeMetricType(metric.type);
+      const existing = latestMetricsByType.get(key);
+      if (!existing || new Date(metric.date) > new Date(existing.date)) {
+        latestMetricsByType.set(key, metric);
+      }
+    });
+    
     // Format metrics for display
-    const formattedMetrics = metrics.map(metric => {
-      // Handle metric type - support both old and new format
-      let metricName = metric.type;
+    const formattedMetrics = [...latestMetricsByType.values()].map(metric => {
+      // Resolve the metric through the registry, supporting both old and new format
+      const metricType = getMetricType(metric.type);
+      let metricName = metricType ? metricType.name : metric.type;
       
-      // Convert hyphenated names to proper capitalized names (e.g., "sleep-duration" → "Sleep Duration")
-      if (metric.type.includes('-')) {
+      // Convert unregistered hyphenated names to capitalized names (e.g., "sleep-duration" → "Sleep Duration")
+      if (!metricType && metric.type.includes('-')) {
         metricName = metric.type.split('-')
           .map(word => word.charAt(0).toUpperCase() + word.slice(1))
           .join(' ');
       }
       
-      // Determine status based on metric values
-      let status = 'normal';
+      // Determine status from the recent average, falling back to the latest entry.
+      // Blood pressure is classified from both components instead.
+      const analysis = findMetricAnalysis(metricAnalysis, metric.type);
+      const classification = analysis ? analysis.classification : null;
+      const status = classification
+        ? classification.status
+        : getMetricStatus(metric.type, getCurrentValue(analysis));
       
-      // Check specific metrics
-      if (metric.type === 'Sleep Duration' || metric.type === 'sleep-duration') {
-        const hours = parseFloat(metric.value.toString());
-        status = hours < 6 ? 'low' : hours > 9 ? 'high' : 'normal';
-      } else if (metric.type === 'Stress Level' || metric.type === 'stress-level') {
-        const level = parseFloat(metric.value.toString());
-        status = level > 7 ? 'high' : level < 3 ? 'low' : 'normal';
-      } else if (metric.type === 'Exercise Frequency' || metric.type === 'exercise-frequency') {
-        const frequency = parseFloat(metric.value.toString());
-        status = frequency < 2 ? 'low' : frequency > 6 ? 'high' : 'normal';
-      } else if (metric.type === 'Heart Rate' || metric.type === 'heart-rate') {
-        const rate = parseFloat(metric.value.toString());
-        status = rate < 60 ? 'low' : rate > 100 ? 'high' : 'normal';
-      }
-      
-      // Format value with unit
-      let displayValue = metric.value.toString();
-      if (metric.unit) {
-        displayValue += ` ${metric.unit}`;
-      } else {
-        // Add default units for common metrics
-        if (metric.type === 'Weight' || metric.type === 'weight') {
-          displayValue += ' kg';
-        } else if (metric.type === 'Sleep Duration' || metric.type === 'sleep-duration') {
-          displayValue += ' hrs';
-        } else if (metric.type === 'Heart Rate' || metric.type === 'heart-rate') {
-          displayValue += ' bpm';
-        } else if (metric.type === 'Exercise Frequency' || metric.type === 'exercise-frequency') {
-          displayValue += 'x/week';
-        } else if (metric.type === 'Water Intake' || metric.type === 'water-intake') {
-          displayValue += ' L';
-        }
-      }
+      // Convert the latest entry to the user's preferred unit; averages are in the canonical unit
+      const preferred = toPreferredUnit(metric.type, metric.value, metric.unit, unitSystem);
+      const displayValue = preferred.unit ? `${preferred.value} ${preferred.unit}` : preferred.value.toString();
+      const canonicalUnit = metricType ? metricType.defaultUnit : metric.unit;
+      const averageOf = stat => {
+        if (!analysis || analysis[stat] === null) return null;
+        if (analysis.components) return getComponentReading(analysis, stat);
+        return toPreferredUnit(metric.type, analysis[stat], canonicalUnit, unitSystem).value;
+      };
       
       return {
         name: metricName,
         value: displayValue,
-        status
+        unit: preferred.unit,
+        status,
+        icon: metricType ? metricType.icon : null,
+        lastRecordedAt: metric.date || null,
+        ...(classification ? { classification } : {}),
+        average7Day: averageOf('avg7'),
+        average30Day: averageOf('avg30'),
+        trend: analysis ? analysis.trend : 'unknown',
+        freshness: analysis ? analysis.freshness : 'unknown'
       };
     });
     
+    // Adherence over the last 30 days, overall and per supplement
+    const adherence = summarizeAdherence(adherenceLog);
+    const adherenceFor = name => adherence.supplements.find(s => s.supplement.toLowerCase() === (name || '').toLowerCase());
+    
     // Format supplements with proper structure
     const formattedSupplements = supplements.map(supp => ({
       name: supp.name,
       dosage: supp.dosage || 'As directed',
-      timing: supp.timing || 'Daily'
+      timing: supp.timing || 'Daily',
+      adherence: adherenceFor(supp.name)?.percentage ?? null
     }));
     
     // Extract health concerns from various sources
@@ -1096,97 +1071,43 @@ app.get('/api/context-aware/health-context', async (req, res) => {
       });
     }
     
-    // Extract health goals from various sources
-    const goalMetrics = metrics.filter(m => 
-      m.type.includes('goal') || 
-      m.type.includes('Goal') || 
-      m.type.toLowerCase().includes('target')
-    );
-    
-    // Format health goals
-    const formattedGoals = [];
+    // Goals the user has set, with progress from their metric history,
+    // followed by the free-text goals from their questionnaire
+    const goals = await listGoals(pool, userId, { status: 'active', metrics }).catch(err => {
+      console.error(`Error fetching goals for user ${userId}:`, err);
+      return [];
+    });
+    const formattedGoals = goals.map(goal => ({
+      id: goal.id,
+      name: goal.title,
+      description: goal.notes || '',
+      target: describeGoalTarget(goal),
+      metric: goal.metric,
+      deadline: goal.deadline,
+      progress: goal.progress.percentComplete,
+      current: goal.progress.current,
+      eta: goal.progress.eta,
+      onTrack: goal.progress.onTrack,
+      source: 'goal'
+    }));
     
-    // Add goals from questionnaire if available
     if (questionnaire && questionnaire.healthGoals && questionnaire.healthGoals.length > 0) {
       questionnaire.healthGoals.forEach(goal => {
         formattedGoals.push({
           name: goal,
           description: '',
-          target: ''
+          target: '',
+          source: 'questionnaire'
         });
       });
     }
     
-    // Add goals from metrics
-    goalMetrics.forEach(metric => {
-      let goalName = metric.type;
-      if (metric.type.includes('goal-')) {
-        goalName = metric.type.replace('goal-', '');
-      } else if (metric.type.includes('Health Goal: ')) {
-        goalName = metric.type.replace('Health Goal: ', '');
-      }
-      
-      formattedGoals.push({
-        name: goalName,
-        description: metric.value.toString(),
-        target: ''
-      });
-    });
-    
-    // If no goals found but we have questionnaire data, add default goals
-    if (formattedGoals.length === 0 && questionnaire) {
-      // Determine appropriate goals based on metrics
-      const sleepMetric = metrics.find(m => 
-        m.type === 'Sleep Duration' || m.type === 'sleep-duration'
-      );
-      
-      const stressMetric = metrics.find(m => 
-        m.type === 'Stress Level' || m.type === 'stress-level'
-      );
-      
-      const exerciseMetric = metrics.find(m => 
-        m.type === 'Exercise Frequency' || m.type === 'exercise-frequency'
-      );
-      
-      if (sleepMetric) {
-        const hours = parseFloat(sleepMetric.value.toString());
-        if (hours < 7) {
-          formattedGoals.push({
-            name: 'Improve Sleep Quality and Duration',
-            description: 'Working towards optimal sleep for better health',
-            target: '7-8 hours nightly'
-          });
-        }
-      }
-      
-      if (stressMetric) {
-        const level = parseFloat(stressMetric.value.toString());
-        if (level > 6) {
-          formattedGoals.push({
-            name: 'Reduce Stress Levels',
-            description: 'Implementing stress management techniques',
-            target: 'Stress level below 5/10'
-          });
-        }
-      }
-      
-      if (exerciseMetric) {
-        const frequency = parseFloat(exerciseMetric.value.toString());
-        if (frequency < 3) {
-          formattedGoals.push({
-            name: 'Increase Physical Activity',
-            description: 'Adding more regular exercise to routine',
-            target: '3-5x per week'
-          });
-        }
-      }
-    }
-    
     // Count previous recommendations
     const previousRecommendationsCount = {
       health: healthRecommendations.length,
       supplements: supplementRecommendations.length,
-      followedRecommendations: 0 // Would need tracking history to determine this
+      // Recommended supplements the user has logged taking
+      followedRecommendations: supplementRecommendations.filter(rec => adherenceFor(rec.name)?.taken > 0).length
     };
     
     // Prepare the response with actual user data
@@ -1203,6 +1124,7 @@ app.get('/api/context-aware/health-context', async (req, res) => {
         supplements: formattedSupplements.length > 0 ? formattedSupplements : undefined,
         concerns: formattedConcerns.length > 0 ? formattedConcerns : undefined,
         goals: formattedGoals.length > 0 ? formattedGoals : undefined,
+        adherence: adherence.loggedDoses > 0 ? adherence : undefined,
         previousRecommendationsCount: previousRecommendationsCount
       },
       meta: {
@@ -1223,236 +1145,1457 @@ app.get('/api/context-aware/health-context', async (req, res) => {
   }
 });
 
-// Add health check endpoints
-app.get('/health', (req, res) => {
-  res.send('Smart Recommendations API is running');
-});
-
-// Proper health endpoint with format for client
-app.get('/api/context-aware/health', async (req, res) => {
-  console.log('Received request for health context and recommendations');
+// Computed metric trends, rolling baselines and anomalies (?days=30 sets the
+// window the trend is fitted over and anomalies are reported from)
+app.get('/api/context-aware/trends', async (req, res) => {
+  console.log('Received request for metric trends');
   
-  // Get user ID from request headers
-  const userId = req.headers['x-user-id'] ? parseInt(req.headers['x-user-id'].toString()) : 370; // Default to admin user ID if not provided
-  console.log(`Processing health recommendations for user ID: ${userId}`);
+  const userId = parseInt(req.userId);
+  const lookbackDays = req.query.days !== undefined ? Number(req.query.days) : 30;
+  if (!Number.isInteger(lookbackDays) || lookbackDays < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid days',
+      message: 'days must be a positive whole number'
+    });
+  }
+  console.log(`Computing metric trends for user ID: ${userId} over ${lookbackDays} days`);
   
   try {
-    // Import needed modules
-    const pg = await import('pg');
     const { storage } = await import('./server/db-storage.js');
+    const metrics = await storage.getHealthMetrics(userId);
     
-    // Create a database connection
-    const pool = new pg.default.Pool({
-      connectionString: process.env.DATABASE_URL
-    });
+    const trends = computeMetricTrends(metrics, { lookbackDays });
     
-    // Get user questionnaire data and metrics for personalized recommendations
-    let questionnaire = null;
-    let metrics = [];
-    try {
-      [questionnaire, metrics] = await Promise.all([
-        storage.getQuestionnaire(userId).catch(err => {
-          console.error(`Error fetching questionnaire for user ${userId}:`, err);
-          return null;
-        }),
-        storage.getHealthMetrics(userId).catch(err => {
-          console.error(`Error fetching health metrics for user ${userId}:`, err);
-          return [];
-        })
-      ]);
-    } catch (err) {
-      console.error(`Error fetching user health data:`, err);
-    }
+    // Persist the computed trend so the dashboard shows real data
+    const pool = await getPool();
+    const updatedRows = await saveComputedTrends(pool, userId, trends);
+    console.log(`Updated trend on ${updatedRows} health metrics for user ${userId}`);
     
-    // Base recommendations that will be personalized
-    const baseRecommendations = [
-      {
-        id: '1',
-        title: 'Improve Sleep Quality',
-        description: 'Based on your sleep patterns, we recommend establishing a consistent sleep schedule.',
-        category: 'Sleep',
-        priority: 'medium',
-        timeframe: 'Daily',
-        effort: 'moderate',
-        contextualFactors: ['Sleep routine', 'Screen time before bed'],
-        reasonForRecommendation: 'Consistent sleep patterns can improve overall energy and recovery.',
-        expectedBenefits: ['Better recovery', 'Improved energy levels', 'Enhanced cognitive function'],
-        trackingMetrics: ['Sleep duration', 'Sleep quality']
-      },
-      {
-        id: '2',
-        title: 'Reduce Stress Levels',
-        description: 'Consider incorporating mindfulness practices to manage stress levels.',
-        category: 'Stress',
-        priority: 'medium',
-        timeframe: 'Daily',
-        effort: 'low',
-        contextualFactors: ['Stress management', 'Work-life balance'],
-        reasonForRecommendation: 'Managing stress can improve both mental and physical health.',
-        expectedBenefits: ['Lower anxiety', 'Improved mood', 'Better cardiovascular health'],
-        trackingMetrics: ['Stress level', 'Heart rate variability']
-      },
-      {
-        id: '3',
-        title: 'Optimize Exercise Routine',
-        description: 'Incorporate a mix of cardio and strength training into your exercise regimen.',
-        category: 'Exercise',
-        priority: 'medium',
-        timeframe: 'Weekly',
-        effort: 'moderate',
-        contextualFactors: ['Physical activity', 'Fitness goals'],
-        reasonForRecommendation: 'A balanced exercise routine supports overall health and fitness.',
-        expectedBenefits: ['Improved muscle tone', 'Enhanced cardiovascular health', 'Better body composition'],
-        trackingMetrics: ['Exercise frequency', 'Workout intensity']
-      },
-      {
-        id: '4',
-        title: 'Increase Hydration',
-        description: 'Aim to consume more water throughout the day to maintain proper hydration levels.',
-        category: 'Hydration',
-        priority: 'medium',
-        timeframe: 'Daily',
-        effort: 'easy',
-        contextualFactors: ['Hydration habits', 'Climate considerations'],
-        reasonForRecommendation: 'Proper hydration supports overall metabolic health and physical performance.',
-        expectedBenefits: ['Better energy levels', 'Improved skin health', 'Enhanced digestion'],
-        trackingMetrics: ['Daily water intake', 'Hydration status']
-      },
-      {
-        id: '5',
-        title: 'Optimize Nutrition',
-        description: 'Focus on a balanced diet with adequate protein, fruits, and vegetables.',
-        category: 'Nutrition',
-        priority: 'high',
-        timeframe: 'Daily',
-        effort: 'moderate',
-        contextualFactors: ['Dietary patterns', 'Nutritional needs'],
-        reasonForRecommendation: 'A balanced diet provides essential nutrients for overall health and energy.',
-        expectedBenefits: ['Improved energy', 'Better nutrient intake', 'Supported immune function'],
-        trackingMetrics: ['Meal composition', 'Macronutrient balance']
+    res.json({
+      success: true,
+      trends: trends.map(({ latestMetricId, ...trend }) => trend),
+      meta: {
+        generatedAt: new Date().toISOString(),
+        lookbackDays,
+        anomalyCount: trends.reduce((sum, t) => sum + t.anomalies.length, 0),
+        updatedRows
       }
+    });
+  } catch (error) {
+    console.error('Error computing metric trends:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute metric trends'
+    });
+  }
+});
+
+// Record a health metric, normalized to the registry's canonical unit
+app.post('/api/context-aware/metrics', async (req, res) => {
+  console.log('Received request to record a health metric');
+  
+  const userId = parseInt(req.userId);
+  
+  let prepared;
+  try {
+    prepared = prepareMetricForWrite(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid health metric',
+      message: error.message
+    });
+  }
+  
+  try {
+    const pool = await getPool();
+    const [metric] = await insertHealthMetrics(pool, userId, [prepared]);
+    console.log(`Recorded ${metric.type} = ${metric.value} ${metric.unit || ''} for user ${userId}`);
+    
+    res.status(201).json({
+      success: true,
+      metric
+    });
+  } catch (error) {
+    console.error('Error recording health metric:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record health metric'
+    });
+  }
+});
+
+// Bulk import of historical metrics from CSV or JSON.
+// Send text/csv directly, or JSON as { format, content | metrics, columns, dryRun }.
+app.post('/api/context-aware/metrics/import', async (req, res) => {
+  console.log('Received request to import health metrics');
+  
+  const userId = parseInt(req.userId);
+  const isCsvUpload = typeof req.body === 'string';
+  const body = isCsvUpload ? {} : (req.body || {});
+  const content = isCsvUpload ? req.body : (body.content !== undefined ? body.content : body.metrics);
+  // Without a format, content that is already an array or object is JSON and text is CSV
+  const format = isCsvUpload ? 'csv' : (body.format || (content !== null && typeof content === 'object' ? 'json' : 'csv'));
+  const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+  
+  if (content === undefined || content === null || content === '') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid import',
+      message: 'Provide CSV text, or JSON with "content" or a "metrics" array'
+    });
+  }
+  
+  try {
+    const pool = await getPool();
+    const report = await importHealthMetrics(pool, userId, content, {
+      format,
+      columns: body.columns || {},
+      dryRun
+    });
+    console.log(`Imported ${report.imported} metrics for user ${userId} (${report.duplicates.length} duplicates, ${report.errors.length} errors)`);
+    
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    const isParseError = error instanceof MetricImportError;
+    console.error('Error importing health metrics:', error);
+    res.status(isParseError ? 400 : 500).json({
+      success: false,
+      error: isParseError ? 'Invalid import' : 'Failed to import health metrics',
+      message: error.message
+    });
+  }
+});
+
+// Export the user's metrics and lab results as a FHIR R4 Observation bundle
+app.get('/api/context-aware/fhir/export', async (req, res) => {
+  console.log('Received request for FHIR export');
+  
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const bundle = await exportFhirBundle(pool, userId);
+    console.log(`Exported ${bundle.entry.length} FHIR observations for user ${userId}`);
+    
+    res.type('application/fhir+json').send(JSON.stringify(bundle));
+  } catch (error) {
+    console.error('Error exporting FHIR bundle:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export FHIR bundle'
+    });
+  }
+});
+
+// Import a FHIR R4 Bundle of Observations (?dryRun=true to preview)
+app.post('/api/context-aware/fhir/import', async (req, res) => {
+  console.log('Received request for FHIR import');
+  
+  const userId = parseInt(req.userId);
+  const bundle = req.body;
+  
+  if (!bundle || !['Bundle', 'Observation'].includes(bundle.resourceType)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid FHIR resource',
+      message: 'Expected a FHIR Bundle or Observation resource'
+    });
+  }
+  
+  try {
+    const pool = await getPool();
+    const report = await importFhirBundle(pool, userId, bundle, { dryRun: req.query.dryRun === 'true' });
+    console.log(`Imported ${report.metrics.imported} metrics and ${report.bloodwork.imported} lab results from FHIR for user ${userId}`);
+    
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Error importing FHIR bundle:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import FHIR bundle'
+    });
+  }
+});
+
+// Submit a bloodwork panel. Body: { panel, date, results: [{ analyte, value, unit, min, max, date }] }.
+// Results are checked against the lab's range, or the default for the user's sex and age.
+app.post('/api/context-aware/bloodwork', async (req, res) => {
+  console.log('Received request to record a bloodwork panel');
+  
+  const userId = parseInt(req.userId);
+  const body = req.body || {};
+  
+  if (!Array.isArray(body.results) || body.results.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid bloodwork panel',
+      message: 'Provide a non-empty "results" array'
+    });
+  }
+  
+  try {
+    const { storage } = await import('./server/db-storage.js');
+    const questionnaire = await storage.getQuestionnaire(userId).catch(err => {
+      console.error(`Error fetching questionnaire for user ${userId}:`, err);
+      return null;
+    });
+    const profile = getLabProfile(questionnaire);
+    
+    // Validate the whole panel before writing any of it
+    const prepared = [];
+    const errors = [];
+    body.results.forEach((result, index) => {
+      try {
+        prepared.push(prepareBloodworkForWrite({
+          ...result,
+          type: result.analyte || result.type,
+          date: result.date || body.date
+        }, profile));
+      } catch (error) {
+        errors.push({ index, analyte: result.analyte || result.type, error: error.message });
+      }
+    });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bloodwork panel',
+        message: `${errors.length} of ${body.results.length} results could not be recorded`,
+        errors
+      });
+    }
+    
+    const pool = await getPool();
+    const inserted = await insertBloodworkResults(pool, userId, prepared);
+    const flags = getBloodworkFlags(buildBloodworkContext(inserted, profile));
+    console.log(`Recorded ${inserted.length} lab results (${flags.length} flagged) for user ${userId}`);
+    
+    res.status(201).json({
+      success: true,
+      panel: body.panel || null,
+      uploadId: inserted[0].upload_id,
+      results: inserted.map((row, index) => ({ ...row, rangeSource: prepared[index].rangeSource })),
+      flags
+    });
+  } catch (error) {
+    console.error('Error recording bloodwork panel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record bloodwork panel'
+    });
+  }
+});
+
+// Latest result per analyte, with the results outside their reference range
+app.get('/api/context-aware/bloodwork', async (req, res) => {
+  console.log('Received request for bloodwork results');
+  
+  const userId = parseInt(req.userId);
+  
+  try {
+    const { storage } = await import('./server/db-storage.js');
+    const pool = await getPool();
+    const [questionnaire, results] = await Promise.all([
+      storage.getQuestionnaire(userId).catch(err => {
+        console.error(`Error fetching questionnaire for user ${userId}:`, err);
+        return null;
+      }),
+      loadLatestBloodwork(pool, userId)
+    ]);
+    
+    res.json({
+      success: true,
+      results,
+      flags: getBloodworkFlags(buildBloodworkContext(results, getLabProfile(questionnaire)))
+    });
+  } catch (error) {
+    console.error('Error fetching bloodwork results:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bloodwork results'
+    });
+  }
+});
+
+// Upload a lab report for review: a text-based PDF (application/pdf), pasted
+// text (text/plain), or JSON { text | pdf (base64), fileName }. Nothing is
+// written to bloodwork_results until the returned draft is confirmed.
+app.post('/api/context-aware/bloodwork/reports', async (req, res) => {
+  console.log('Received lab report upload');
+  
+  const userId = parseInt(req.userId);
+  let upload;
+  if (Buffer.isBuffer(req.body)) {
+    upload = { pdf: req.body, fileName: req.query.fileName || null };
+  } else if (typeof req.body === 'string') {
+    upload = { text: req.body, fileName: req.query.fileName || null };
+  } else {
+    const body = req.body || {};
+    upload = {
+      pdf: body.pdf ? Buffer.from(body.pdf, 'base64') : null,
+      text: body.text || null,
+      fileName: body.fileName || null
+    };
+  }
+  
+  try {
+    const pool = await getPool();
+    const draft = await createLabReportDraft(pool, userId, upload);
+    console.log(`Created lab report draft ${draft.id} with ${draft.results.length} results for user ${userId}`);
+    
+    res.status(201).json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    const isReportError = error instanceof LabReportError;
+    console.error('Error reading lab report:', error);
+    res.status(isReportError ? 400 : 500).json({
+      success: false,
+      error: isReportError ? 'Invalid lab report' : 'Failed to read lab report',
+      message: error.message
+    });
+  }
+});
+
+// Review a lab report draft
+app.get('/api/context-aware/bloodwork/reports/:id', async (req, res) => {
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const draft = await getLabReportDraft(pool, userId, req.params.id);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lab report draft not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    console.error('Error fetching lab report draft:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lab report draft'
+    });
+  }
+});
+
+// Confirm a reviewed draft. Body: { results (corrected rows, optional), collectedAt }
+app.post('/api/context-aware/bloodwork/reports/:id/confirm', async (req, res) => {
+  console.log(`Received confirmation for lab report draft ${req.params.id}`);
+  
+  const userId = parseInt(req.userId);
+  const body = req.body || {};
+  
+  try {
+    const { storage } = await import('./server/db-storage.js');
+    const questionnaire = await storage.getQuestionnaire(userId).catch(err => {
+      console.error(`Error fetching questionnaire for user ${userId}:`, err);
+      return null;
+    });
+    
+    const pool = await getPool();
+    const outcome = await confirmLabReportDraft(pool, userId, req.params.id, {
+      results: Array.isArray(body.results) ? body.results : null,
+      collectedAt: body.collectedAt || null,
+      profile: getLabProfile(questionnaire)
+    });
+    
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lab report draft not found'
+      });
+    }
+    if (outcome.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lab report draft',
+        message: `${outcome.errors.length} results need correcting before they can be recorded`,
+        errors: outcome.errors
+      });
+    }
+    
+    console.log(`Confirmed lab report draft ${req.params.id}: imported ${outcome.report.imported} results for user ${userId}`);
+    res.json({
+      success: true,
+      draft: outcome.draft,
+      report: outcome.report
+    });
+  } catch (error) {
+    const isReportError = error instanceof LabReportError;
+    console.error('Error confirming lab report draft:', error);
+    res.status(isReportError ? 400 : 500).json({
+      success: false,
+      error: isReportError ? 'Invalid lab report draft' : 'Failed to confirm lab report draft',
+      message: error.message
+    });
+  }
+});
+
+// Discard a pending lab report draft
+app.delete('/api/context-aware/bloodwork/reports/:id', async (req, res) => {
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const discarded = await discardLabReportDraft(pool, userId, req.params.id);
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending lab report draft with this id'
+      });
+    }
+    
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error discarding lab report draft:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard lab report draft'
+    });
+  }
+});
+
+// Supplement catalog the recommender draws from (?version=N for an earlier version)
+app.get('/api/context-aware/supplements/catalog', (req, res) => {
+  try {
+    const catalog = req.query.version
+      ? loadCatalogVersion(parseInt(req.query.version.toString()))
+      : loadSupplementCatalog();
+    if (!catalog) {
+      return res.status(404).json({
+        success: false,
+        error: `Catalog version ${req.query.version} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      catalog
+    });
+  } catch (error) {
+    console.error('Error loading supplement catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load supplement catalog'
+    });
+  }
+});
+
+// Catalog version history
+app.get('/api/context-aware/admin/supplements/catalog/versions', requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      versions: listCatalogVersions()
+    });
+  } catch (error) {
+    console.error('Error listing supplement catalog versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list supplement catalog versions'
+    });
+  }
+});
+
+// Add a supplement to the catalog, creating a new catalog version
+app.post('/api/context-aware/admin/supplements/catalog', requireAdmin, (req, res) => {
+  const entry = req.body || {};
+  console.log(`Admin ${req.userId} adding supplement "${entry.key}" to the catalog`);
+  
+  try {
+    if (loadSupplementCatalog().entries.some(existing => existing.key === entry.key)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Supplement already exists',
+        message: `Use PUT /api/context-aware/admin/supplements/catalog/${entry.key} to edit it`
+      });
+    }
+    
+    const saved = saveCatalogEntry(entry, { updatedBy: parseInt(req.userId) });
+    res.status(201).json({
+      success: true,
+      ...saved
+    });
+  } catch (error) {
+    if (error instanceof CatalogLockedError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Supplement catalog is busy',
+        message: error.message
+      });
+    }
+    const isInvalid = error instanceof SupplementCatalogError;
+    console.error('Error adding supplement to catalog:', error);
+    res.status(isInvalid ? 400 : 500).json({
+      success: false,
+      error: isInvalid ? 'Invalid catalog entry' : 'Failed to save supplement catalog',
+      message: error.message
+    });
+  }
+});
+
+// Edit a catalog entry; fields not sent are kept. Set "active": false to retire it.
+app.put('/api/context-aware/admin/supplements/catalog/:key', requireAdmin, (req, res) => {
+  const key = req.params.key;
+  console.log(`Admin ${req.userId} editing supplement "${key}" in the catalog`);
+  
+  try {
+    if (!loadSupplementCatalog().entries.some(existing => existing.key === key)) {
+      return res.status(404).json({
+        success: false,
+        error: `Supplement "${key}" not found in the catalog`
+      });
+    }
+    
+    const { id, ...changes } = req.body || {};
+    const saved = saveCatalogEntry({ ...changes, key }, { updatedBy: parseInt(req.userId) });
+    res.json({
+      success: true,
+      ...saved
+    });
+  } catch (error) {
+    if (error instanceof CatalogLockedError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Supplement catalog is busy',
+        message: error.message
+      });
+    }
+    const isInvalid = error instanceof SupplementCatalogError;
+    console.error('Error editing supplement catalog entry:', error);
+    res.status(isInvalid ? 400 : 500).json({
+      success: false,
+      error: isInvalid ? 'Invalid catalog entry' : 'Failed to save supplement catalog',
+      message: error.message
+    });
+  }
+});
+
+// Check the user's current supplements and medications, plus any proposed
+// additions, for interactions and duplicated nutrients. Proposed items are
+// supplement names or catalog keys: POST { proposed: [...], medications: [...] }
+// or GET ?proposed=zinc,St John's Wort.
+const checkSupplementInteractions = async (req, res) => {
+  console.log('Received request for supplement interaction check');
+  
+  const userId = parseInt(req.userId);
+  const input = req.method === 'POST' ? (req.body || {}) : req.query;
+  const toArray = value => (Array.isArray(value) ? value : (value ? value.toString().split(',') : []));
+  
+  try {
+    const { storage } = await import('./server/db-storage.js');
+    const [questionnaire, currentSupplements] = await Promise.all([
+      storage.getQuestionnaire(userId).catch(err => {
+        console.error(`Error fetching questionnaire for user ${userId}:`, err);
+        return null;
+      }),
+      storage.getUserSupplements(userId)
+    ]);
+    
+    // Proposed catalog keys resolve to their entries so names like
+    // "Iron Bisglycinate" are recognised by key as well as by name
+    const catalogEntries = loadSupplementCatalog().entries;
+    const proposed = toArray(input.proposed).map(item => {
+      const key = typeof item === 'string' ? item.trim() : item?.key;
+      const entry = catalogEntries.find(e => e.key === key);
+      return entry ? { name: entry.name, key: entry.key } : item;
+    });
+    const medications = [
+      ...getSafetyProfile(questionnaire).medications,
+      ...toArray(input.medications)
     ];
     
-    // Analyze metrics to personalize recommendations
-    const personalizedRecommendations = baseRecommendations.map(rec => {
-      const personalized = { ...rec };
-      personalized.userId = userId;
-      personalized.source = 'context';
-      personalized.date = new Date().toISOString();
-      personalized.isCompleted = false;
-      personalized.interactionNotes = [];
-      
-      // Personalize based on metrics
-      if (rec.category === 'Sleep') {
-        const sleepMetric = metrics.find(m => 
-          m.type === 'Sleep Duration' || m.type === 'sleep-duration'
-        );
-        
-        if (sleepMetric) {
-          const hours = parseFloat(sleepMetric.value.toString());
-          if (hours < 6) {
-            personalized.priority = 'high';
-            personalized.description = 'Your sleep data indicates you may be getting less sleep than recommended. Aim for 7-9 hours of sleep per night.';
-            personalized.reasonForRecommendation = 'Your health data shows you average ' + hours + ' hours of sleep, which is below the recommended range.';
-          } else if (hours > 9) {
-            personalized.description = 'You appear to sleep more than average. Focus on sleep quality rather than duration.';
-            personalized.reasonForRecommendation = 'Your health data shows you average ' + hours + ' hours of sleep, which is above the recommended range. This may indicate poor sleep quality or other issues.';
-          }
-        }
-      }
-      
-      if (rec.category === 'Stress') {
-        const stressMetric = metrics.find(m => 
-          m.type === 'Stress Level' || m.type === 'stress-level'
-        );
-        
-        if (stressMetric) {
-          const level = parseFloat(stressMetric.value.toString());
-          if (level > 7) {
-            personalized.priority = 'high';
-            personalized.description = 'Your stress level appears elevated. Consider more focused stress management techniques like meditation or deep breathing exercises.';
-            personalized.reasonForRecommendation = 'Your recorded stress level of ' + level + '/10 indicates elevated stress that may benefit from focused management techniques.';
-          }
-        }
-      }
-      
-      if (rec.category === 'Exercise') {
-        const exerciseMetric = metrics.find(m => 
-          m.type === 'Exercise Frequency' || m.type === 'exercise-frequency'
-        );
-        
-        if (exerciseMetric) {
-          const frequency = parseFloat(exerciseMetric.value.toString());
-          if (frequency < 3) {
-            personalized.priority = 'high';
-            personalized.description = 'Consider increasing your exercise frequency to at least 3-4 times per week.';
-            personalized.reasonForRecommendation = 'Your current exercise frequency of ' + frequency + ' times per week is below the recommended level for optimal health benefits.';
-          } else if (frequency > 5) {
-            personalized.description = 'You exercise frequently. Focus on recovery and exercise quality rather than increasing frequency.';
-            personalized.reasonForRecommendation = 'Your exercise frequency is good at ' + frequency + ' times per week. Consider focusing on quality and recovery.';
-          }
-        }
-      }
-      
-      // Personalize based on questionnaire data
-      if (questionnaire) {
-        // Add personalization based on health goals
-        if (questionnaire.healthGoals && questionnaire.healthGoals.length > 0) {
-          const goals = questionnaire.healthGoals;
-          
-          if (goals.some(g => g.toLowerCase().includes('weight') || g.toLowerCase().includes('fat'))) {
-            if (rec.category === 'Exercise' || rec.category === 'Nutrition') {
-              personalized.priority = 'high';
-              personalized.expectedBenefits.push('Weight management');
-              if (rec.category === 'Exercise') {
-                personalized.description += ' For weight management, include both cardio and strength training.';
-              } else if (rec.category === 'Nutrition') {
-                personalized.description += ' Focus on portion control and nutrient-dense foods for weight management.';
-              }
-            }
-          }
-          
-          if (goals.some(g => g.toLowerCase().includes('energy') || g.toLowerCase().includes('fatigue'))) {
-            if (rec.category === 'Sleep' || rec.category === 'Nutrition') {
-              personalized.priority = 'high';
-              personalized.expectedBenefits.push('Increased energy levels');
-            }
-          }
-          
-          if (goals.some(g => g.toLowerCase().includes('stress') || g.toLowerCase().includes('anxiety'))) {
-            if (rec.category === 'Stress') {
-              personalized.priority = 'high';
-              personalized.description = 'Based on your goals, we recommend prioritizing stress management with daily mindfulness practices.';
-            }
-          }
-        }
-        
-        // Adjust based on dietary preferences
-        if (questionnaire.dietaryPreferences && questionnaire.dietaryPreferences.length > 0) {
-          const diet = questionnaire.dietaryPreferences;
-          
-          if (diet.some(d => d.toLowerCase().includes('vegetarian') || d.toLowerCase().includes('vegan'))) {
-            if (rec.category === 'Nutrition') {
-              personalized.description += ' Ensure adequate protein intake from plant sources like legumes, tofu, and tempeh.';
-              personalized.contextualFactors.push('Plant-based diet');
-            }
-          }
-        }
-      }
-      
-      return personalized;
+    const result = checkInteractions({ current: currentSupplements, proposed, medications });
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error checking supplement interactions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check supplement interactions'
+    });
+  }
+};
+app.get('/api/context-aware/supplements/interactions', checkSupplementInteractions);
+app.post('/api/context-aware/supplements/interactions', checkSupplementInteractions);
+
+// Daily schedule for the user's current supplements plus accepted supplement
+// recommendations; more catalog keys can be added with ?include=zinc,vitamin-d3.
+// ?format=ics downloads it as an iCalendar file of daily reminders.
+app.get('/api/context-aware/supplements/schedule', async (req, res) => {
+  console.log('Received request for supplement schedule');
+  
+  const userId = parseInt(req.userId);
+  const includeKeys = req.query.include ? req.query.include.toString().split(',').map(key => key.trim()).filter(Boolean) : [];
+  
+  try {
+    const catalogEntries = loadSupplementCatalog().entries;
+    const unknownKeys = includeKeys.filter(key => !catalogEntries.some(entry => entry.key === key));
+    if (unknownKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown supplements',
+        message: `Not in the supplement catalog: ${unknownKeys.join(', ')}`
+      });
+    }
+    
+    const { storage } = await import('./server/db-storage.js');
+    const pool = await getPool();
+    const [currentSupplements, accepted] = await Promise.all([
+      storage.getUserSupplements(userId),
+      loadRecommendationInstances(pool, userId, { kind: 'supplement', status: 'accepted' })
+    ]);
+    const scheduledKeys = [...new Set([...accepted.map(instance => instance.sourceId), ...includeKeys])]
+      .filter(key => catalogEntries.some(entry => entry.key === key));
+    
+    // Current supplements take their timing from the catalog when they match an entry
+    const findEntry = name => catalogEntries.find(entry => entry.name.toLowerCase() === (name || '').toLowerCase());
+    const supplements = [
+      ...currentSupplements.map(s => ({
+        name: s.name,
+        key: findEntry(s.name)?.key || null,
+        dosage: s.dosage || null,
+        timing: s.timing || findEntry(s.name)?.timing || null,
+        source: 'current'
+      })),
+      ...scheduledKeys
+        .map(key => catalogEntries.find(entry => entry.key === key))
+        .filter(entry => !currentSupplements.some(s => s.name.toLowerCase() === entry.name.toLowerCase()))
+        .map(entry => ({ name: entry.name, key: entry.key, dosage: entry.dosage, timing: entry.timing, source: 'accepted' }))
+    ];
+    
+    const schedule = buildSupplementSchedule(supplements);
+    
+    if (req.query.format === 'ics') {
+      res.attachment('supplement-schedule.ics');
+      return res.type('text/calendar').send(buildScheduleCalendar(schedule, { userId }));
+    }
+    
+    res.json({
+      success: true,
+      ...schedule
+    });
+  } catch (error) {
+    console.error('Error building supplement schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build supplement schedule'
+    });
+  }
+});
+
+// Log supplement doses as taken or skipped. Body: one entry or
+// { entries: [{ supplement, key?, date?, slot?, status, note? }] }; the date
+// defaults to today and the slot to "daily".
+app.post('/api/context-aware/supplements/adherence', async (req, res) => {
+  console.log('Received supplement adherence log');
+  
+  const userId = parseInt(req.userId);
+  const body = req.body || {};
+  const entries = Array.isArray(body.entries) ? body.entries : [body];
+  
+  try {
+    const pool = await getPool();
+    const saved = await recordAdherence(pool, userId, entries);
+    console.log(`Logged ${saved.length} supplement doses for user ${userId}`);
+    
+    res.status(201).json({
+      success: true,
+      entries: saved,
+      summary: summarizeAdherence(await loadAdherenceLog(pool, userId))
+    });
+  } catch (error) {
+    const isInvalid = error instanceof AdherenceError;
+    console.error('Error logging supplement adherence:', error);
+    res.status(isInvalid ? 400 : 500).json({
+      success: false,
+      error: isInvalid ? 'Invalid adherence entry' : 'Failed to log supplement doses',
+      message: error.message
+    });
+  }
+});
+
+// Number of days of adherence log to return, or null when invalid
+function parseAdherenceDays(value) {
+  if (value === undefined) return 30;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= 365 ? days : null;
+}
+
+// Adherence log, percentages and streaks (?days=30)
+app.get('/api/context-aware/supplements/adherence', async (req, res) => {
+  console.log('Received request for supplement adherence');
+  
+  const userId = parseInt(req.userId);
+  const days = parseAdherenceDays(req.query.days);
+  if (days === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid days',
+      message: 'days must be a whole number of days between 1 and 365'
+    });
+  }
+  
+  try {
+    const pool = await getPool();
+    const log = await loadAdherenceLog(pool, userId, { days });
+    
+    res.json({
+      success: true,
+      log,
+      summary: summarizeAdherence(log, { days })
+    });
+  } catch (error) {
+    console.error('Error fetching supplement adherence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supplement adherence'
+    });
+  }
+});
+
+// Tracked recommendations and their statuses (?kind=health|lifestyle|supplement, ?status=accepted)
+app.get('/api/context-aware/recommendations', async (req, res) => {
+  console.log('Received request for tracked recommendations');
+  
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const recommendations = await loadRecommendationInstances(pool, userId, {
+      kind: req.query.kind ? req.query.kind.toString() : null,
+      status: req.query.status ? req.query.status.toString() : null
+    });
+    
+    res.json({
+      success: true,
+      recommendations
+    });
+  } catch (error) {
+    console.error('Error fetching tracked recommendations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recommendations'
+    });
+  }
+});
+
+// Track a recommendation generated elsewhere, e.g. by the AI supplement
+// endpoints. Body: { kind, sourceId?, recommendation }
+app.post('/api/context-aware/recommendations', async (req, res) => {
+  console.log('Received request to track a recommendation');
+  
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const { instance, created } = await createRecommendationInstance(pool, userId, req.body || {});
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      recommendation: instance,
+      created
+    });
+  } catch (error) {
+    const isInvalid = error instanceof RecommendationStateError;
+    console.error('Error tracking recommendation:', error);
+    res.status(isInvalid ? 400 : 500).json({
+      success: false,
+      error: isInvalid ? 'Invalid recommendation' : 'Failed to track recommendation',
+      message: error.message
+    });
+  }
+});
+
+// Change a recommendation's status: accepted, dismissed (needs a reason),
+// snoozed (needs snoozedUntil), completed, or back to new
+async function updateRecommendationStatus(req, res, change) {
+  const userId = parseInt(req.userId);
+  console.log(`User ${userId} marking recommendation ${req.params.id} as ${change.status}`);
+  
+  try {
+    const pool = await getPool();
+    const recommendation = await transitionRecommendation(pool, userId, req.params.id, change);
+    if (!recommendation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recommendation not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      recommendation
+    });
+  } catch (error) {
+    const isInvalid = error instanceof RecommendationStateError;
+    console.error('Error updating recommendation status:', error);
+    res.status(isInvalid ? 400 : 500).json({
+      success: false,
+      error: isInvalid ? 'Invalid status change' : 'Failed to update recommendation',
+      message: error.message
+    });
+  }
+}
+
+// Body: { status, reason?, snoozedUntil? }
+app.patch('/api/context-aware/recommendations/:id', (req, res) => {
+  const { status, reason, snoozedUntil } = req.body || {};
+  updateRecommendationStatus(req, res, { status, reason, snoozedUntil });
+});
+
+// POST .../:id/accept, /dismiss { reason }, /snooze { snoozedUntil }, /complete or /restore
+app.post('/api/context-aware/recommendations/:id/:action', (req, res) => {
+  const status = RECOMMENDATION_ACTIONS[req.params.action];
+  if (!status) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown action "${req.params.action}"`
+    });
+  }
+  const { reason, snoozedUntil } = req.body || {};
+  updateRecommendationStatus(req, res, { status, reason, snoozedUntil });
+});
+
+// Snapshots of past recommendation runs, newest first
+// (?source=health|health-recommendations|supplements, ?limit=20)
+app.get('/api/context-aware/history', async (req, res) => {
+  console.log('Received request for recommendation history');
+  
+  const userId = parseInt(req.userId);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  
+  try {
+    const pool = await getPool();
+    const snapshots = await listRecommendationSnapshots(pool, userId, {
+      source: req.query.source ? req.query.source.toString() : null,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      snapshots
+    });
+  } catch (error) {
+    console.error('Error fetching recommendation history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recommendation history'
+    });
+  }
+});
+
+// Why recommendations changed between two snapshots. Either ?from=&to= snapshot
+// ids, or ?source= with an optional ?since= date: compares the latest snapshot
+// with the last one taken by that date, or with the one before it.
+app.get('/api/context-aware/history/diff', async (req, res) => {
+  console.log('Received request for a recommendation history diff');
+  
+  const userId = parseInt(req.userId);
+  const { from: fromId, to: toId, source, since } = req.query;
+  
+  const sinceDate = since ? new Date(since.toString()) : null;
+  if (sinceDate && isNaN(sinceDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date',
+      message: `"${since}" is not a valid date for since`
+    });
+  }
+  if (!source && !(fromId && toId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing snapshots',
+      message: 'Give both from and to snapshot ids, or a source to compare its latest snapshot'
+    });
+  }
+  
+  try {
+    const pool = await getPool();
+    
+    let to = toId
+      ? await getRecommendationSnapshot(pool, userId, toId.toString())
+      : await findSnapshotBefore(pool, userId, source.toString());
+    let from = null;
+    if (fromId) {
+      from = await getRecommendationSnapshot(pool, userId, fromId.toString());
+    } else if (to && sinceDate) {
+      from = await findSnapshotBefore(pool, userId, to.source, sinceDate);
+    } else if (to) {
+      // The run before the latest one
+      const [, previous] = await listRecommendationSnapshots(pool, userId, { source: to.source, limit: 2 });
+      from = previous ? await getRecommendationSnapshot(pool, userId, previous.id) : null;
+    }
+    
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found',
+        message: !to ? 'No snapshot to compare' : 'No earlier snapshot to compare with'
+      });
+    }
+    
+    res.json({
+      success: true,
+      diff: diffSnapshots(from, to)
+    });
+  } catch (error) {
+    console.error('Error diffing recommendation snapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare recommendation snapshots'
+    });
+  }
+});
+
+// One snapshot with the inputs it was generated from and its recommendations
+app.get('/api/context-aware/history/:id', async (req, res) => {
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const snapshot = await getRecommendationSnapshot(pool, userId, req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    console.error('Error fetching recommendation snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recommendation snapshot'
+    });
+  }
+});
+
+// Window in days for outcome comparisons, from ?windowDays=; null when invalid
+function parseOutcomeWindow(value) {
+  if (value === undefined) return DEFAULT_OUTCOME_WINDOW_DAYS;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= 90 ? days : null;
+}
+
+// Whether the user's accepted recommendations moved their tracking metrics
+// (?windowDays=14 before and after acceptance, ?kind=health)
+app.get('/api/context-aware/outcomes', async (req, res) => {
+  console.log('Received request for recommendation outcomes');
+  
+  const userId = parseInt(req.userId);
+  const windowDays = parseOutcomeWindow(req.query.windowDays);
+  if (windowDays === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid window',
+      message: 'windowDays must be a whole number of days between 1 and 90'
+    });
+  }
+  
+  try {
+    const pool = await getPool();
+    const { outcomes, summary } = await evaluateOutcomes(pool, {
+      userId,
+      kind: req.query.kind ? req.query.kind.toString() : 'health',
+      windowDays
+    });
+    
+    res.json({
+      success: true,
+      windowDays,
+      outcomes,
+      summary: summary.overall
+    });
+  } catch (error) {
+    console.error('Error evaluating recommendation outcomes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate recommendation outcomes'
+    });
+  }
+});
+
+// Outcomes across all users, aggregated per recommendation and per rule
+app.get('/api/context-aware/admin/outcomes', requireAdmin, async (req, res) => {
+  const windowDays = parseOutcomeWindow(req.query.windowDays);
+  if (windowDays === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid window',
+      message: 'windowDays must be a whole number of days between 1 and 90'
+    });
+  }
+  
+  try {
+    const pool = await getPool();
+    const { summary } = await evaluateOutcomes(pool, {
+      kind: req.query.kind ? req.query.kind.toString() : 'health',
+      windowDays
+    });
+    
+    res.json({
+      success: true,
+      windowDays,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error aggregating recommendation outcomes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to aggregate recommendation outcomes'
+    });
+  }
+});
+
+// Respond to a goal request that failed: 400 for invalid goals, 500 otherwise
+function sendGoalError(res, error, failure) {
+  const isInvalid = error instanceof GoalError;
+  console.error(`${failure}:`, error);
+  res.status(isInvalid ? 400 : 500).json({
+    success: false,
+    error: isInvalid ? 'Invalid goal' : failure,
+    message: error.message
+  });
+}
+
+// The user's goals with progress and ETA (?status=active|archived)
+app.get('/api/context-aware/goals', async (req, res) => {
+  console.log('Received request for goals');
+  
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const goals = await listGoals(pool, userId, {
+      status: req.query.status ? req.query.status.toString() : null
     });
     
-    // Sort recommendations by priority (high first)
-    const sortedRecommendations = personalizedRecommendations.sort((a, b) => {
-      const priorityOrder = { high: 0, medium: 1, low: 2 };
-      return priorityOrder[a.priority] - priorityOrder[b.priority];
+    res.json({
+      success: true,
+      goals
+    });
+  } catch (error) {
+    sendGoalError(res, error, 'Failed to fetch goals');
+  }
+});
+
+// Body: { metric, target | targetRange: { min, max }, unit?, direction?, deadline?, title?, notes? }
+app.post('/api/context-aware/goals', async (req, res) => {
+  console.log('Received request to create a goal');
+  
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const goal = await createGoal(pool, userId, req.body);
+    
+    res.status(201).json({
+      success: true,
+      goal
+    });
+  } catch (error) {
+    sendGoalError(res, error, 'Failed to create goal');
+  }
+});
+
+app.get('/api/context-aware/goals/:id', async (req, res) => {
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const goal = await getGoal(pool, userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goal not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      goal
+    });
+  } catch (error) {
+    sendGoalError(res, error, 'Failed to fetch goal');
+  }
+});
+
+// Change a goal's target, deadline, title, notes or status; the metric is fixed
+app.patch('/api/context-aware/goals/:id', async (req, res) => {
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const goal = await updateGoal(pool, userId, req.params.id, req.body || {});
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goal not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      goal
+    });
+  } catch (error) {
+    sendGoalError(res, error, 'Failed to update goal');
+  }
+});
+
+app.delete('/api/context-aware/goals/:id', async (req, res) => {
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    if (!(await deleteGoal(pool, userId, req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goal not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Goal deleted'
+    });
+  } catch (error) {
+    sendGoalError(res, error, 'Failed to delete goal');
+  }
+});
+
+// Whether the user gets the weekly digest email, and where it goes
+app.get('/api/context-aware/digest/preferences', async (req, res) => {
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    res.json({
+      success: true,
+      preferences: await getDigestPreferences(pool, userId)
     });
+  } catch (error) {
+    console.error('Error fetching digest preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch digest preferences'
+    });
+  }
+});
+
+// Body: { enabled, email? }; email overrides the account address
+app.put('/api/context-aware/digest/preferences', async (req, res) => {
+  const userId = parseInt(req.userId);
+  console.log(`User ${userId} updating digest preferences`);
+  
+  try {
+    const pool = await getPool();
+    res.json({
+      success: true,
+      preferences: await setDigestPreferences(pool, userId, req.body || {})
+    });
+  } catch (error) {
+    const isInvalid = error instanceof DigestPreferenceError;
+    console.error('Error updating digest preferences:', error);
+    res.status(isInvalid ? 400 : 500).json({
+      success: false,
+      error: isInvalid ? 'Invalid digest preferences' : 'Failed to update digest preferences',
+      message: error.message
+    });
+  }
+});
+
+// This week's digest for the user, as sent (?format=html|text) or as data
+app.get('/api/context-aware/digest/preview', async (req, res) => {
+  const userId = parseInt(req.userId);
+  
+  try {
+    const pool = await getPool();
+    const digest = await buildWeeklyDigest(pool, userId);
+    
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderDigestHtml(digest));
+    }
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(renderDigestText(digest));
+    }
+    res.json({
+      success: true,
+      subject: renderDigestSubject(digest),
+      digest
+    });
+  } catch (error) {
+    console.error('Error building digest preview:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build digest preview'
+    });
+  }
+});
+
+// Send the weekly digests now instead of waiting for the schedule
+// (?force=true to include users who already had one this week)
+app.post('/api/context-aware/admin/digest/run', requireAdmin, async (req, res) => {
+  console.log('Received request to run weekly digests');
+  
+  try {
+    const pool = await getPool();
+    const result = await runWeeklyDigests(pool, {
+      transport: mailTransport,
+      from: process.env.DIGEST_FROM || DEFAULT_DIGEST_FROM,
+      force: req.query.force === 'true'
+    });
+    
+    res.json({
+      success: true,
+      transport: mailTransport.name,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error running weekly digests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run weekly digests',
+      message: error.message
+    });
+  }
+});
+
+// Log in with a username (or email) and password from the users table.
+// Body: { username, password }; returns a bearer token for the other endpoints
+app.post('/api/context-aware/auth/token', async (req, res) => {
+  try {
+    const pool = await getPool();
+    const login = await loginWithPassword(pool, req.body || {}, { secret: tokenSecret });
+    console.log(`Issued a token for user ${login.user.id}`);
+    
+    res.json({
+      success: true,
+      ...login
+    });
+  } catch (error) {
+    const isInvalid = error instanceof AuthError;
+    if (!isInvalid) console.error('Error logging in:', error);
+    res.status(isInvalid ? 401 : 500).json({
+      success: false,
+      error: isInvalid ? 'Login failed' : 'Failed to log in',
+      message: isInvalid ? error.message : 'There was a problem logging you in. Please try again.'
+    });
+  }
+});
+
+// The authenticated user
+app.get('/api/context-aware/auth/me', async (req, res) => {
+  try {
+    const pool = await getPool();
+    const { rows } = await pool.query('SELECT id, username, email, role FROM users WHERE id = $1', [req.userId]);
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      user: rows[0],
+      authMethod: req.authMethod
+    });
+  } catch (error) {
+    console.error('Error fetching the authenticated user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user'
+    });
+  }
+});
+
+// Add health check endpoints
+app.get('/health', (req, res) => {
+  res.send('Smart Recommendations API is running');
+});
+
+// Personalized health recommendations for a user, sorted by priority. Shared
+// by /api/context-aware/health and the regenerate endpoint.
+async function generateHealthRecommendations(userId, { explain = false } = {}) {
+  const { storage } = await import('./server/db-storage.js');
+  const pool = await getPool();
+  
+  // Get user questionnaire data and metrics for personalized recommendations
+  let questionnaire = null;
+  let metrics = [];
+  let bloodwork = [];
+  try {
+    [questionnaire, metrics, bloodwork] = await Promise.all([
+      storage.getQuestionnaire(userId).catch(err => {
+        console.error(`Error fetching questionnaire for user ${userId}:`, err);
+        return null;
+      }),
+      storage.getHealthMetrics(userId).catch(err => {
+        console.error(`Error fetching health metrics for user ${userId}:`, err);
+        return [];
+      }),
+      loadLatestBloodwork(pool, userId).catch(err => {
+        console.error(`Error fetching bloodwork for user ${userId}:`, err);
+        return [];
+      })
+    ]);
+  } catch (err) {
+    console.error(`Error fetching user health data:`, err);
+  }
+  
+  // Base recommendations that will be personalized
+  const baseRecommendations = [
+    {
+      id: '1',
+      title: 'Improve Sleep Quality',
+      description: 'Based on your sleep patterns, we recommend establishing a consistent sleep schedule.',
+      category: 'Sleep',
+      priority: 'medium',
+      timeframe: 'Daily',
+      effort: 'moderate',
+      contextualFactors: ['Sleep routine', 'Screen time before bed'],
+      reasonForRecommendation: 'Consistent sleep patterns can improve overall energy and recovery.',
+      expectedBenefits: ['Better recovery', 'Improved energy levels', 'Enhanced cognitive function'],
+      trackingMetrics: ['Sleep duration', 'Sleep quality']
+    },
+    {
+      id: '2',
+      title: 'Reduce Stress Levels',
+      description: 'Consider incorporating mindfulness practices to manage stress levels.',
+      category: 'Stress',
+      priority: 'medium',
+      timeframe: 'Daily',
+      effort: 'low',
+      contextualFactors: ['Stress management', 'Work-life balance'],
+      reasonForRecommendation: 'Managing stress can improve both mental and physical health.',
+      expectedBenefits: ['Lower anxiety', 'Improved mood', 'Better cardiovascular health'],
+      trackingMetrics: ['Stress level', 'Heart rate variability']
+    },
+    {
+      id: '3',
+      title: 'Optimize Exercise Routine',
+      description: 'Incorporate a mix of cardio and strength training into your exercise regimen.',
+      category: 'Exercise',
+      priority: 'medium',
+      timeframe: 'Weekly',
+      effort: 'moderate',
+      contextualFactors: ['Physical activity', 'Fitness goals'],
+      reasonForRecommendation: 'A balanced exercise routine supports overall health and fitness.',
+      expectedBenefits: ['Improved muscle tone', 'Enhanced cardiovascular health', 'Better body composition'],
+      trackingMetrics: ['Exercise frequency', 'Workout intensity']
+    },
+    {
+      id: '4',
+      title: 'Increase Hydration',
+      description: 'Aim to consume more water throughout the day to maintain proper hydration levels.',
+      category: 'Hydration',
+      priority: 'medium',
+      timeframe: 'Daily',
+      effort: 'easy',
+      contextualFactors: ['Hydration habits', 'Climate considerations'],
+      reasonForRecommendation: 'Proper hydration supports overall metabolic health and physical performance.',
+      expectedBenefits: ['Better energy levels', 'Improved skin health', 'Enhanced digestion'],
+      trackingMetrics: ['Daily water intake', 'Hydration status']
+    },
+    {
+      id: '5',
+      title: 'Optimize Nutrition',
+      description: 'Focus on a balanced diet with adequate protein, fruits, and vegetables.',
+      category: 'Nutrition',
+      priority: 'high',
+      timeframe: 'Daily',
+      effort: 'moderate',
+      contextualFactors: ['Dietary patterns', 'Nutritional needs'],
+      reasonForRecommendation: 'A balanced diet provides essential nutrients for overall health and energy.',
+      expectedBenefits: ['Improved energy', 'Better nutrient intake', 'Supported immune function'],
+      trackingMetrics: ['Meal composition', 'Macronutrient balance']
+    }
+  ];
+  
+  // Add the per-user fields before personalizing
+  const userRecommendations = baseRecommendations.map(rec => ({
+    ...rec,
+    userId,
+    source: 'context',
+    date: new Date().toISOString(),
+    isCompleted: false,
+    interactionNotes: []
+  }));
+  
+  // Personalize with the same rule set used by /api/context-aware/health-recommendations
+  const rules = await loadRules();
+  const ruleContext = buildRuleContext({ metrics, bloodwork, questionnaire });
+  const { recommendations: personalizedRecommendations } = applyRules(userRecommendations, ruleContext, {
+    profile: 'health',
+    rules,
+    explain
+  });
+  
+  // Sort recommendations by priority (high first)
+  const sortedRecommendations = personalizedRecommendations.sort((a, b) => {
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    return priorityOrder[a.priority] - priorityOrder[b.priority];
+  });
+  
+  // Record the run for /api/context-aware/history
+  await saveRecommendationSnapshot(pool, userId, {
+    source: 'health',
+    inputs: summarizeInputs({ questionnaire, metrics, bloodwork }),
+    ruleVersion: getRuleSetVersion(rules),
+    model: 'contextual-health-analyzer-v2',
+    output: sortedRecommendations
+  }).catch(err => console.error(`Error saving health recommendation snapshot for user ${userId}:`, err));
+  
+  return sortedRecommendations;
+}
+
+// Proper health endpoint with format for client
+app.get('/api/context-aware/health', async (req, res) => {
+  console.log('Received request for health context and recommendations');
+  
+  const userId = parseInt(req.userId);
+  console.log(`Processing health recommendations for user ID: ${userId}`);
+  
+  // Opt-in trace of which rules fired for each recommendation
+  const explain = req.query.explain === 'true';
+  
+  try {
+    const sortedRecommendations = await generateHealthRecommendations(userId, { explain });
+    
+    // Keep what the user has done with each recommendation and leave out
+    // the ones they dismissed, snoozed or completed
+    const pool = await getPool();
+    const tracked = await syncRecommendationInstances(pool, userId, 'health', sortedRecommendations);
     
     // Return the personalized recommendations
     res.json({
       message: 'Smart health recommendations retrieved successfully',
-      recommendations: sortedRecommendations.slice(0, 3) // Return top 3 recommendations
+      recommendations: filterVisibleRecommendations(tracked).slice(0, 3) // Return top 3 recommendations
     });
   } catch (error) {
     console.error('Error generating personalized health recommendations:', error);
@@ -1463,7 +2606,7 @@ app.get('/api/context-aware/health', async (req, res) => {
       recommendations: [
         {
           id: '1',
-          userId: userId || 1,
+          userId,
           title: 'Improve Sleep Quality',
           description: 'Based on your sleep patterns, we recommend establishing a consistent sleep schedule.',
           category: 'Sleep',
@@ -1481,7 +2624,7 @@ app.get('/api/context-aware/health', async (req, res) => {
         },
         {
           id: '2',
-          userId: userId || 1,
+          userId,
           title: 'Reduce Stress Levels',
           description: 'Consider incorporating mindfulness practices to manage stress levels.',
           category: 'Stress',
@@ -1499,7 +2642,7 @@ app.get('/api/context-aware/health', async (req, res) => {
         },
         {
           id: '3',
-          userId: userId || 1,
+          userId,
           title: 'Increase Hydration',
           description: 'Aim to consume more water throughout the day to maintain proper hydration levels.',
           category: 'Hydration',
@@ -1520,19 +2663,35 @@ app.get('/api/context-aware/health', async (req, res) => {
   }
 });
 
-// Add regenerate endpoint to handle recommendation regeneration requests
-app.get('/api/context-aware/health/regenerate', (req, res) => {
+// Regenerate health recommendations from the latest data. Statuses the user
+// has set are kept, so dismissed recommendations do not come back.
+app.get('/api/context-aware/health/regenerate', async (req, res) => {
   console.log('Received request to regenerate health recommendations');
   
-  // This endpoint should trigger the regeneration of recommendations
-  // In a real implementation, this would analyze user data and generate personalized recommendations
+  const userId = parseInt(req.userId);
   
-  // For now, return a success response with a message that the regeneration was triggered
-  res.json({
-    success: true,
-    message: 'Health recommendations regeneration triggered successfully',
-    timestamp: new Date().toISOString()
-  });
+  try {
+    const generated = await generateHealthRecommendations(userId);
+    const pool = await getPool();
+    const tracked = await syncRecommendationInstances(pool, userId, 'health', generated);
+    const visible = filterVisibleRecommendations(tracked);
+    console.log(`Regenerated ${generated.length} health recommendations for user ${userId}, ${generated.length - visible.length} hidden`);
+    
+    res.json({
+      success: true,
+      message: 'Health recommendations regenerated successfully',
+      recommendations: visible.slice(0, 3),
+      hidden: generated.length - visible.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error regenerating health recommendations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Regeneration Failed',
+      message: error.message || 'Failed to regenerate health recommendations'
+    });
+  }
 });
 
 app.get('/', (req, res) => {
@@ -1542,11 +2701,54 @@ app.get('/', (req, res) => {
 // Start the server
 app.listen(PORT, HOST, () => {
   console.log(`Smart Recommendations server running at http://${HOST}:${PORT} (accessible at http://localhost:${PORT})`);
+  
+  // Weekly digests, Monday 8am unless DIGEST_DAY (0-6, Sunday first) and
+  // DIGEST_HOUR say otherwise; DIGEST_SCHEDULE=off turns the job off
+  if (process.env.DIGEST_SCHEDULE !== 'off') {
+    startDigestScheduler(getPool, {
+      transport: mailTransport,
+      from: process.env.DIGEST_FROM || DEFAULT_DIGEST_FROM,
+      day: process.env.DIGEST_DAY ? parseInt(process.env.DIGEST_DAY) : 1,
+      hour: process.env.DIGEST_HOUR ? parseInt(process.env.DIGEST_HOUR) : 8
+    });
+    console.log(`Weekly digests scheduled, delivered by the ${mailTransport.name} transport`);
+  }
+  
   console.log('Available endpoints:');
-  console.log('- GET /api/context-aware/health-recommendations');
+  console.log('- POST /api/context-aware/auth/token (log in; send the token as Authorization: Bearer)');
+  console.log('- GET /api/context-aware/auth/me');
+  console.log('- GET /api/context-aware/health-recommendations (?explain=true for rule traces)');
   console.log('- GET /api/context-aware/supplement-recommendations');
   console.log('- GET /api/context-aware/health-context');
+  console.log('- GET /api/context-aware/trends (computed trends and anomalies)');
+  console.log('- POST /api/context-aware/metrics (record a metric in any allowed unit)');
+  console.log('- POST /api/context-aware/metrics/import (bulk CSV/JSON import, ?dryRun=true to preview)');
+  console.log('- GET /api/context-aware/fhir/export (FHIR R4 Observation bundle)');
+  console.log('- POST /api/context-aware/fhir/import (FHIR R4 Observation bundle)');
+  console.log('- POST /api/context-aware/bloodwork (submit a lab panel)');
+  console.log('- GET /api/context-aware/bloodwork (latest lab results and flags)');
+  console.log('- POST /api/context-aware/bloodwork/reports (lab report PDF/text to a reviewable draft)');
+  console.log('- GET/DELETE /api/context-aware/bloodwork/reports/:id (review or discard a draft)');
+  console.log('- POST /api/context-aware/bloodwork/reports/:id/confirm (record a reviewed draft)');
+  console.log('- GET /api/context-aware/supplements/catalog (supplement knowledge base, ?version=N)');
+  console.log('- POST/PUT /api/context-aware/admin/supplements/catalog (admin: add or edit entries)');
+  console.log('- GET/POST /api/context-aware/supplements/interactions (check current stack plus proposed additions)');
+  console.log('- GET /api/context-aware/supplements/schedule (daily timing plan, ?format=ics for calendar reminders)');
+  console.log('- GET/POST /api/context-aware/supplements/adherence (log doses taken or skipped, adherence and streaks)');
+  console.log('- GET/POST /api/context-aware/recommendations (tracked recommendations and their statuses)');
+  console.log('- PATCH /api/context-aware/recommendations/:id (accept, dismiss, snooze, complete or restore)');
+  console.log('- POST /api/context-aware/recommendations/:id/(accept|dismiss|snooze|complete|restore)');
+  console.log('- GET /api/context-aware/history (recommendation snapshots, ?source=)');
+  console.log('- GET /api/context-aware/history/diff (?from=&to= ids, or ?source=&since=)');
+  console.log('- GET /api/context-aware/history/:id');
+  console.log('- GET /api/context-aware/outcomes (tracking metric changes since accepting, ?windowDays=)');
+  console.log('- GET /api/context-aware/admin/outcomes (admin: outcomes per recommendation and rule)');
+  console.log('- GET/POST /api/context-aware/goals (goals with progress and ETA)');
+  console.log('- GET/PATCH/DELETE /api/context-aware/goals/:id');
+  console.log('- GET/PUT /api/context-aware/digest/preferences (weekly digest opt-in)');
+  console.log('- GET /api/context-aware/digest/preview (?format=html|text)');
+  console.log('- POST /api/context-aware/admin/digest/run (admin: send weekly digests now)');
   console.log('- GET /api/context-aware/health (health check)');
-  console.log('- GET /api/context-aware/health/regenerate (regenerate recommendations)');
+  console.log('- GET /api/context-aware/health/regenerate (regenerate recommendations, keeping dismissed ones hidden)');
   console.log('- GET /health (basic health check)');
 });
\ No newline at end of file
@@ -8,6 +8,7 @@
 
 import { db } from './server/db.js';
 import { v4 as uuidv4 } from 'uuid';
+import { getMetricDefaults, getCanonicalName } from './server/metric-registry.js';
 
 async function forceAdminOnboardingCompletion() {
   try {
@@ -75,52 +76,38 @@ async function forceAdminOnboardingCompletion() {
       // 3. Check and create essential health metrics
       const essentialMetrics = [
         {
-          type: 'Weight',
+          ...getMetricDefaults('Weight'),
           value: '70',
-          unit: 'kg',
-          icon: 'ri-scales-2-line',
           progress: 75
         },
         {
-          type: 'Sleep Duration',
+          ...getMetricDefaults('Sleep Duration'),
           value: '7.5',
-          unit: 'hr',
-          icon: 'ri-zzz-line',
           progress: 80
         },
         {
-          type: 'Stress Level',
+          ...getMetricDefaults('Stress Level'),
           value: '3',
-          unit: 'score',
-          icon: 'ri-mental-health-line',
           progress: 70
         },
         {
-          type: 'Exercise Frequency',
+          ...getMetricDefaults('Exercise Frequency'),
           value: '3',
-          unit: 'days/week',
-          icon: 'ri-run-line',
           progress: 65
         },
         {
-          type: 'Heart Rate',
+          ...getMetricDefaults('Heart Rate'),
           value: '72',
-          unit: 'bpm',
-          icon: 'ri-heart-pulse-line',
           progress: 80
         },
         {
-          type: 'Blood Pressure',
+          ...getMetricDefaults('Blood Pressure'),
           value: '120/80',
-          unit: 'mmHg',
-          icon: 'ri-heart-add-line',
           progress: 85
         },
         {
-          type: 'Water Intake',
+          ...getMetricDefaults('Water Intake'),
           value: '2.5',
-          unit: 'L',
-          icon: 'ri-drop-line',
           progress: 70
         }
       ];
@@ -131,13 +118,13 @@ async function forceAdminOnboardingCompletion() {
         [adminUser.id]
       );
       
-      const existingTypes = existingMetricsResult.rows.map(row => row.type.toLowerCase());
+      const existingTypes = existingMetricsResult.rows.map(row => getCanonicalName(row.type));
       
       // Add missing metrics
       let metricsAdded = 0;
       
       for (const metric of essentialMetrics) {
-        if (!existingTypes.includes(metric.type.toLowerCase())) {
+        if (!existingTypes.includes(metric.type)) {
           await db.query(
             `INSERT INTO health_metrics (id, user_id, type, value, unit, icon, progress, date)
              VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
@@ -0,0 +1,80 @@
+/**
+ * Apple Health Import
+ *
+ * Loads an Apple Health export into health_metrics for a user. Unzip the
+ * export from the Health app first and point this script at export.xml; the
+ * file is streamed, so multi-hundred-megabyte exports are fine.
+ *
+ * Usage:
+ *   node import-apple-health.js <export.xml> --user <id> [--since YYYY-MM-DD] [--dry-run]
+ */
+
+import pg from 'pg';
+import { importAppleHealthExport } from './server/apple-health-import.js';
+
+function parseArgs(argv) {
+  const options = { file: null, userId: null, since: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--user') {
+      options.userId = parseInt(argv[++i]);
+    } else if (arg === '--since') {
+      options.since = argv[++i];
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(options.since || '')) throw new Error('--since expects YYYY-MM-DD');
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else {
+      options.file = arg;
+    }
+  }
+
+  if (!options.file || !options.userId) {
+    throw new Error('Usage: node import-apple-health.js <export.xml> --user <id> [--since YYYY-MM-DD] [--dry-run]');
+  }
+  return options;
+}
+
+async function importAppleHealth() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`Importing Apple Health export ${options.file} for user ${options.userId}${options.dryRun ? ' (dry run)' : ''}...`);
+
+  // Connect to database
+  const pool = new pg.Pool({
+    connectionString: process.env.DATABASE_URL
+  });
+
+  try {
+    const report = await importAppleHealthExport(pool, options.userId, options.file, options);
+
+    console.log('\n--- Import Summary ---');
+    console.log(`HealthKit records read: ${report.recordCount}`);
+    console.log(`Daily metric values: ${report.metricsFound}`);
+    if (report.dryRun) {
+      console.log(`Would import: ${report.wouldImport}`);
+    } else {
+      console.log(`Imported: ${report.imported}`);
+    }
+    console.log(`Skipped existing days: ${report.duplicates.length}`);
+    console.log(`Errors: ${report.errors.length}`);
+
+    const unmapped = Object.entries(report.unmappedTypes).sort((a, b) => b[1] - a[1]);
+    if (unmapped.length > 0) {
+      console.log('\nHealthKit types without a metric mapping:');
+      unmapped.forEach(([type, count]) => console.log(`- ${type}: ${count} records`));
+    }
+    for (const error of report.errors.slice(0, 20)) {
+      console.log(`❌ ${error.row}, ${error.column}: ${error.error}`);
+    }
+  } finally {
+    await pool.end();
+    console.log('\nDatabase connection closed.');
+  }
+}
+
+importAppleHealth().catch(error => {
+  console.error('Error importing Apple Health export:', error.message || error);
+  process.exit(1);
+});
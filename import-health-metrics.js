@@ -0,0 +1,93 @@
+/**
+ * Bulk Health Metric Import
+ *
+ * Imports historical metrics from a CSV or JSON file straight into the local
+ * database, using the same validation and de-duplication as the
+ * /api/context-aware/metrics/import endpoint.
+ *
+ * Usage:
+ *   node import-health-metrics.js <file> --user <id> [--format csv|json] [--dry-run]
+ *                                 [--column "Header=Metric Type"] ...
+ *
+ * The format defaults to the file extension. --column maps a spreadsheet header
+ * that does not match a registered metric name (e.g. --column "Sleep hrs=Sleep Duration").
+ */
+
+import fs from 'fs';
+import path from 'path';
+import pg from 'pg';
+import { importHealthMetrics } from './server/metric-import.js';
+
+function parseArgs(argv) {
+  const options = { file: null, userId: null, format: null, dryRun: false, columns: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--user') {
+      options.userId = parseInt(argv[++i]);
+    } else if (arg === '--format') {
+      options.format = argv[++i];
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--column') {
+      const [header, type] = (argv[++i] || '').split('=');
+      if (!header || !type) throw new Error('--column expects "Header=Metric Type"');
+      options.columns[header.trim()] = type.trim();
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else {
+      options.file = arg;
+    }
+  }
+
+  if (!options.file || !options.userId) {
+    throw new Error('Usage: node import-health-metrics.js <file> --user <id> [--format csv|json] [--dry-run] [--column "Header=Metric Type"]');
+  }
+  options.format = options.format || path.extname(options.file).slice(1).toLowerCase();
+  return options;
+}
+
+async function importFile() {
+  const options = parseArgs(process.argv.slice(2));
+  const content = fs.readFileSync(options.file, 'utf8');
+  console.log(`Importing ${options.file} (${options.format}) for user ${options.userId}${options.dryRun ? ' (dry run)' : ''}...`);
+
+  // Connect to database
+  const pool = new pg.Pool({
+    connectionString: process.env.DATABASE_URL
+  });
+
+  try {
+    const report = await importHealthMetrics(pool, options.userId, content, options);
+
+    console.log('\n--- Import Summary ---');
+    console.log(`Rows read: ${report.totalRows}`);
+    console.log(`Metric values found: ${report.metricsFound}`);
+    if (report.dryRun) {
+      console.log(`Would import: ${report.wouldImport}`);
+    } else {
+      console.log(`Imported: ${report.imported}`);
+    }
+    console.log(`Skipped duplicates: ${report.duplicates.length}`);
+    console.log(`Errors: ${report.errors.length}`);
+
+    if (report.unmappedColumns.length > 0) {
+      console.log(`\nIgnored columns (no matching metric, map them with --column): ${report.unmappedColumns.join(', ')}`);
+    }
+    for (const error of report.errors) {
+      console.log(`❌ Row ${error.row}, ${error.column}: ${error.error}`);
+    }
+
+    if (report.errors.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await pool.end();
+    console.log('\nDatabase connection closed.');
+  }
+}
+
+importFile().catch(error => {
+  console.error('Error importing health metrics:', error.message || error);
+  process.exit(1);
+});
@@ -5,6 +5,7 @@
 
 import { db } from './server/db.js';
 import { v4 as uuidv4 } from 'uuid';
+import { getMetricDefaults, getCanonicalName } from './server/metric-registry.js';
 
 async function initializeAdminHealthMetrics() {
   try {
@@ -30,52 +31,38 @@ async function initializeAdminHealthMetrics() {
       // Essential health metrics that every user should have
       const essentialMetrics = [
         {
-          type: 'Weight',
+          ...getMetricDefaults('Weight'),
           value: '70',
-          unit: 'kg',
-          icon: 'ri-scales-2-line',
           progress: 75
         },
         {
-          type: 'Sleep Duration',
+          ...getMetricDefaults('Sleep Duration'),
           value: '7.5',
-          unit: 'hr',
-          icon: 'ri-zzz-line',
           progress: 80
         },
         {
-          type: 'Stress Level',
+          ...getMetricDefaults('Stress Level'),
           value: '3',
-          unit: 'score',
-          icon: 'ri-mental-health-line',
           progress: 70
         },
         {
-          type: 'Exercise Frequency',
+          ...getMetricDefaults('Exercise Frequency'),
           value: '3',
-          unit: 'days/week',
-          icon: 'ri-run-line',
           progress: 65
         },
         {
-          type: 'Heart Rate',
+          ...getMetricDefaults('Heart Rate'),
           value: '72',
-          unit: 'bpm',
-          icon: 'ri-heart-pulse-line',
           progress: 80
         },
         {
-          type: 'Blood Pressure',
+          ...getMetricDefaults('Blood Pressure'),
           value: '120/80',
-          unit: 'mmHg',
-          icon: 'ri-heart-add-line',
           progress: 85
         },
         {
-          type: 'Water Intake',
+          ...getMetricDefaults('Water Intake'),
           value: '2.5',
-          unit: 'L',
-          icon: 'ri-drop-line',
           progress: 70
         }
       ];
@@ -86,14 +73,14 @@ async function initializeAdminHealthMetrics() {
         [adminUser.id]
       );
       
-      const existingTypes = existingMetricsResult.rows.map(row => row.type.toLowerCase());
+      const existingTypes = existingMetricsResult.rows.map(row => getCanonicalName(row.type));
       console.log(`Found ${existingTypes.length} existing metrics.`);
       
       // Add missing metrics
       let metricsAdded = 0;
       
       for (const metric of essentialMetrics) {
-        if (!existingTypes.includes(metric.type.toLowerCase())) {
+        if (!existingTypes.includes(metric.type)) {
           try {
             await db.query(
               `INSERT INTO health_metrics (id, user_id, type, value, unit, icon, progress, date)
@@ -14,6 +14,12 @@
 
 import pg from 'pg';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  ESSENTIAL_METRICS,
+  getMetricDefaults,
+  getMetricSpellings,
+  getCanonicalName
+} from './server/metric-registry.js';
 import axios from 'axios';
 
 // User to test with
@@ -116,14 +122,15 @@ async function runSingleUserTest() {
     
     // Step 3: Check for essential health metrics
     console.log(`\n3️⃣ Checking essential health metrics...`);
-    const essentialMetrics = ['sleep-duration', 'stress-level', 'exercise-frequency', 'weight'];
+    const essentialMetrics = ESSENTIAL_METRICS.map(metric => metric.name);
+    const essentialSpellings = essentialMetrics.flatMap(getMetricSpellings);
     
     const metricsResult = await pool.query(
       `SELECT type FROM health_metrics WHERE user_id = $1 AND type = ANY($2)`,
-      [TEST_USER_ID, essentialMetrics]
+      [TEST_USER_ID, essentialSpellings]
     );
     
-    const existingMetrics = new Set(metricsResult.rows.map(row => row.type));
+    const existingMetrics = new Set(metricsResult.rows.map(row => getCanonicalName(row.type)));
     console.log(`Found ${existingMetrics.size} of ${essentialMetrics.length} essential metrics:`);
     
     for (const metric of essentialMetrics) {
@@ -136,37 +143,29 @@ async function runSingleUserTest() {
       
       const defaultMetrics = [
         {
-          type: 'sleep-duration',
+          ...getMetricDefaults('sleep-duration'),
           value: '7.5',
-          unit: 'hours',
-          icon: 'sleep',
           progress: 75,
           trend: 'stable',
           goal: '8'
         },
         {
-          type: 'stress-level',
+          ...getMetricDefaults('stress-level'),
           value: '4',
-          unit: 'scale',
-          icon: 'stress',
           progress: 60,
           trend: 'improving',
           goal: '3'
         },
         {
-          type: 'exercise-frequency',
+          ...getMetricDefaults('exercise-frequency'),
           value: '3',
-          unit: 'days/week',
-          icon: 'exercise',
           progress: 60,
           trend: 'stable',
           goal: '5'
         },
         {
-          type: 'weight',
+          ...getMetricDefaults('weight'),
           value: '70',
-          unit: 'kg',
-          icon: 'weight',
           progress: 90,
           trend: 'stable',
           goal: '68'
@@ -218,13 +217,13 @@ async function runSingleUserTest() {
     
     const verifyMetricsResult = await pool.query(
       `SELECT type FROM health_metrics WHERE user_id = $1 AND type = ANY($2)`,
-      [TEST_USER_ID, essentialMetrics]
+      [TEST_USER_ID, essentialSpellings]
     );
     
     const hasCompletedOnboarding = verifyUserResult.rows.length > 0 && 
                                   verifyUserResult.rows[0].onboarding_completed === true;
     const hasQuestionnaire = verifyQuestionnaireResult.rows.length > 0;
-    const presentMetrics = new Set(verifyMetricsResult.rows.map(row => row.type));
+    const presentMetrics = new Set(verifyMetricsResult.rows.map(row => getCanonicalName(row.type)));
     const hasAllMetrics = presentMetrics.size === essentialMetrics.length;
     
     const profileComplete = hasCompletedOnboarding && hasQuestionnaire && hasAllMetrics;
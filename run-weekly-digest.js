@@ -0,0 +1,46 @@
+/**
+ * Weekly Digest Runner
+ *
+ * Sends the weekly health digest to every opted-in user who hasn't had one in
+ * the last six days, for running from cron instead of the server's built-in
+ * schedule (start the server with DIGEST_SCHEDULE=off in that case).
+ *
+ * Usage: node run-weekly-digest.js [--force]
+ *
+ * --force also sends to users who already had a digest this week. Delivery
+ * uses MAIL_TRANSPORT (outbox by default, written to OUTBOX_DIR, or smtp via
+ * SMTP_HOST and SMTP_PORT).
+ */
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { useDateStrings } from './server/dates.js';
+import { createMailTransport } from './server/mail-transport.js';
+import { DEFAULT_DIGEST_FROM, runWeeklyDigests } from './server/weekly-digest.js';
+
+dotenv.config();
+
+async function main() {
+  useDateStrings(pg);
+  const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+  const transport = createMailTransport();
+
+  try {
+    const result = await runWeeklyDigests(pool, {
+      transport,
+      from: process.env.DIGEST_FROM || DEFAULT_DIGEST_FROM,
+      force: process.argv.includes('--force')
+    });
+
+    console.log(`Sent ${result.sent.length} digest(s) via ${transport.name}`);
+    result.skipped.forEach(({ userId, reason }) => console.log(`Skipped user ${userId}: ${reason}`));
+    result.failed.forEach(({ userId, error }) => console.error(`Failed for user ${userId}: ${error}`));
+    if (result.failed.length > 0) process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Error running weekly digests:', error);
+  process.exit(1);
+});
@@ -0,0 +1,332 @@
+/**
+ * Lab Analyte Registry
+ *
+ * The bloodwork counterpart of metric-registry.js: one entry per lab test
+ * stored in bloodwork_results, with the name stored in bloodwork_results.type,
+ * the spellings labs use for it, its unit, its LOINC code and the default
+ * reference ranges used when a lab report does not include its own.
+ *
+ * Entry fields:
+ *  - key:         canonical hyphenated key (e.g. "vitamin-d")
+ *  - name:        display name stored in bloodwork_results.type
+ *  - aliases:     other spellings found on lab reports and in older rows
+ *  - unit:        unit results are stored in
+ *  - unitFactors: other units labs report in, with the factor that converts
+ *                 them to `unit` (e.g. nmol/L × 0.4006 = ng/mL for vitamin D)
+ *  - loinc:       LOINC code used for FHIR interchange
+ *  - ranges:      default reference ranges, in `unit`. Each may be limited to a
+ *                 `sex` and an age band (`minAge` inclusive, `maxAge` exclusive);
+ *                 `min` or `max` may be null when only one side matters
+ *  - critical:    { low, high } limits beyond which a result needs prompt
+ *                 medical attention, or null
+ */
+
+export const ANALYTES = [
+  // Vitamins and minerals
+  {
+    key: 'vitamin-d',
+    name: 'Vitamin D',
+    aliases: ['25-hydroxyvitamin d', '25-oh vitamin d', 'vitamin d, 25-hydroxy'],
+    unit: 'ng/mL',
+    unitFactors: { 'nmol/L': 0.4006 },
+    loinc: '1989-3',
+    ranges: [{ min: 30, max: 100 }],
+    critical: { low: 10, high: 150 }
+  },
+  {
+    key: 'vitamin-b12',
+    name: 'Vitamin B12',
+    aliases: ['b12', 'cobalamin'],
+    unit: 'pg/mL',
+    unitFactors: { 'pmol/L': 1.355 },
+    loinc: '2132-9',
+    ranges: [{ min: 200, max: 900 }],
+    critical: null
+  },
+  {
+    key: 'folate',
+    name: 'Folate',
+    aliases: ['folic acid', 'serum folate'],
+    unit: 'ng/mL',
+    unitFactors: { 'nmol/L': 0.4413 },
+    loinc: '2284-8',
+    ranges: [{ min: 3, max: 20 }],
+    critical: null
+  },
+  {
+    key: 'iron',
+    name: 'Iron',
+    aliases: ['serum iron'],
+    unit: 'mcg/dL',
+    unitFactors: { 'umol/L': 5.585 },
+    loinc: '2498-4',
+    ranges: [
+      { sex: 'male', min: 65, max: 175 },
+      { sex: 'female', min: 50, max: 170 }
+    ],
+    critical: null
+  },
+  {
+    key: 'ferritin',
+    name: 'Ferritin',
+    aliases: ['serum ferritin'],
+    unit: 'ng/mL',
+    unitFactors: { 'ug/L': 1 },
+    loinc: '2276-4',
+    ranges: [
+      { sex: 'male', min: 24, max: 336 },
+      { sex: 'female', min: 11, max: 307 }
+    ],
+    critical: null
+  },
+  {
+    key: 'magnesium',
+    name: 'Magnesium',
+    aliases: ['serum magnesium'],
+    unit: 'mg/dL',
+    unitFactors: { 'mmol/L': 2.431 },
+    loinc: '19123-9',
+    ranges: [{ min: 1.7, max: 2.2 }],
+    critical: { low: 1.0, high: 4.7 }
+  },
+  {
+    key: 'zinc',
+    name: 'Zinc',
+    aliases: ['serum zinc'],
+    unit: 'mcg/dL',
+    unitFactors: { 'umol/L': 6.54 },
+    loinc: '5763-6',
+    ranges: [{ min: 60, max: 120 }],
+    critical: null
+  },
+  {
+    key: 'calcium',
+    name: 'Calcium',
+    aliases: ['serum calcium'],
+    unit: 'mg/dL',
+    unitFactors: { 'mmol/L': 4.008 },
+    loinc: '17861-6',
+    ranges: [{ min: 8.6, max: 10.3 }],
+    critical: { low: 6.5, high: 13 }
+  },
+
+  // Blood count
+  {
+    key: 'hemoglobin',
+    name: 'Hemoglobin',
+    aliases: ['hgb', 'haemoglobin'],
+    unit: 'g/dL',
+    unitFactors: { 'g/L': 0.1 },
+    loinc: '718-7',
+    ranges: [
+      { sex: 'male', min: 13.5, max: 17.5 },
+      { sex: 'female', min: 12.0, max: 15.5 }
+    ],
+    critical: { low: 7, high: 20 }
+  },
+
+  // Lipids
+  {
+    key: 'total-cholesterol',
+    name: 'Cholesterol',
+    aliases: ['total cholesterol', 'cholesterol, total'],
+    unit: 'mg/dL',
+    unitFactors: { 'mmol/L': 38.67 },
+    loinc: '2093-3',
+    ranges: [{ min: null, max: 200 }],
+    critical: null
+  },
+  {
+    key: 'ldl-cholesterol',
+    name: 'LDL Cholesterol',
+    aliases: ['ldl', 'ldl-c'],
+    unit: 'mg/dL',
+    unitFactors: { 'mmol/L': 38.67 },
+    loinc: '13457-7',
+    ranges: [{ min: null, max: 100 }],
+    critical: null
+  },
+  {
+    key: 'hdl-cholesterol',
+    name: 'HDL Cholesterol',
+    aliases: ['hdl', 'hdl-c'],
+    unit: 'mg/dL',
+    unitFactors: { 'mmol/L': 38.67 },
+    loinc: '2085-9',
+    ranges: [
+      { sex: 'male', min: 40, max: null },
+      { sex: 'female', min: 50, max: null }
+    ],
+    critical: null
+  },
+  {
+    key: 'triglycerides',
+    name: 'Triglycerides',
+    aliases: ['trig', 'tg'],
+    unit: 'mg/dL',
+    unitFactors: { 'mmol/L': 88.57 },
+    loinc: '2571-8',
+    ranges: [{ min: null, max: 150 }],
+    critical: { low: null, high: 1000 }
+  },
+
+  // Metabolic
+  {
+    key: 'fasting-glucose',
+    name: 'Fasting Glucose',
+    aliases: ['glucose', 'glucose, fasting', 'fasting blood sugar'],
+    unit: 'mg/dL',
+    unitFactors: { 'mmol/L': 18.016 },
+    loinc: '1558-6',
+    ranges: [{ min: 70, max: 99 }],
+    critical: { low: 50, high: 400 }
+  },
+  {
+    key: 'hba1c',
+    name: 'HbA1c',
+    aliases: ['hemoglobin a1c', 'a1c', 'glycated hemoglobin'],
+    unit: '%',
+    unitFactors: {},
+    loinc: '4548-4',
+    ranges: [{ min: null, max: 5.6 }],
+    critical: null
+  },
+  {
+    key: 'creatinine',
+    name: 'Creatinine',
+    aliases: ['serum creatinine'],
+    unit: 'mg/dL',
+    unitFactors: { 'umol/L': 0.01131 },
+    loinc: '2160-0',
+    ranges: [
+      { sex: 'male', min: 0.74, max: 1.35 },
+      { sex: 'female', min: 0.59, max: 1.04 }
+    ],
+    critical: { low: null, high: 10 }
+  },
+  {
+    key: 'alt',
+    name: 'ALT',
+    aliases: ['alanine aminotransferase', 'sgpt'],
+    unit: 'U/L',
+    unitFactors: {},
+    loinc: '1742-6',
+    ranges: [{ min: 7, max: 56 }],
+    critical: null
+  },
+  {
+    key: 'ast',
+    name: 'AST',
+    aliases: ['aspartate aminotransferase', 'sgot'],
+    unit: 'U/L',
+    unitFactors: {},
+    loinc: '1920-8',
+    ranges: [{ min: 8, max: 48 }],
+    critical: null
+  },
+
+  // Hormones and inflammation
+  {
+    key: 'tsh',
+    name: 'TSH',
+    aliases: ['thyroid stimulating hormone', 'thyrotropin'],
+    unit: 'mIU/L',
+    unitFactors: { 'uIU/mL': 1 },
+    loinc: '3016-3',
+    ranges: [
+      { maxAge: 70, min: 0.4, max: 4.0 },
+      { minAge: 70, min: 0.4, max: 6.0 }
+    ],
+    critical: null
+  },
+  {
+    key: 'hs-crp',
+    name: 'hs-CRP',
+    aliases: ['c-reactive protein', 'crp', 'high sensitivity crp'],
+    unit: 'mg/L',
+    unitFactors: {},
+    loinc: '30522-7',
+    ranges: [{ min: null, max: 3.0 }],
+    critical: null
+  }
+];
+
+function normalizeSpelling(name) {
+  return name.toString().toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compare units case-insensitively, treating µg, mcg and ug as the same prefix
+ */
+function normalizeUnitSpelling(unit) {
+  return unit.toString().trim().replace(/µ|μ|mc(?=g)/g, 'u').toLowerCase();
+}
+
+// Lookup tables from every known spelling, and from LOINC code, to the entry
+const analytesBySpelling = new Map();
+const analytesByLoinc = new Map();
+for (const analyte of ANALYTES) {
+  [analyte.key, analyte.name, ...analyte.aliases].forEach(spelling => {
+    analytesBySpelling.set(normalizeSpelling(spelling), analyte);
+  });
+  analytesByLoinc.set(analyte.loinc, analyte);
+}
+
+/**
+ * Find the registry entry for an analyte by name, key or alias
+ */
+export function getAnalyte(name) {
+  if (!name) return null;
+  return analytesBySpelling.get(normalizeSpelling(name)) || null;
+}
+
+/**
+ * Find the registry entry for a LOINC code
+ */
+export function getAnalyteByLoinc(code) {
+  return analytesByLoinc.get(code) || null;
+}
+
+/**
+ * Factor converting a value in `unit` to the analyte's storage unit, or null
+ * if the unit is not one the analyte is reported in
+ */
+export function getUnitFactor(analyte, unit) {
+  if (!unit) return 1;
+  const wanted = normalizeUnitSpelling(unit);
+  if (wanted === normalizeUnitSpelling(analyte.unit)) return 1;
+
+  const match = Object.entries(analyte.unitFactors || {})
+    .find(([candidate]) => normalizeUnitSpelling(candidate) === wanted);
+  return match ? match[1] : null;
+}
+
+/**
+ * Default reference range for a person, as { min, max } in the analyte's unit.
+ * The most specific matching range wins. When sex is unknown and the ranges
+ * differ by sex, the combined range is used so nobody is flagged by mistake.
+ */
+export function getDefaultRange(analyte, { sex = null, age = null } = {}) {
+  const normalizedSex = sex ? sex.toString().toLowerCase() : null;
+  const ageMatches = range =>
+    age === null || age === undefined ||
+    ((range.minAge === undefined || age >= range.minAge) && (range.maxAge === undefined || age < range.maxAge));
+
+  const candidates = analyte.ranges.filter(range =>
+    (!range.sex || range.sex === normalizedSex) && ageMatches(range)
+  );
+  if (candidates.length > 0) {
+    const specificity = range => (range.sex ? 2 : 0) + (range.minAge !== undefined || range.maxAge !== undefined ? 1 : 0);
+    const best = [...candidates].sort((a, b) => specificity(b) - specificity(a))[0];
+    return { min: best.min, max: best.max };
+  }
+
+  const ageBand = analyte.ranges.filter(ageMatches);
+  if (ageBand.length === 0) return null;
+  const mins = ageBand.map(range => range.min);
+  const maxes = ageBand.map(range => range.max);
+  return {
+    min: mins.includes(null) ? null : Math.min(...mins),
+    max: maxes.includes(null) ? null : Math.max(...maxes)
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * Apple Health Export Import
+ *
+ * Reads the export.xml file from an Apple Health export and turns its
+ * HealthKit records into daily health_metrics entries. Exports are often
+ * several hundred megabytes, so the file is streamed and scanned for <Record>
+ * tags chunk by chunk; only one accumulator per metric and day is kept.
+ *
+ * Quantity samples are aggregated per calendar day (as recorded on the phone):
+ * heart rate and similar readings are averaged, steps and water are summed, and
+ * body measurements keep the last reading of the day. An iPhone and a Watch
+ * both count the same steps, so summed types are totalled per source
+ * (sourceName) and each day uses the source with the largest total rather than
+ * adding them together. Sleep analysis samples are
+ * merged per night, so overlapping samples from a watch and a phone are not
+ * counted twice, and credited to the day the sleep ended.
+ */
+
+import fs from 'fs';
+import { getMetricType } from './metric-registry.js';
+import { normalizeUnit, convertValue, roundValue } from './unit-conversion.js';
+import { formatBloodPressure } from './blood-pressure.js';
+import { importMetricEntries } from './metric-import.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// HealthKit quantity types, the metric they feed and how a day's samples combine.
+// `unit` overrides HealthKit's unit where it is a generic "count"; `scale`
+// converts fractions such as 0.97 to percentages.
+const QUANTITY_TYPES = {
+  HKQuantityTypeIdentifierHeartRate: { type: 'heart-rate', aggregate: 'mean', unit: 'bpm' },
+  HKQuantityTypeIdentifierRestingHeartRate: { type: 'resting-heart-rate', aggregate: 'mean', unit: 'bpm' },
+  HKQuantityTypeIdentifierHeartRateVariabilitySDNN: { type: 'heart-rate-variability', aggregate: 'mean' },
+  HKQuantityTypeIdentifierRespiratoryRate: { type: 'respiratory-rate', aggregate: 'mean', unit: 'breaths/min' },
+  HKQuantityTypeIdentifierOxygenSaturation: { type: 'oxygen-saturation', aggregate: 'mean', unit: '%', scale: 100 },
+  HKQuantityTypeIdentifierBodyTemperature: { type: 'body-temperature', aggregate: 'mean' },
+  HKQuantityTypeIdentifierBloodGlucose: { type: 'blood-glucose', aggregate: 'mean' },
+  HKQuantityTypeIdentifierVO2Max: { type: 'vo2-max', aggregate: 'last', unit: 'mL/kg/min' },
+  HKQuantityTypeIdentifierBodyMass: { type: 'weight', aggregate: 'last' },
+  HKQuantityTypeIdentifierLeanBodyMass: { type: 'lean-mass', aggregate: 'last' },
+  HKQuantityTypeIdentifierBodyMassIndex: { type: 'bmi', aggregate: 'last', unit: 'kg/m²' },
+  HKQuantityTypeIdentifierBodyFatPercentage: { type: 'body-fat', aggregate: 'last', unit: '%', scale: 100 },
+  HKQuantityTypeIdentifierStepCount: { type: 'steps', aggregate: 'sum', unit: 'steps' },
+  HKQuantityTypeIdentifierAppleExerciseTime: { type: 'active-minutes', aggregate: 'sum', unit: 'minutes' },
+  HKQuantityTypeIdentifierDietaryWater: { type: 'water-intake', aggregate: 'sum' }
+};
+
+// Blood pressure arrives as two quantity types that are recombined per day
+const BLOOD_PRESSURE_TYPES = {
+  HKQuantityTypeIdentifierBloodPressureSystolic: 'systolic',
+  HKQuantityTypeIdentifierBloodPressureDiastolic: 'diastolic'
+};
+
+// Sleep analysis values that count as asleep, and the stage metric they also feed
+const SLEEP_STAGES = {
+  HKCategoryValueSleepAnalysisAsleep: null,
+  HKCategoryValueSleepAnalysisAsleepUnspecified: null,
+  HKCategoryValueSleepAnalysisAsleepCore: null,
+  HKCategoryValueSleepAnalysisAsleepDeep: 'deep-sleep',
+  HKCategoryValueSleepAnalysisAsleepREM: 'rem-sleep'
+};
+
+const SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis';
+const MINDFUL_TYPE = 'HKCategoryTypeIdentifierMindfulSession';
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+/**
+ * Read the attributes of a tag into an object
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([\w:-]+)="([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = match[2].replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+  }
+  return attributes;
+}
+
+/**
+ * Stream the <Record> elements of an export.xml file, yielding their attributes
+ */
+export async function* readHealthRecords(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 1024 * 1024 });
+  const pattern = /<Record\s([^>]*)>/g;
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    pattern.lastIndex = 0;
+
+    let lastEnd = 0;
+    let match;
+    while ((match = pattern.exec(buffer)) !== null) {
+      yield parseAttributes(match[1]);
+      lastEnd = pattern.lastIndex;
+    }
+
+    // Keep only a tag that may be cut off at the end of the chunk
+    buffer = buffer.slice(Math.max(lastEnd, buffer.lastIndexOf('<')));
+  }
+}
+
+/**
+ * Parse a HealthKit timestamp ("2024-01-05 07:30:00 -0800") into the local
+ * day it was recorded on and its time in milliseconds
+ */
+function parseHealthDate(value) {
+  const match = value && value.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+  if (!match) return null;
+  const time = Date.parse(`${match[1]}T${match[2]}${match[3]}:${match[4]}`);
+  return Number.isNaN(time) ? null : { day: match[1], time };
+}
+
+/**
+ * Convert a HealthKit quantity to the registry unit of the metric it feeds
+ */
+function toCanonicalValue(mapping, record) {
+  const metric = getMetricType(mapping.type);
+  let value = parseFloat(record.value) * (mapping.scale || 1);
+  // HealthKit embeds molar masses in units, e.g. "mmol<180.15588000005408>/L"
+  const unit = mapping.unit || normalizeUnit((record.unit || '').replace(/<[^>]*>/g, ''));
+
+  if (unit && unit !== metric.defaultUnit) {
+    value = convertValue(value, unit, metric.defaultUnit, { metricType: metric.key });
+  }
+  return value;
+}
+
+/**
+ * Total length of a list of [start, end] intervals after merging overlaps
+ */
+function mergedDuration(intervals) {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let current = null;
+
+  for (const [start, end] of sorted) {
+    if (!current || start > current[1]) {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    } else {
+      current[1] = Math.max(current[1], end);
+    }
+  }
+  if (current) total += current[1] - current[0];
+  return total;
+}
+
+/**
+ * Aggregate an export into daily metric entries. `since` (YYYY-MM-DD) skips
+ * older days. Returns the entries and a count of the HealthKit types that were
+ * skipped because no metric type is mapped to them.
+ */
+export async function aggregateAppleHealthExport(filePath, { since = null } = {}) {
+  const daily = new Map();
+  const bloodPressure = new Map();
+  const sleep = new Map();
+  const unmappedTypes = {};
+  const errors = [];
+  let recordCount = 0;
+
+  const dailyBucket = (type, day, source) => {
+    const key = `${type}|${day}`;
+    if (!daily.has(key)) daily.set(key, { type, day, source, sum: 0, count: 0, last: null, lastTime: -Infinity, sourceTotals: new Map() });
+    return daily.get(key);
+  };
+
+  const addToSource = (bucket, record, value) => {
+    const sourceName = record.sourceName || '';
+    bucket.sourceTotals.set(sourceName, (bucket.sourceTotals.get(sourceName) || 0) + value);
+  };
+
+  for await (const record of readHealthRecords(filePath)) {
+    recordCount++;
+    const start = parseHealthDate(record.startDate);
+    const end = parseHealthDate(record.endDate) || start;
+    if (!start || (since && end.day < since)) continue;
+
+    const mapping = QUANTITY_TYPES[record.type];
+    if (mapping) {
+      let value;
+      try {
+        value = toCanonicalValue(mapping, record);
+      } catch (error) {
+        errors.push({ row: start.day, column: record.type, error: error.message });
+        continue;
+      }
+      if (Number.isNaN(value)) continue;
+
+      const bucket = dailyBucket(mapping.type, start.day, record.type);
+      bucket.sum += value;
+      bucket.count++;
+      addToSource(bucket, record, value);
+      if (start.time >= bucket.lastTime) {
+        bucket.last = value;
+        bucket.lastTime = start.time;
+      }
+    } else if (BLOOD_PRESSURE_TYPES[record.type]) {
+      const component = BLOOD_PRESSURE_TYPES[record.type];
+      if (!bloodPressure.has(start.day)) {
+        bloodPressure.set(start.day, { systolic: [], diastolic: [] });
+      }
+      bloodPressure.get(start.day)[component].push(parseFloat(record.value));
+    } else if (record.type === SLEEP_TYPE) {
+      if (!(record.value in SLEEP_STAGES)) continue;
+
+      if (!sleep.has(end.day)) sleep.set(end.day, { asleep: [], 'deep-sleep': [], 'rem-sleep': [] });
+      const night = sleep.get(end.day);
+      night.asleep.push([start.time, end.time]);
+      const stage = SLEEP_STAGES[record.value];
+      if (stage) night[stage].push([start.time, end.time]);
+    } else if (record.type === MINDFUL_TYPE) {
+      const bucket = dailyBucket('meditation', start.day, record.type);
+      const minutes = (end.time - start.time) / MINUTE_MS;
+      bucket.sum += minutes;
+      bucket.count++;
+      addToSource(bucket, record, minutes);
+    } else {
+      unmappedTypes[record.type] = (unmappedTypes[record.type] || 0) + 1;
+    }
+  }
+
+  const entries = [];
+  const entry = (type, day, value, column) => entries.push({
+    row: day,
+    column,
+    type,
+    value: typeof value === 'number' ? roundValue(value) : value,
+    unit: getMetricType(type).defaultUnit,
+    date: `${day}T00:00:00.000Z`
+  });
+
+  for (const bucket of daily.values()) {
+    const mapping = QUANTITY_TYPES[bucket.source];
+    const aggregate = mapping ? mapping.aggregate : 'sum';
+
+    // Sources record the same activity, so use one source's total for the day
+    let value = Math.max(...bucket.sourceTotals.values());
+    if (aggregate === 'mean') value = bucket.sum / bucket.count;
+    if (aggregate === 'last') value = bucket.last;
+    entry(bucket.type, bucket.day, value, bucket.source);
+  }
+
+  for (const [day, readings] of bloodPressure) {
+    if (readings.systolic.length === 0 || readings.diastolic.length === 0) continue;
+    const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const reading = formatBloodPressure({ systolic: average(readings.systolic), diastolic: average(readings.diastolic) });
+    entry('blood-pressure', day, reading, 'HKQuantityTypeIdentifierBloodPressure');
+  }
+
+  for (const [day, night] of sleep) {
+    entry('sleep-duration', day, mergedDuration(night.asleep) / (60 * MINUTE_MS), SLEEP_TYPE);
+    for (const stage of ['deep-sleep', 'rem-sleep']) {
+      if (night[stage].length > 0) {
+        entry(stage, day, mergedDuration(night[stage]) / (60 * MINUTE_MS), SLEEP_TYPE);
+      }
+    }
+  }
+
+  entries.sort((a, b) => a.row.localeCompare(b.row) || a.type.localeCompare(b.type));
+  return { recordCount, entries, errors, unmappedTypes };
+}
+
+/**
+ * Aggregate an Apple Health export and load it into health_metrics for a user
+ */
+export async function importAppleHealthExport(pool, userId, filePath, { since = null, dryRun = false } = {}) {
+  const { recordCount, entries, errors, unmappedTypes } = await aggregateAppleHealthExport(filePath, { since });
+  const report = await importMetricEntries(pool, userId, entries, { dryRun });
+
+  return {
+    recordCount,
+    ...report,
+    errors: errors.concat(report.errors),
+    unmappedTypes
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Authentication
+ *
+ * Requests to the smart recommendations server are authenticated in one of
+ * two ways, and the user id always comes from what was verified:
+ *
+ *  - a signed bearer token (`Authorization: Bearer <token>`), an HS256 JWT
+ *    issued by POST /api/context-aware/auth/token after checking the user's
+ *    password against the scrypt hash in the users table
+ *  - the main app's login session: the signed `connect.sid` cookie set by
+ *    express-session, looked up in the Postgres session table that
+ *    connect-pg-simple maintains, where passport stores the user id
+ *
+ * Both are signed with SESSION_SECRET, the main app's session secret, unless
+ * AUTH_TOKEN_SECRET gives tokens their own.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(crypto.scrypt);
+
+export const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+export const DEFAULT_SESSION_COOKIE = 'connect.sid';
+
+export const DEFAULT_SESSION_TABLE = 'session';
+
+// Stored hashes are 64-byte scrypt keys, written as 128 hex characters
+const PASSWORD_HASH_PATTERN = /^[0-9a-f]{128}$/i;
+
+/**
+ * Raised when credentials are missing, malformed, expired or wrong
+ */
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Hash a password the way the main app stores it: "<hex scrypt hash>.<salt>"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, 64);
+  return `${hash.toString('hex')}.${salt}`;
+}
+
+/**
+ * Check a password against a stored "<hash>.<salt>" value
+ */
+export async function verifyPassword(password, stored) {
+  const [hash, salt] = (stored || '').split('.');
+  if (!salt || !PASSWORD_HASH_PATTERN.test(hash || '')) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scryptAsync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function hmac(secret, data, encoding) {
+  return crypto.createHmac('sha256', secret).update(data).digest(encoding);
+}
+
+/**
+ * Issue a token for a user, valid for `ttlSeconds`
+ */
+export function signToken(userId, secret, { ttlSeconds = TOKEN_TTL_SECONDS, now = new Date() } = {}) {
+  const issuedAt = Math.floor(now.getTime() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: String(userId), iat: issuedAt, exp: issuedAt + ttlSeconds }));
+  return {
+    token: `${header}.${payload}.${hmac(secret, `${header}.${payload}`, 'base64url')}`,
+    expiresAt: new Date((issuedAt + ttlSeconds) * 1000).toISOString()
+  };
+}
+
+/**
+ * The user id a token was issued for. Throws AuthError for tokens that are
+ * malformed, not signed with `secret`, or expired.
+ */
+export function verifyToken(token, secret, { now = new Date() } = {}) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token');
+  }
+  const [header, payload, signature] = parts;
+
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+  // Only HS256 is accepted, so a token can't pick a weaker algorithm
+  if (decodedHeader.alg !== 'HS256' || !safeEqual(signature, hmac(secret, `${header}.${payload}`, 'base64url'))) {
+    throw new AuthError('Invalid token signature');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now.getTime()) {
+    throw new AuthError('Token has expired');
+  }
+
+  const userId = parseInt(claims.sub);
+  if (!Number.isInteger(userId)) {
+    throw new AuthError('Token does not identify a user');
+  }
+  return userId;
+}
+
+/**
+ * Cookie values by name from a Cookie header
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (!(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        cookies[name] = part.slice(index + 1).trim();
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * The session id in an express-session cookie ("s:<id>.<signature>"), or
+ * null when it is not signed with `secret`
+ */
+export function unsignSessionCookie(value, secret) {
+  if (!value || !value.startsWith('s:')) return null;
+  const signed = value.slice(2);
+  const index = signed.lastIndexOf('.');
+  if (index === -1) return null;
+
+  const sessionId = signed.slice(0, index);
+  const expected = hmac(secret, sessionId, 'base64').replace(/=+$/, '');
+  return safeEqual(signed.slice(index + 1), expected) ? sessionId : null;
+}
+
+/**
+ * The user logged in to a main-app session, from the request's session
+ * cookie, or null when there is no valid, unexpired session
+ */
+export async function getSessionUserId(pool, cookieHeader, { secret, cookieName = DEFAULT_SESSION_COOKIE, table = DEFAULT_SESSION_TABLE } = {}) {
+  const sessionId = unsignSessionCookie(parseCookies(cookieHeader)[cookieName], secret);
+  if (!sessionId) return null;
+  if (!/^\w+$/.test(table)) {
+    throw new Error(`Invalid session table name "${table}"`);
+  }
+
+  const { rows } = await pool.query(`SELECT sess FROM ${table} WHERE sid = $1 AND expire > NOW()`, [sessionId]);
+  if (rows.length === 0) return null;
+  const session = typeof rows[0].sess === 'string' ? JSON.parse(rows[0].sess) : rows[0].sess;
+  const userId = parseInt(session?.passport?.user);
+  return Number.isInteger(userId) ? userId : null;
+}
+
+/**
+ * Check a username (or email) and password and issue a token. Throws
+ * AuthError without saying which of the two was wrong.
+ */
+export async function loginWithPassword(pool, { username, password }, { secret, now = new Date() } = {}) {
+  if (!username || !password) {
+    throw new AuthError('Username and password are required');
+  }
+
+  const { rows } = await pool.query(
+    'SELECT id, username, password, role FROM users WHERE username = $1 OR email = $1 LIMIT 1',
+    [username.toString()]
+  );
+  const user = rows[0];
+  if (!user || !(await verifyPassword(password.toString(), user.password))) {
+    throw new AuthError('Invalid username or password');
+  }
+
+  return {
+    ...signToken(user.id, secret, { now }),
+    user: { id: user.id, username: user.username, role: user.role || null }
+  };
+}
+
+/**
+ * Express middleware setting `req.userId` from a bearer token or the session
+ * cookie, and answering 401 when neither is valid. Paths in `publicPaths`
+ * ("METHOD /path" or "/path" for any method) skip the check.
+ */
+export function createAuthMiddleware({ getPool, tokenSecret, sessionSecret, cookieName, sessionTable, publicPaths = [] }) {
+  const isPublic = req => publicPaths.includes(req.path) || publicPaths.includes(`${req.method} ${req.path}`);
+
+  return async (req, res, next) => {
+    if (isPublic(req)) return next();
+
+    const unauthorized = message => res.status(401).json({
+      success: false,
+      message: message || 'Authentication required'
+    });
+
+    try {
+      const authorization = req.headers.authorization || '';
+      if (authorization.startsWith('Bearer ')) {
+        req.userId = verifyToken(authorization.slice(7).trim(), tokenSecret);
+        req.authMethod = 'token';
+        return next();
+      }
+
+      const sessionUserId = sessionSecret && req.headers.cookie
+        ? await getSessionUserId(await getPool(), req.headers.cookie, { secret: sessionSecret, cookieName, table: sessionTable })
+        : null;
+      if (sessionUserId === null) {
+        return unauthorized();
+      }
+      req.userId = sessionUserId;
+      req.authMethod = 'session';
+      next();
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return unauthorized(error.message);
+      }
+      console.error('Error authenticating request:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Could not verify your session'
+      });
+    }
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Blood Pressure Readings
+ *
+ * Blood pressure is a compound metric: a systolic and a diastolic value stored
+ * together as "120/80". Treating it as a single number keeps only the systolic
+ * half, so this module parses and formats readings and classifies them using
+ * the ACC/AHA categories (normal, elevated, stage 1 and stage 2 hypertension).
+ */
+
+// Components of a reading, in the order they are written
+export const BLOOD_PRESSURE_COMPONENTS = ['systolic', 'diastolic'];
+
+// Categories from most to least severe; a reading falls in the first category
+// whose systolic or diastolic threshold it reaches
+const CATEGORIES = [
+  { category: 'stage-2-hypertension', label: 'Stage 2 hypertension', status: 'high', systolic: 140, diastolic: 90 },
+  { category: 'stage-1-hypertension', label: 'Stage 1 hypertension', status: 'high', systolic: 130, diastolic: 80 },
+  { category: 'elevated', label: 'Elevated', status: 'elevated', systolic: 120, diastolic: Infinity }
+];
+
+const NORMAL = { category: 'normal', label: 'Normal', status: 'normal' };
+
+// Every category name a rule may refer to
+export const BLOOD_PRESSURE_CATEGORIES = [NORMAL, ...CATEGORIES].map(c => c.category);
+
+// Plausible ranges, used to reject typos such as "1200/80"
+const LIMITS = {
+  systolic: { min: 50, max: 300 },
+  diastolic: { min: 30, max: 200 }
+};
+
+function isWithinLimits(reading) {
+  return BLOOD_PRESSURE_COMPONENTS.every(component => {
+    const value = reading[component];
+    return Number.isFinite(value) && value >= LIMITS[component].min && value <= LIMITS[component].max;
+  }) && reading.systolic > reading.diastolic;
+}
+
+/**
+ * Parse a reading from "120/80", "120 / 80 mmHg" or { systolic, diastolic }.
+ * Returns { systolic, diastolic }, or null when the value is not a usable reading.
+ */
+export function parseBloodPressure(value) {
+  if (value === null || value === undefined) return null;
+
+  let reading;
+  if (typeof value === 'object') {
+    reading = { systolic: parseFloat(value.systolic), diastolic: parseFloat(value.diastolic) };
+  } else {
+    const match = value.toString().match(/^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+    if (!match) return null;
+    reading = { systolic: parseFloat(match[1]), diastolic: parseFloat(match[2]) };
+  }
+
+  return isWithinLimits(reading) ? reading : null;
+}
+
+/**
+ * Format a reading as "120/80", or null when either component is missing
+ */
+export function formatBloodPressure(reading) {
+  if (!reading || reading.systolic === null || reading.diastolic === null ||
+      reading.systolic === undefined || reading.diastolic === undefined) {
+    return null;
+  }
+  return `${Math.round(reading.systolic)}/${Math.round(reading.diastolic)}`;
+}
+
+/**
+ * Classify a reading. Returns { category, label, status } where status is the
+ * value the health-context endpoint reports (normal, elevated or high).
+ */
+export function classifyBloodPressure(reading) {
+  if (!reading || reading.systolic === null || reading.diastolic === null) return null;
+
+  const match = CATEGORIES.find(c => reading.systolic >= c.systolic || reading.diastolic >= c.diastolic) || NORMAL;
+  return { category: match.category, label: match.label, status: match.status };
+}
@@ -0,0 +1,286 @@
+/**
+ * Bloodwork Results
+ *
+ * Writes lab results to bloodwork_results under their analyte registry name
+ * and storage unit, and interprets each result against a reference range: the
+ * lab's own range when the report has one, otherwise the registry default for
+ * the user's sex and age. Results are flagged low, high, or critical when they
+ * pass the registry's critical limits.
+ *
+ * The latest flagged results feed the recommendation rules (`bloodwork`
+ * conditions) and the supplement recommendations.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getAnalyte, getUnitFactor, getDefaultRange } from './analyte-registry.js';
+import { formatDay } from './dates.js';
+
+// Result statuses, from most to least severe on each side
+export const BLOODWORK_STATUSES = ['critical-low', 'low', 'normal', 'high', 'critical-high'];
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = parseFloat(value.toString());
+  return Number.isNaN(numeric) ? null : numeric;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Read a user's sex and age from their questionnaire for range selection
+ */
+export function getLabProfile(questionnaire) {
+  if (!questionnaire) return { sex: null, age: null };
+  const age = toNumber(questionnaire.age);
+  return {
+    sex: questionnaire.gender ? questionnaire.gender.toString().toLowerCase() : null,
+    age
+  };
+}
+
+/**
+ * Classify a value against a range and the analyte's critical limits
+ */
+export function interpretResult(value, { min = null, max = null } = {}, critical = null) {
+  if (critical && critical.low !== null && critical.low !== undefined && value < critical.low) return 'critical-low';
+  if (critical && critical.high !== null && critical.high !== undefined && value > critical.high) return 'critical-high';
+  if (min !== null && value < min) return 'low';
+  if (max !== null && value > max) return 'high';
+  return 'normal';
+}
+
+/**
+ * Validate, convert to the analyte's unit and interpret a lab result before it
+ * is written. `profile` ({ sex, age }) selects the default range when the lab
+ * did not report one. Throws a descriptive error for unusable results.
+ *
+ * The stored status is always worked out from the value and range, so a
+ * submitted "normal" can't hide a critical result. A status that came with
+ * the result is returned as `reportedStatus` and is not stored.
+ */
+export function prepareBloodworkForWrite({ type, value, unit, min, max, status, date }, profile = {}) {
+  const analyte = getAnalyte(type);
+  if (!analyte) {
+    throw new Error(`Unknown lab analyte "${type}"`);
+  }
+
+  const numeric = toNumber(value);
+  if (numeric === null) {
+    throw new Error(`Value "${value}" for ${analyte.name} is not a number`);
+  }
+
+  const factor = getUnitFactor(analyte, unit);
+  if (factor === null) {
+    const accepted = [analyte.unit, ...Object.keys(analyte.unitFactors || {})].join(', ');
+    throw new Error(`Unit "${unit}" is not accepted for ${analyte.name} (accepted: ${accepted})`);
+  }
+
+  const recordedAt = date ? new Date(date) : new Date();
+  if (Number.isNaN(recordedAt.getTime())) {
+    throw new Error(`Invalid date "${date}" for ${analyte.name}`);
+  }
+
+  if (status && !BLOODWORK_STATUSES.includes(status)) {
+    throw new Error(`Unknown status "${status}" for ${analyte.name}`);
+  }
+
+  // The lab's range, converted like the value, takes precedence over defaults
+  const labMin = toNumber(min);
+  const labMax = toNumber(max);
+  const hasLabRange = labMin !== null || labMax !== null;
+  const range = hasLabRange
+    ? { min: labMin === null ? null : labMin * factor, max: labMax === null ? null : labMax * factor }
+    : (getDefaultRange(analyte, profile) || { min: null, max: null });
+
+  const converted = numeric * factor;
+
+  return {
+    type: analyte.name,
+    value: round(converted).toString(),
+    unit: analyte.unit,
+    min: range.min === null ? null : round(range.min).toString(),
+    max: range.max === null ? null : round(range.max).toString(),
+    status: interpretResult(converted, range, analyte.critical),
+    reportedStatus: status || null,
+    rangeSource: hasLabRange ? 'lab' : 'default',
+    date: recordedAt.toISOString()
+  };
+}
+
+async function writeBloodworkRows(client, userId, results, uploadId) {
+  const inserted = [];
+
+  for (const result of results) {
+    const { rows } = await client.query(
+      `INSERT INTO bloodwork_results (id, user_id, type, value, unit, min, max, status, date, upload_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id, type, value, unit, min, max, status, date, upload_id`,
+      [uuidv4(), userId, result.type, result.value, result.unit, result.min, result.max, result.status, result.date, uploadId]
+    );
+    inserted.push(rows[0]);
+  }
+
+  return inserted;
+}
+
+/**
+ * Insert prepared lab results for a user as one upload, returning the inserted
+ * rows. The upload is written in a transaction, so it is stored whole or not
+ * at all.
+ */
+export async function insertBloodworkResults(pool, userId, results, uploadId = uuidv4()) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const inserted = await writeBloodworkRows(client, userId, results, uploadId);
+    await client.query('COMMIT');
+    return inserted;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Analyte and calendar day (UTC) used to de-duplicate results
+ */
+function dayKey(type, date) {
+  const analyte = getAnalyte(type);
+  return `${analyte ? analyte.name : type}|${formatDay(date)}`;
+}
+
+/**
+ * Validate, de-duplicate against existing (type, day) rows and (unless
+ * `dryRun`) insert lab results for a user. Mirrors importMetricEntries,
+ * including running inside the transaction of a `client` when given one.
+ */
+export async function importBloodworkResults(pool, userId, results, { dryRun = false, profile = {}, client = null } = {}) {
+  const errors = [];
+  const prepared = [];
+  for (const result of results) {
+    try {
+      prepared.push({ row: result.row, result: prepareBloodworkForWrite(result, profile) });
+    } catch (error) {
+      errors.push({ row: result.row, column: result.column, error: error.message });
+    }
+  }
+
+  const existing = new Set();
+  if (prepared.length > 0) {
+    const { rows } = await (client || pool).query(
+      'SELECT type, date FROM bloodwork_results WHERE user_id = $1',
+      [userId]
+    );
+    rows.filter(row => row.date).forEach(row => existing.add(dayKey(row.type, row.date)));
+  }
+
+  const duplicates = [];
+  const toInsert = [];
+  for (const { row, result } of prepared) {
+    const key = dayKey(result.type, result.date);
+    if (existing.has(key)) {
+      duplicates.push({ row, type: result.type, date: result.date.slice(0, 10) });
+      continue;
+    }
+    existing.add(key);
+    toInsert.push(result);
+  }
+
+  let imported = 0;
+  if (!dryRun && toInsert.length > 0) {
+    const inserted = client
+      ? await writeBloodworkRows(client, userId, toInsert, uuidv4())
+      : await insertBloodworkResults(pool, userId, toInsert);
+    imported = inserted.length;
+  }
+
+  return {
+    dryRun,
+    resultsFound: results.length,
+    imported,
+    wouldImport: dryRun ? toInsert.length : undefined,
+    duplicates,
+    errors
+  };
+}
+
+/**
+ * Latest result per analyte for a user, newest first
+ */
+export async function loadLatestBloodwork(pool, userId) {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT ON (type) id, type, value, unit, min, max, status, date, upload_id
+     FROM bloodwork_results WHERE user_id = $1
+     ORDER BY type, date DESC`,
+    [userId]
+  );
+
+  // Older rows may use other spellings; keep the newest per analyte
+  const latest = new Map();
+  for (const row of rows) {
+    const analyte = getAnalyte(row.type);
+    const key = analyte ? analyte.key : row.type;
+    if (!latest.has(key) || new Date(row.date) > new Date(latest.get(key).date)) {
+      latest.set(key, row);
+    }
+  }
+  return [...latest.values()].sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Index the latest results by analyte key, for rule conditions and supplement logic.
+ * Rows stored without a status are interpreted against the registry defaults.
+ */
+export function buildBloodworkContext(results = [], profile = {}) {
+  const context = {};
+
+  for (const result of results) {
+    const analyte = getAnalyte(result.type);
+    if (!analyte) continue;
+
+    const value = toNumber(result.value);
+    const range = {
+      min: toNumber(result.min),
+      max: toNumber(result.max)
+    };
+    const hasRange = range.min !== null || range.max !== null;
+    const status = result.status && BLOODWORK_STATUSES.includes(result.status)
+      ? result.status
+      : (value === null ? null : interpretResult(value, hasRange ? range : (getDefaultRange(analyte, profile) || {}), analyte.critical));
+
+    context[analyte.key] = {
+      name: analyte.name,
+      value,
+      unit: result.unit || analyte.unit,
+      min: range.min,
+      max: range.max,
+      status,
+      date: result.date || null
+    };
+  }
+
+  return context;
+}
+
+/**
+ * The out-of-range entries of a bloodwork context, most severe first
+ */
+export function getBloodworkFlags(bloodworkContext) {
+  const severity = status => (status && status.startsWith('critical') ? 0 : 1);
+  return Object.entries(bloodworkContext)
+    .filter(([, result]) => result.status && result.status !== 'normal')
+    .map(([key, result]) => ({ analyte: key, ...result }))
+    .sort((a, b) => severity(a.status) - severity(b.status));
+}
+
+/**
+ * Whether an analyte's latest result has one of the given statuses
+ */
+export function hasBloodworkStatus(bloodworkContext, analyte, statuses) {
+  const result = bloodworkContext[analyte];
+  return !!result && statuses.includes(result.status);
+}
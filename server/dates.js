@@ -0,0 +1,29 @@
+/**
+ * Calendar Days
+ *
+ * Days (adherence doses, goal deadlines, report collection dates, de-duplication
+ * keys) are handled as "YYYY-MM-DD" strings in UTC. Postgres DATE columns are
+ * read as that same text: pg's default parser turns them into local midnight,
+ * which toISOString() moves to the day before on servers east of UTC. Call
+ * `useDateStrings` once where a pool is created.
+ */
+
+export const PG_DATE_OID = 1082;
+
+/**
+ * Have pg return DATE columns as their "YYYY-MM-DD" text
+ */
+export function useDateStrings(pg) {
+  pg.types.setTypeParser(PG_DATE_OID, value => value);
+}
+
+/**
+ * The UTC calendar day of a Date, timestamp or day string. Day strings are
+ * returned as they are; values that are not dates are left unchanged.
+ */
+export function formatDay(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,309 @@
+/**
+ * FHIR R4 Observation Interchange
+ *
+ * Serializes a user's health_metrics and bloodwork_results as a FHIR R4
+ * Bundle of Observation resources, and reads such bundles back. Observations
+ * are coded with LOINC from the metric and analyte registries; metrics without
+ * a LOINC code use this app's own code system so they still round-trip.
+ *
+ * Blood pressure uses the LOINC panel (85354-9) with systolic and diastolic
+ * components, as clinics expect.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getMetricType, getMetricTypeByLoinc } from './metric-registry.js';
+import { getAnalyte, getAnalyteByLoinc } from './analyte-registry.js';
+import { parseBloodPressure } from './blood-pressure.js';
+import { importMetricEntries } from './metric-import.js';
+import { importBloodworkResults } from './bloodwork.js';
+
+export const LOINC_SYSTEM = 'http://loinc.org';
+export const METRIC_CODE_SYSTEM = 'https://decent4.app/fhir/CodeSystem/metric-type';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+
+const BLOOD_PRESSURE_COMPONENTS = {
+  systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+  diastolic: { code: '8462-4', display: 'Diastolic blood pressure' }
+};
+
+// Our unit symbols and their UCUM codes
+const UCUM_CODES = {
+  'kg': 'kg', 'lb': '[lb_av]', 'g': 'g',
+  'hours': 'h', 'minutes': 'min', 'ms': 'ms',
+  'bpm': '/min', 'breaths/min': '/min', 'mmHg': 'mm[Hg]',
+  '°C': 'Cel', '°F': '[degF]', '%': '%',
+  'L': 'L', 'mL': 'mL', 'fl oz': '[foz_us]',
+  'mg/dL': 'mg/dL', 'mmol/L': 'mmol/L', 'g/dL': 'g/dL',
+  'ng/mL': 'ng/mL', 'pg/mL': 'pg/mL', 'ng/dL': 'ng/dL',
+  'mcg/dL': 'ug/dL', 'mg/L': 'mg/L', 'U/L': 'U/L', 'mIU/L': 'm[IU]/L',
+  'kg/m²': 'kg/m2', 'mL/kg/min': 'mL/kg/min', 'kcal': 'kcal',
+  'steps': '{steps}', 'score': '{score}', 'days/week': '{days}/wk'
+};
+
+// Reverse lookup for imports. Several of our units share "/min", so the
+// metric's own unit wins when it matches.
+const UNITS_BY_UCUM = Object.entries(UCUM_CODES).reduce((map, [unit, code]) => {
+  if (!map[code]) map[code] = unit;
+  return map;
+}, {});
+
+// Observation categories by metric key; everything else is vital signs
+const METRIC_CATEGORIES = {
+  'steps': 'activity', 'active-minutes': 'activity', 'exercise-frequency': 'activity', 'exercise-duration': 'activity',
+  'sleep-duration': 'activity', 'deep-sleep': 'activity', 'rem-sleep': 'activity',
+  'stress-level': 'survey', 'mood': 'survey', 'anxiety-level': 'survey', 'energy-level': 'survey',
+  'water-intake': 'survey', 'calorie-intake': 'survey', 'protein-intake': 'survey', 'carb-intake': 'survey', 'fat-intake': 'survey',
+  'testosterone': 'laboratory', 'cortisol': 'laboratory'
+};
+
+const INTERPRETATIONS = {
+  'critical-low': { code: 'LL', display: 'Critical low' },
+  low: { code: 'L', display: 'Low' },
+  normal: { code: 'N', display: 'Normal' },
+  high: { code: 'H', display: 'High' },
+  'critical-high': { code: 'HH', display: 'Critical high' }
+};
+
+function toUcum(unit) {
+  return UCUM_CODES[unit] || unit;
+}
+
+function fromUcum(code, preferredUnit) {
+  if (!code) return preferredUnit || null;
+  if (preferredUnit && UCUM_CODES[preferredUnit] === code) return preferredUnit;
+  return UNITS_BY_UCUM[code] || code;
+}
+
+function quantity(value, unit) {
+  return { value: parseFloat(value), unit, system: UCUM_SYSTEM, code: toUcum(unit) };
+}
+
+function categoryOf(code) {
+  return [{ coding: [{ system: CATEGORY_SYSTEM, code }] }];
+}
+
+/**
+ * Build an Observation for one health_metrics row, or null if the value cannot be expressed
+ */
+export function metricToObservation(metric, userId) {
+  const metricType = getMetricType(metric.type);
+  const coding = metricType && metricType.loinc
+    ? { system: LOINC_SYSTEM, code: metricType.loinc, display: metricType.name }
+    : { system: METRIC_CODE_SYSTEM, code: metricType ? metricType.key : metric.type, display: metricType ? metricType.name : metric.type };
+
+  const observation = {
+    resourceType: 'Observation',
+    id: metric.id ? metric.id.toString() : uuidv4(),
+    status: 'final',
+    category: categoryOf(metricType ? (METRIC_CATEGORIES[metricType.key] || 'vital-signs') : 'survey'),
+    code: { coding: [coding], text: metricType ? metricType.name : metric.type },
+    subject: { reference: `Patient/${userId}` },
+    effectiveDateTime: new Date(metric.date).toISOString()
+  };
+
+  const unit = metric.unit || (metricType ? metricType.defaultUnit : null);
+
+  if (metricType && metricType.key === 'blood-pressure') {
+    const reading = parseBloodPressure(metric.value);
+    if (!reading) return null;
+    observation.component = Object.entries(BLOOD_PRESSURE_COMPONENTS).map(([component, code]) => ({
+      code: { coding: [{ system: LOINC_SYSTEM, ...code }] },
+      valueQuantity: quantity(reading[component], 'mmHg')
+    }));
+    return observation;
+  }
+
+  if (Number.isNaN(parseFloat(metric.value))) return null;
+  observation.valueQuantity = quantity(metric.value, unit);
+  return observation;
+}
+
+/**
+ * Build an Observation for one bloodwork_results row
+ */
+export function bloodworkToObservation(result, userId) {
+  const analyte = getAnalyte(result.type);
+  const coding = analyte
+    ? { system: LOINC_SYSTEM, code: analyte.loinc, display: analyte.name }
+    : { system: METRIC_CODE_SYSTEM, code: result.type, display: result.type };
+  const unit = result.unit || (analyte ? analyte.unit : null);
+
+  const observation = {
+    resourceType: 'Observation',
+    id: result.id ? result.id.toString() : uuidv4(),
+    status: 'final',
+    category: categoryOf('laboratory'),
+    code: { coding: [coding], text: analyte ? analyte.name : result.type },
+    subject: { reference: `Patient/${userId}` },
+    effectiveDateTime: new Date(result.date).toISOString(),
+    valueQuantity: quantity(result.value, unit)
+  };
+
+  const hasMin = result.min !== null && result.min !== undefined && result.min !== '';
+  const hasMax = result.max !== null && result.max !== undefined && result.max !== '';
+  if (hasMin || hasMax) {
+    observation.referenceRange = [{
+      ...(hasMin ? { low: quantity(result.min, unit) } : {}),
+      ...(hasMax ? { high: quantity(result.max, unit) } : {})
+    }];
+  }
+
+  if (INTERPRETATIONS[result.status]) {
+    observation.interpretation = [{ coding: [{ system: INTERPRETATION_SYSTEM, ...INTERPRETATIONS[result.status] }] }];
+  }
+
+  return observation;
+}
+
+/**
+ * Build a FHIR collection Bundle from a user's metric and bloodwork rows
+ */
+export function buildObservationBundle({ userId, metrics = [], bloodwork = [] }) {
+  const observations = [
+    ...metrics.map(metric => metricToObservation(metric, userId)),
+    ...bloodwork.map(result => bloodworkToObservation(result, userId))
+  ].filter(Boolean);
+
+  return {
+    resourceType: 'Bundle',
+    id: uuidv4(),
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: observations.map(resource => ({ fullUrl: `urn:uuid:${resource.id}`, resource }))
+  };
+}
+
+function findCoding(codeableConcept, system) {
+  return ((codeableConcept && codeableConcept.coding) || []).find(coding => coding.system === system) || null;
+}
+
+/**
+ * Which blood pressure reading a component holds, from its LOINC code or our
+ * own code system ("systolic" or "diastolic")
+ */
+function bloodPressureComponentName(component) {
+  const loinc = findCoding(component.code, LOINC_SYSTEM);
+  const local = findCoding(component.code, METRIC_CODE_SYSTEM);
+  return Object.keys(BLOOD_PRESSURE_COMPONENTS).find(key =>
+    (loinc && BLOOD_PRESSURE_COMPONENTS[key].code === loinc.code) || (local && local.code === key)
+  ) || null;
+}
+
+/**
+ * Read an observation's effective time, accepting a period's start
+ */
+function effectiveDate(observation) {
+  return observation.effectiveDateTime ||
+    observation.effectiveInstant ||
+    (observation.effectivePeriod && observation.effectivePeriod.start) ||
+    observation.issued ||
+    null;
+}
+
+/**
+ * Split a Bundle (or a single Observation) into metric entries and lab results.
+ * Observations whose codes map to neither registry are reported as unmapped.
+ */
+export function parseObservationBundle(bundle) {
+  if (!bundle || (bundle.resourceType !== 'Bundle' && bundle.resourceType !== 'Observation')) {
+    throw new Error('Expected a FHIR Bundle or Observation resource');
+  }
+
+  const resources = bundle.resourceType === 'Bundle'
+    ? (bundle.entry || []).map(entry => entry.resource).filter(Boolean)
+    : [bundle];
+
+  const metrics = [];
+  const bloodwork = [];
+  const unmapped = [];
+
+  resources.forEach((observation, index) => {
+    if (observation.resourceType !== 'Observation') return;
+    if (['entered-in-error', 'cancelled'].includes(observation.status)) return;
+
+    const row = index + 1;
+    const loinc = findCoding(observation.code, LOINC_SYSTEM);
+    const local = findCoding(observation.code, METRIC_CODE_SYSTEM);
+    const date = effectiveDate(observation);
+    const value = observation.valueQuantity || {};
+
+    const analyte = loinc ? getAnalyteByLoinc(loinc.code) : (local ? getAnalyte(local.code) : null);
+    const metricType = loinc ? getMetricTypeByLoinc(loinc.code) : (local ? getMetricType(local.code) : null);
+
+    if (metricType && metricType.key === 'blood-pressure') {
+      const components = {};
+      for (const component of observation.component || []) {
+        const name = bloodPressureComponentName(component);
+        if (name && component.valueQuantity) components[name] = component.valueQuantity.value;
+      }
+      metrics.push({ row, column: (loinc || local).code, type: metricType.name, value: components, unit: 'mmHg', date });
+    } else if (metricType) {
+      metrics.push({
+        row,
+        column: (loinc || local).code,
+        type: metricType.name,
+        value: value.value,
+        unit: fromUcum(value.code || value.unit, metricType.defaultUnit),
+        date
+      });
+    } else if (analyte) {
+      const range = (observation.referenceRange || [])[0] || {};
+      const interpretation = findCoding((observation.interpretation || [])[0], INTERPRETATION_SYSTEM);
+      const status = interpretation
+        ? Object.keys(INTERPRETATIONS).find(key => INTERPRETATIONS[key].code === interpretation.code)
+        : null;
+
+      bloodwork.push({
+        row,
+        column: (loinc || local).code,
+        type: analyte.name,
+        value: value.value,
+        unit: fromUcum(value.code || value.unit, analyte.unit),
+        min: range.low ? range.low.value : null,
+        max: range.high ? range.high.value : null,
+        status: status || null,
+        date
+      });
+    } else {
+      const coding = (observation.code && observation.code.coding && observation.code.coding[0]) || {};
+      unmapped.push({ row, system: coding.system || null, code: coding.code || null, display: coding.display || (observation.code && observation.code.text) || null });
+    }
+  });
+
+  return { metrics, bloodwork, unmapped };
+}
+
+/**
+ * Export a user's metrics and lab results as a FHIR Bundle
+ */
+export async function exportFhirBundle(pool, userId) {
+  const [{ rows: metrics }, { rows: bloodwork }] = await Promise.all([
+    pool.query('SELECT id, type, value, unit, date FROM health_metrics WHERE user_id = $1 ORDER BY date', [userId]),
+    pool.query('SELECT id, type, value, unit, min, max, status, date FROM bloodwork_results WHERE user_id = $1 ORDER BY date', [userId])
+  ]);
+  return buildObservationBundle({ userId, metrics, bloodwork });
+}
+
+/**
+ * Import a FHIR Bundle for a user, de-duplicating against existing rows. The
+ * metrics and lab results are written in one transaction, so a failure in
+ * either leaves nothing imported.
+ */
+export async function importFhirBundle(pool, userId, bundle, { dryRun = false } = {}) {
+  const parsed = parseObservationBundle(bundle);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const metrics = await importMetricEntries(pool, userId, parsed.metrics, { dryRun, client });
+    const bloodwork = await importBloodworkResults(pool, userId, parsed.bloodwork, { dryRun, client });
+    await client.query('COMMIT');
+    return { metrics, bloodwork, unmapped: parsed.unmapped };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,395 @@
+/**
+ * Health Goals
+ *
+ * A goal targets one registered metric: reach a value (increase or decrease
+ * towards it) or get into a range, optionally by a deadline. Targets are
+ * stored in the metric's canonical unit, converting from the unit they were
+ * given in.
+ *
+ * Progress is computed from the user's health_metrics history rather than
+ * stored: the current value is the 7-day average (or the latest reading when
+ * there is none in the last week), measured against the value the metric had
+ * when the goal was set. The ETA projects the 30-day trend forward to the
+ * target; a goal with a deadline is on track when that projection lands
+ * before it.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { analyzeSeries, toMetricPoint } from './metric-analysis.js';
+import { getMetricSpellings, getMetricType } from './metric-registry.js';
+import { normalizeMetricValue } from './unit-conversion.js';
+import { formatDay } from './dates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GOAL_DIRECTIONS = ['increase', 'decrease', 'within'];
+
+export const GOAL_STATUSES = ['active', 'archived'];
+
+/**
+ * Raised for goals that cannot be saved as submitted
+ */
+export class GoalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GoalError';
+  }
+}
+
+/**
+ * Create the goals table if it does not exist yet
+ */
+export async function ensureGoalTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS health_goals (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      metric TEXT NOT NULL,
+      title TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      target_value NUMERIC,
+      target_min NUMERIC,
+      target_max NUMERIC,
+      unit TEXT,
+      deadline DATE,
+      start_value NUMERIC,
+      status TEXT NOT NULL DEFAULT 'active',
+      notes TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function toGoal(row) {
+  return {
+    id: row.id,
+    metric: row.metric,
+    title: row.title,
+    direction: row.direction,
+    target: toNumber(row.target_value),
+    targetRange: row.direction === 'within' ? { min: toNumber(row.target_min), max: toNumber(row.target_max) } : null,
+    unit: row.unit || null,
+    deadline: row.deadline ? formatDay(row.deadline) : null,
+    startValue: toNumber(row.start_value),
+    status: row.status,
+    notes: row.notes || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * A target as readable text, e.g. "8 hours" or "between 3 and 5 score"
+ */
+export function describeGoalTarget(goal) {
+  const unit = goal.unit ? ` ${goal.unit}` : '';
+  return goal.direction === 'within'
+    ? `between ${goal.targetRange.min} and ${goal.targetRange.max}${unit}`
+    : `${goal.target}${unit}`;
+}
+
+function defaultTitle(goal) {
+  if (goal.direction === 'within') return `Keep ${goal.metric} ${describeGoalTarget(goal)}`;
+  return `${goal.direction === 'increase' ? 'Increase' : 'Reduce'} ${goal.metric} to ${describeGoalTarget(goal)}`;
+}
+
+/**
+ * A user's readings for one metric as canonical-unit points, oldest first
+ */
+function getMetricPoints(metrics, metricType) {
+  return metrics
+    .filter(metric => getMetricType(metric.type) === metricType)
+    .map(toMetricPoint)
+    .filter(point => point && point.time !== null)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * The value a metric has now: its 7-day average, else its latest reading
+ */
+function getCurrentReading(points, now) {
+  if (points.length === 0) return null;
+  const analysis = analyzeSeries(points, now);
+  return {
+    value: analysis.avg7 ?? analysis.latest.value,
+    date: analysis.latest.date,
+    slopePerDay: analysis.slope
+  };
+}
+
+function parseTarget(value, unit, metricType, field) {
+  if (value === undefined || value === null || value === '') {
+    throw new GoalError(`A ${field} is required`);
+  }
+  try {
+    return normalizeMetricValue(metricType.name, value, unit).value;
+  } catch (error) {
+    throw new GoalError(error.message);
+  }
+}
+
+/**
+ * Check a goal against the metric it targets and normalise it. `input` holds
+ * { metric, title, target | targetRange: { min, max }, unit, direction,
+ * deadline, status, notes }; `existing` is the saved goal when updating.
+ * The current reading is used to infer a missing direction.
+ */
+export function validateGoal(input, { existing = null, current = null, now = new Date() } = {}) {
+  if (!input || typeof input !== 'object') {
+    throw new GoalError('Goal details are required');
+  }
+
+  const metricName = input.metric ?? existing?.metric;
+  const metricType = getMetricType(metricName);
+  if (!metricType) {
+    throw new GoalError(metricName ? `Unknown metric "${metricName}"` : 'A goal needs a metric');
+  }
+  if (metricType.valueType === 'compound') {
+    throw new GoalError(`Goals can't target ${metricType.name} yet, as it has more than one value`);
+  }
+
+  const goal = {
+    metric: metricType.name,
+    unit: metricType.defaultUnit,
+    direction: input.direction ?? existing?.direction ?? null,
+    target: existing?.target ?? null,
+    targetRange: existing?.targetRange ?? null,
+    deadline: existing?.deadline ?? null,
+    status: input.status ?? existing?.status ?? 'active',
+    notes: input.notes !== undefined ? (input.notes ? input.notes.toString() : null) : (existing?.notes ?? null)
+  };
+
+  // A new target replaces the old one, value or range
+  if (input.targetRange !== undefined) {
+    const { min, max } = input.targetRange || {};
+    goal.targetRange = {
+      min: parseTarget(min, input.unit, metricType, 'targetRange.min'),
+      max: parseTarget(max, input.unit, metricType, 'targetRange.max')
+    };
+    goal.target = null;
+    if (goal.targetRange.min >= goal.targetRange.max) {
+      throw new GoalError('targetRange.min must be below targetRange.max');
+    }
+    if (input.direction === undefined) goal.direction = 'within';
+  } else if (input.target !== undefined) {
+    goal.target = parseTarget(input.target, input.unit, metricType, 'target');
+    goal.targetRange = null;
+    // Work the direction out again from the new target when possible
+    if (input.direction === undefined && (current !== null || goal.direction === 'within')) goal.direction = null;
+  } else if (goal.target === null && goal.targetRange === null) {
+    throw new GoalError('A goal needs a target or a targetRange');
+  }
+
+  if (!goal.direction) {
+    if (current === null) {
+      throw new GoalError(`No ${metricType.name} readings to compare the target with, so please give a direction (increase or decrease)`);
+    }
+    goal.direction = goal.target >= current ? 'increase' : 'decrease';
+  }
+  if (!GOAL_DIRECTIONS.includes(goal.direction)) {
+    throw new GoalError(`Direction must be one of ${GOAL_DIRECTIONS.join(', ')}`);
+  }
+  if ((goal.direction === 'within') !== (goal.targetRange !== null)) {
+    throw new GoalError(goal.direction === 'within'
+      ? 'A "within" goal needs a targetRange'
+      : `A goal to ${goal.direction} ${goal.metric} needs a single target, not a range`);
+  }
+
+  if (input.deadline !== undefined) {
+    if (input.deadline === null || input.deadline === '') {
+      goal.deadline = null;
+    } else {
+      const deadline = input.deadline.toString();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(deadline) || isNaN(new Date(`${deadline}T00:00:00Z`).getTime())) {
+        throw new GoalError(`Invalid deadline "${input.deadline}": use YYYY-MM-DD`);
+      }
+      if (deadline <= formatDay(now)) {
+        throw new GoalError('The deadline must be in the future');
+      }
+      goal.deadline = deadline;
+    }
+  }
+
+  if (!GOAL_STATUSES.includes(goal.status)) {
+    throw new GoalError(`Status must be one of ${GOAL_STATUSES.join(', ')}`);
+  }
+
+  // Generated titles follow the target; ones the user wrote are kept
+  const title = input.title !== undefined ? (input.title || '').toString().trim() : null;
+  goal.title = title || (existing && existing.title !== defaultTitle(existing) ? existing.title : defaultTitle(goal));
+  return goal;
+}
+
+/**
+ * Progress towards a goal from the user's metric rows: the current and
+ * starting values, percentage complete, the 30-day trend and an ETA
+ */
+export function computeGoalProgress(goal, metrics, { now = new Date() } = {}) {
+  const points = getMetricPoints(metrics, getMetricType(goal.metric));
+  const reading = getCurrentReading(points, now);
+  if (!reading) {
+    return { current: null, start: goal.startValue, percentComplete: 0, achieved: false, projection: 'no-data', eta: null, onTrack: null };
+  }
+
+  const current = reading.value;
+  // Goals set before any readings start from the first one after
+  const start = goal.startValue ?? points.find(p => p.time >= new Date(goal.createdAt).getTime())?.value ?? current;
+
+  let target = goal.target;
+  let achieved;
+  if (goal.direction === 'within') {
+    const { min, max } = goal.targetRange;
+    achieved = current >= min && current <= max;
+    target = current < min ? min : max;
+  } else {
+    achieved = goal.direction === 'increase' ? current >= target : current <= target;
+  }
+
+  let percentComplete;
+  if (achieved) {
+    percentComplete = 100;
+  } else if (target === start) {
+    percentComplete = 0;
+  } else {
+    percentComplete = Math.round(Math.min(Math.max((current - start) / (target - start), 0), 1) * 100);
+  }
+
+  // Project the recent trend forward to the target
+  const slope = reading.slopePerDay;
+  let projection = 'achieved';
+  let eta = null;
+  if (!achieved) {
+    const remaining = target - current;
+    if (slope === null) {
+      projection = 'not-enough-data';
+    } else if (slope === 0 || Math.sign(slope) !== Math.sign(remaining)) {
+      projection = slope === 0 ? 'stalled' : 'moving-away';
+    } else {
+      projection = 'on-course';
+      eta = formatDay(new Date(now.getTime() + Math.ceil(remaining / slope) * DAY_MS));
+    }
+  }
+
+  let onTrack = null;
+  if (achieved) {
+    onTrack = true;
+  } else if (goal.deadline) {
+    onTrack = eta !== null && eta <= goal.deadline;
+  }
+
+  return {
+    current: Math.round(current * 100) / 100,
+    currentAsOf: reading.date,
+    start: Math.round(start * 100) / 100,
+    percentComplete,
+    achieved,
+    slopePerDay: slope,
+    projection,
+    eta,
+    onTrack,
+    daysToDeadline: goal.deadline
+      ? Math.ceil((new Date(`${goal.deadline}T00:00:00Z`).getTime() - now.getTime()) / DAY_MS)
+      : null
+  };
+}
+
+/**
+ * A user's readings of the metrics their goals target
+ */
+export async function loadGoalMetrics(pool, userId, metricNames) {
+  const spellings = [...new Set(metricNames.flatMap(getMetricSpellings))];
+  if (spellings.length === 0) return [];
+  const { rows } = await pool.query(
+    'SELECT id, type, value, unit, date FROM health_metrics WHERE user_id = $1 AND type = ANY($2) ORDER BY date',
+    [userId, spellings]
+  );
+  return rows;
+}
+
+/**
+ * A user's goals, optionally of one status, each with its progress. Pass
+ * `metrics` to reuse rows already loaded.
+ */
+export async function listGoals(pool, userId, { status = null, metrics = null, now = new Date() } = {}) {
+  await ensureGoalTables(pool);
+  const { rows } = await pool.query(
+    `SELECT * FROM health_goals
+     WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY status, deadline NULLS LAST, created_at`,
+    [userId, status]
+  );
+  const goals = rows.map(toGoal);
+  const readings = metrics || await loadGoalMetrics(pool, userId, goals.map(goal => goal.metric));
+  return goals.map(goal => ({ ...goal, progress: computeGoalProgress(goal, readings, { now }) }));
+}
+
+/**
+ * One of a user's goals with its progress, or null
+ */
+export async function getGoal(pool, userId, id, { now = new Date() } = {}) {
+  await ensureGoalTables(pool);
+  const { rows } = await pool.query('SELECT * FROM health_goals WHERE id = $1 AND user_id = $2', [id, userId]);
+  if (rows.length === 0) return null;
+  const goal = toGoal(rows[0]);
+  const metrics = await loadGoalMetrics(pool, userId, [goal.metric]);
+  return { ...goal, progress: computeGoalProgress(goal, metrics, { now }) };
+}
+
+/**
+ * Create a goal, recording the metric's current value as its starting point
+ */
+export async function createGoal(pool, userId, input, { now = new Date() } = {}) {
+  const metricType = getMetricType(input?.metric);
+  const metrics = metricType ? await loadGoalMetrics(pool, userId, [metricType.name]) : [];
+  const reading = metricType ? getCurrentReading(getMetricPoints(metrics, metricType), now) : null;
+  const goal = validateGoal(input, { current: reading ? reading.value : null, now });
+
+  await ensureGoalTables(pool);
+  const { rows } = await pool.query(
+    `INSERT INTO health_goals
+       (id, user_id, metric, title, direction, target_value, target_min, target_max, unit, deadline, start_value, status, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [uuidv4(), userId, goal.metric, goal.title, goal.direction, goal.target, goal.targetRange?.min ?? null,
+      goal.targetRange?.max ?? null, goal.unit, goal.deadline, reading ? reading.value : null, goal.status, goal.notes]
+  );
+  const created = toGoal(rows[0]);
+  return { ...created, progress: computeGoalProgress(created, metrics, { now }) };
+}
+
+/**
+ * Change a goal's target, deadline, title, status or notes. The metric and
+ * starting value stay as they were. Returns null if the user has no such goal.
+ */
+export async function updateGoal(pool, userId, id, changes, { now = new Date() } = {}) {
+  const existing = await getGoal(pool, userId, id, { now });
+  if (!existing) return null;
+  if (changes?.metric !== undefined && getMetricType(changes.metric) !== getMetricType(existing.metric)) {
+    throw new GoalError('A goal\'s metric cannot be changed; create a new goal instead');
+  }
+
+  const goal = validateGoal(changes, { existing, current: existing.progress.current, now });
+  await pool.query(
+    `UPDATE health_goals
+     SET title = $3, direction = $4, target_value = $5, target_min = $6, target_max = $7,
+       deadline = $8, status = $9, notes = $10, updated_at = $11
+     WHERE id = $1 AND user_id = $2`,
+    [id, userId, goal.title, goal.direction, goal.target, goal.targetRange?.min ?? null, goal.targetRange?.max ?? null,
+      goal.deadline, goal.status, goal.notes, now]
+  );
+  return getGoal(pool, userId, id, { now });
+}
+
+/**
+ * Delete one of a user's goals. Returns whether it existed.
+ */
+export async function deleteGoal(pool, userId, id) {
+  await ensureGoalTables(pool);
+  const { rowCount } = await pool.query('DELETE FROM health_goals WHERE id = $1 AND user_id = $2', [id, userId]);
+  return rowCount > 0;
+}
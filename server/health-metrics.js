@@ -0,0 +1,58 @@
+/**
+ * Health Metric Writes
+ *
+ * Every path that stores a metric row goes through here so the type is saved
+ * under its registry name and the value in the registry's canonical unit.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getMetricType } from './metric-registry.js';
+import { normalizeMetricValue } from './unit-conversion.js';
+
+/**
+ * Validate and canonicalize a metric before it is written.
+ * Throws a descriptive error when the type, value or unit is not acceptable.
+ */
+export function prepareMetricForWrite({ type, value, unit, date }) {
+  const metric = getMetricType(type);
+  if (!metric) {
+    throw new Error(`Unknown metric type "${type}"`);
+  }
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`Missing value for ${metric.name}`);
+  }
+
+  const recordedAt = date ? new Date(date) : new Date();
+  if (Number.isNaN(recordedAt.getTime())) {
+    throw new Error(`Invalid date "${date}" for ${metric.name}`);
+  }
+
+  const normalized = normalizeMetricValue(metric.name, value, unit);
+
+  return {
+    type: metric.name,
+    value: normalized.value.toString(),
+    unit: normalized.unit,
+    icon: metric.icon,
+    date: recordedAt.toISOString()
+  };
+}
+
+/**
+ * Insert prepared metric rows for a user, returning the inserted rows
+ */
+export async function insertHealthMetrics(pool, userId, metrics) {
+  const inserted = [];
+
+  for (const metric of metrics) {
+    const result = await pool.query(
+      `INSERT INTO health_metrics (id, user_id, type, value, unit, icon, date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, type, value, unit, date`,
+      [uuidv4(), userId, metric.type, metric.value, metric.unit, metric.icon, metric.date]
+    );
+    inserted.push(result.rows[0]);
+  }
+
+  return inserted;
+}
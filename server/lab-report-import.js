@@ -0,0 +1,426 @@
+/**
+ * Lab Report Import
+ *
+ * Turns an uploaded lab report into a draft of bloodwork results that a person
+ * reviews before anything is written. Text-based PDFs are read through their
+ * text layer (pdf-parse) and pasted text is used as is; scanned reports without
+ * a text layer are rejected rather than sent to an OCR service.
+ *
+ * Each report line that starts with a known analyte name is read as
+ *
+ *   <analyte> <value> [flag] [unit] [reference range] [unit]
+ *
+ * e.g. "Vitamin D, 25-Hydroxy  18.2  L  ng/mL  30.0-100.0". Analyte names come
+ * from the analyte registry plus the synonym dictionary in lab-synonyms.json
+ * (override with LAB_SYNONYMS_PATH). Lines that look like results but name no
+ * known analyte are returned as `unmatched` so a reviewer can add a synonym.
+ *
+ * Drafts live in lab_report_drafts until they are confirmed, when the reviewed
+ * rows go through importBloodworkResults, or discarded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { ANALYTES, getAnalyte, getUnitFactor } from './analyte-registry.js';
+import { prepareBloodworkForWrite, importBloodworkResults } from './bloodwork.js';
+import { formatDay } from './dates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SYNONYMS_PATH = path.join(__dirname, 'lab-synonyms.json');
+
+/**
+ * Raised when a report or draft cannot be used as submitted
+ */
+export class LabReportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LabReportError';
+  }
+}
+
+// Flags printed next to values, mapped to result statuses
+const REPORT_FLAGS = {
+  l: 'low', low: 'low', h: 'high', high: 'high',
+  ll: 'critical-low', hh: 'critical-high', 'l*': 'critical-low', 'h*': 'critical-high'
+};
+
+// Labels that introduce the specimen collection date
+const COLLECTION_DATE_PATTERN = /(?:date\s+collected|collection\s+date|collected(?:\s+on)?|specimen\s+collected|date\s+drawn|drawn|date\s+of\s+service)\s*[:\-]?\s*(\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4})/i;
+
+const NUMBER = '\\d+(?:\\.\\d+)?';
+const VALUE_PATTERN = new RegExp(`(?:^|\\s)([<>]=?\\s*)?(${NUMBER})(\\*?[HL]{1,2}\\*?)?(?=[\\s,]|$)`, 'i');
+const RANGE_PATTERN = new RegExp(`(${NUMBER})\\s*(?:-|–|to)\\s*(${NUMBER})`, 'i');
+const ONE_SIDED_RANGE_PATTERN = new RegExp(`([<>]=?)\\s*(${NUMBER})`);
+
+// Cache of loaded dictionaries keyed by file path
+const dictionaryCache = new Map();
+
+/**
+ * Break a name into lowercase words, ignoring punctuation
+ */
+function toWords(name) {
+  return name.toString().toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * A pattern matching a name at the start of a line, allowing any punctuation
+ * or spacing between its words ("LDL-Cholesterol" for "ldl cholesterol")
+ */
+function toLinePattern(words) {
+  return new RegExp(`^[^a-z0-9]*${words.join('[^a-z0-9]+')}(?=[^a-z0-9]|$)`, 'i');
+}
+
+/**
+ * Load the synonym dictionary, combined with the registry's own spellings.
+ * Entries are sorted longest first so "Hemoglobin A1c" wins over "Hemoglobin".
+ */
+export function loadSynonymDictionary(filePath = process.env.LAB_SYNONYMS_PATH || DEFAULT_SYNONYMS_PATH) {
+  const modified = fs.statSync(filePath).mtimeMs;
+  const cached = dictionaryCache.get(filePath);
+  if (cached && cached.modified === modified) {
+    return cached.entries;
+  }
+
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = [];
+  const seen = new Set();
+  const addEntry = (name, analyte) => {
+    const words = toWords(name);
+    const key = words.join(' ');
+    if (words.length === 0 || seen.has(key)) return;
+    seen.add(key);
+    entries.push({ phrase: key, pattern: toLinePattern(words), analyte });
+  };
+
+  for (const analyte of ANALYTES) {
+    [analyte.name, analyte.key, ...analyte.aliases].forEach(name => addEntry(name, analyte));
+  }
+  for (const [key, synonyms] of Object.entries(content.synonyms || {})) {
+    const analyte = getAnalyte(key);
+    if (!analyte) {
+      throw new Error(`Unknown analyte "${key}" in ${path.basename(filePath)}`);
+    }
+    synonyms.forEach(name => addEntry(name, analyte));
+  }
+  // Ignored phrases take over their spelling even if an analyte uses it
+  for (const name of content.ignore || []) {
+    const key = toWords(name).join(' ');
+    const existing = entries.find(entry => entry.phrase === key);
+    if (existing) existing.analyte = null;
+    else addEntry(name, null);
+  }
+
+  entries.sort((a, b) => b.phrase.length - a.phrase.length);
+  dictionaryCache.set(filePath, { modified, entries });
+  return entries;
+}
+
+/**
+ * Find the dictionary entry a line starts with, and the rest of the line
+ */
+function matchAnalyte(line, dictionary) {
+  for (const entry of dictionary) {
+    const match = line.match(entry.pattern);
+    if (match) {
+      return { entry, rest: line.slice(match[0].length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the value, flag, unit and reference range following an analyte name
+ */
+function parseResultText(rawText, analyte) {
+  // Some labs spell out one-sided ranges: "> OR = 50"
+  const text = rawText.replace(/([<>])\s*or\s*=/gi, '$1=');
+  const valueMatch = text.match(VALUE_PATTERN);
+  if (!valueMatch) return null;
+
+  const warnings = [];
+  if (valueMatch[1]) {
+    warnings.push(`Reported as "${valueMatch[1].trim()}${valueMatch[2]}"; the limit itself will be recorded`);
+  }
+
+  let after = text.slice(valueMatch.index + valueMatch[0].length);
+  let flag = valueMatch[3] ? valueMatch[3].replace(/\*/g, '').toLowerCase() : null;
+
+  let min = null;
+  let max = null;
+  const range = after.match(RANGE_PATTERN);
+  const oneSided = range ? null : after.match(ONE_SIDED_RANGE_PATTERN);
+  if (range) {
+    min = parseFloat(range[1]);
+    max = parseFloat(range[2]);
+    after = after.replace(range[0], ' ');
+  } else if (oneSided) {
+    if (oneSided[1].startsWith('<')) max = parseFloat(oneSided[2]);
+    else min = parseFloat(oneSided[2]);
+    after = after.replace(oneSided[0], ' ');
+  }
+
+  // What is left is the unit, a flag and notes such as "(calc)"
+  let unit = null;
+  let unknownUnit = null;
+  for (const token of after.split(/\s+/).map(t => t.replace(/^[(\[]+|[)\],;]+$/g, '')).filter(Boolean)) {
+    if (!flag && REPORT_FLAGS[token.toLowerCase()]) {
+      flag = token.toLowerCase();
+    } else if (!unit && getUnitFactor(analyte, token) !== null) {
+      unit = token;
+    } else if (!unit && !unknownUnit && /[a-zµμ%]/i.test(token) && /[\/%]|^u\/l$|iu/i.test(token)) {
+      unknownUnit = token;
+    }
+  }
+
+  if (!unit) {
+    if (unknownUnit) {
+      warnings.push(`Unit "${unknownUnit}" is not accepted for ${analyte.name}; correct it before confirming`);
+    } else {
+      warnings.push(`No unit found; assuming ${analyte.unit}`);
+    }
+  }
+
+  return {
+    value: parseFloat(valueMatch[2]),
+    unit: unit || unknownUnit || analyte.unit,
+    min,
+    max,
+    reportedFlag: flag ? REPORT_FLAGS[flag] : null,
+    warnings
+  };
+}
+
+/**
+ * Find the specimen collection date printed on a report, as YYYY-MM-DD
+ */
+export function findCollectionDate(text) {
+  const match = text.match(COLLECTION_DATE_PATTERN);
+  if (!match) return null;
+
+  let [year, month, day] = [null, null, null];
+  if (match[1].includes('-')) {
+    [year, month, day] = match[1].split('-').map(Number);
+  } else {
+    // US reports print month/day/year
+    [month, day, year] = match[1].split('/').map(Number);
+    if (year < 100) year += 2000;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (Number.isNaN(date.getTime()) || date.getUTCMonth() !== month - 1) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse report text into draft rows. Returns { collectedAt, results, unmatched }:
+ * `results` are matched analytes with their line for review, `unmatched` are
+ * lines that look like results (a value and a range) for an unknown name.
+ */
+export function parseLabReportText(text, { dictionary = loadSynonymDictionary() } = {}) {
+  const results = [];
+  const unmatched = [];
+  const seen = new Map();
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/\t/g, ' ').trim();
+    if (!line) return;
+
+    const match = matchAnalyte(line, dictionary);
+    if (!match) {
+      if (/[a-z]{2}/i.test(line) && VALUE_PATTERN.test(line) && RANGE_PATTERN.test(line)) {
+        unmatched.push({ line: index + 1, text: line });
+      }
+      return;
+    }
+    if (!match.entry.analyte) return;
+
+    const analyte = match.entry.analyte;
+    const parsed = parseResultText(match.rest, analyte);
+    if (!parsed) return;
+
+    if (seen.has(analyte.key)) {
+      parsed.warnings.push(`${analyte.name} also appears on line ${seen.get(analyte.key)}; only one result per day is kept`);
+    } else {
+      seen.set(analyte.key, index + 1);
+    }
+
+    results.push({
+      line: index + 1,
+      text: line,
+      analyte: analyte.name,
+      ...parsed
+    });
+  });
+
+  return { collectedAt: findCollectionDate(text), results, unmatched };
+}
+
+/**
+ * Extract the text layer of a PDF. pdf-parse is only needed for PDF uploads.
+ */
+export async function extractPdfText(buffer) {
+  let pdfParse;
+  try {
+    // The package entry point runs a self-test when imported, so load the parser directly
+    pdfParse = await import('pdf-parse/lib/pdf-parse.js');
+  } catch (error) {
+    throw new LabReportError('Reading PDF lab reports requires the pdf-parse package; paste the report text instead');
+  }
+
+  let data;
+  try {
+    data = await (pdfParse.default || pdfParse)(buffer);
+  } catch (error) {
+    throw new LabReportError(`Could not read PDF: ${error.message}`);
+  }
+
+  if (!data.text || !/[a-z]{3}/i.test(data.text)) {
+    throw new LabReportError('This PDF has no text layer (it may be a scan); paste the report text instead');
+  }
+  return data.text;
+}
+
+/**
+ * Create the draft table if needed
+ */
+export async function ensureLabReportTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS lab_report_drafts (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      file_name TEXT,
+      collected_at DATE,
+      status TEXT NOT NULL DEFAULT 'pending',
+      results JSONB NOT NULL,
+      unmatched JSONB NOT NULL,
+      report JSONB,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      reviewed_at TIMESTAMP
+    )
+  `);
+}
+
+function toDraft(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    fileName: row.file_name,
+    collectedAt: row.collected_at ? formatDay(row.collected_at) : null,
+    status: row.status,
+    results: row.results,
+    unmatched: row.unmatched,
+    report: row.report || null,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at || null
+  };
+}
+
+/**
+ * Parse an uploaded report (`pdf` buffer or `text`) and save it as a pending draft
+ */
+export async function createLabReportDraft(pool, userId, { pdf = null, text = null, fileName = null }) {
+  if (!pdf && !(typeof text === 'string' && text.trim())) {
+    throw new LabReportError('Provide a PDF or the report text');
+  }
+
+  const source = pdf ? 'pdf' : 'text';
+  const content = pdf ? await extractPdfText(pdf) : text;
+  const parsed = parseLabReportText(content);
+  if (parsed.results.length === 0 && parsed.unmatched.length === 0) {
+    throw new LabReportError('No lab results were found in this report');
+  }
+
+  await ensureLabReportTables(pool);
+  const { rows } = await pool.query(
+    `INSERT INTO lab_report_drafts (id, user_id, source, file_name, collected_at, results, unmatched)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [uuidv4(), userId, source, fileName, parsed.collectedAt, JSON.stringify(parsed.results), JSON.stringify(parsed.unmatched)]
+  );
+  return toDraft(rows[0]);
+}
+
+/**
+ * Load one of a user's drafts, or null
+ */
+export async function getLabReportDraft(pool, userId, draftId) {
+  await ensureLabReportTables(pool);
+  const { rows } = await pool.query(
+    'SELECT * FROM lab_report_drafts WHERE id = $1 AND user_id = $2',
+    [draftId, userId]
+  );
+  return rows.length > 0 ? toDraft(rows[0]) : null;
+}
+
+/**
+ * Write a reviewed draft to bloodwork_results. `results` replaces the parsed
+ * rows when the reviewer corrected them; rows with `exclude: true` are left
+ * out. Nothing is written unless every remaining row is valid.
+ */
+export async function confirmLabReportDraft(pool, userId, draftId, { results = null, collectedAt = null, profile = {} } = {}) {
+  const draft = await getLabReportDraft(pool, userId, draftId);
+  if (!draft) return null;
+  if (draft.status !== 'pending') {
+    throw new LabReportError(`This draft was already ${draft.status}`);
+  }
+
+  const date = collectedAt || draft.collectedAt;
+  const rows = (results || draft.results)
+    .filter(row => !row.exclude)
+    .map((row, index) => ({
+      row: row.line || index + 1,
+      column: row.analyte,
+      type: row.analyte,
+      value: row.value,
+      unit: row.unit,
+      min: row.min,
+      max: row.max,
+      date: row.date || date
+    }));
+
+  if (rows.length === 0) {
+    throw new LabReportError('No results left to confirm');
+  }
+  if (rows.some(row => !row.date)) {
+    throw new LabReportError('The collection date was not found on the report; provide collectedAt');
+  }
+
+  const errors = [];
+  rows.forEach(row => {
+    try {
+      prepareBloodworkForWrite(row, profile);
+    } catch (error) {
+      errors.push({ row: row.row, column: row.column, error: error.message });
+    }
+  });
+  if (errors.length > 0) {
+    return { draft, report: null, errors };
+  }
+
+  const report = await importBloodworkResults(pool, userId, rows, { profile });
+  const { rows: updated } = await pool.query(
+    `UPDATE lab_report_drafts
+     SET status = 'confirmed', results = $3, collected_at = $4, report = $5, reviewed_at = NOW()
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [draftId, userId, JSON.stringify(results || draft.results), date, JSON.stringify(report)]
+  );
+  return { draft: toDraft(updated[0]), report, errors: [] };
+}
+
+/**
+ * Discard a pending draft without writing anything. Returns false if not found.
+ */
+export async function discardLabReportDraft(pool, userId, draftId) {
+  await ensureLabReportTables(pool);
+  const { rowCount } = await pool.query(
+    `UPDATE lab_report_drafts SET status = 'discarded', reviewed_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND status = 'pending'`,
+    [draftId, userId]
+  );
+  return rowCount > 0;
+}
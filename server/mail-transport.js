@@ -0,0 +1,227 @@
+/**
+ * Mail Transports
+ *
+ * Outgoing mail goes through a transport: any object with a `name` and an
+ * async `send({ to, from, subject, text, html, id })` that resolves to a
+ * delivery receipt. Two are provided:
+ *
+ *  - outbox: writes the text and HTML bodies (and a JSON envelope with the
+ *            recipient and subject) to a directory instead of sending them,
+ *            OUTBOX_DIR or decent4-outbox in the system temp directory
+ *  - smtp:   delivers a multipart message over plain SMTP, meant for a local
+ *            stand-in such as MailHog or smtp4dev on port 1025. There is no
+ *            TLS or authentication.
+ *
+ * `createMailTransport` picks one from the MAIL_TRANSPORT environment
+ * variable so deployments can switch without code changes.
+ */
+
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+// Digests hold personal health data, so by default they are written outside
+// the working tree, readable only by the user the server runs as
+export const DEFAULT_OUTBOX_DIR = path.join(os.tmpdir(), 'decent4-outbox');
+
+const OUTBOX_DIR_MODE = 0o700;
+const OUTBOX_FILE_MODE = 0o600;
+
+const SMTP_TIMEOUT_MS = 10000;
+
+/**
+ * The default outbox sits in the shared temp directory, where another user
+ * could have created it first. Refuse one we don't own and close up one that
+ * mkdir left with its old, looser mode.
+ */
+async function secureSharedOutbox(dir) {
+  const stats = await fs.promises.lstat(dir);
+  if (!stats.isDirectory() || (process.getuid && stats.uid !== process.getuid())) {
+    throw new Error(`Outbox ${dir} is not a directory owned by this user; set OUTBOX_DIR`);
+  }
+  if ((stats.mode & 0o777) !== OUTBOX_DIR_MODE) {
+    await fs.promises.chmod(dir, OUTBOX_DIR_MODE);
+  }
+}
+
+/**
+ * Write each message to `<dir>/<id>.txt`, `.html` and `.json`
+ */
+export function createOutboxTransport({ dir = DEFAULT_OUTBOX_DIR } = {}) {
+  return {
+    name: 'outbox',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true, mode: OUTBOX_DIR_MODE });
+      if (dir === DEFAULT_OUTBOX_DIR) await secureSharedOutbox(dir);
+      const id = (message.id || crypto.randomUUID()).replace(/[^\w.-]/g, '_');
+      const files = {
+        text: path.join(dir, `${id}.txt`),
+        html: path.join(dir, `${id}.html`),
+        envelope: path.join(dir, `${id}.json`)
+      };
+
+      const options = { encoding: 'utf8', mode: OUTBOX_FILE_MODE };
+      await fs.promises.writeFile(files.text, message.text, options);
+      await fs.promises.writeFile(files.html, message.html, options);
+      await fs.promises.writeFile(files.envelope, JSON.stringify({
+        to: message.to,
+        from: message.from,
+        subject: message.subject,
+        writtenAt: new Date().toISOString()
+      }, null, 2), options);
+
+      return { transport: 'outbox', files };
+    }
+  };
+}
+
+/**
+ * Encode a header value as RFC 2047 UTF-8 when it isn't plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * A multipart/alternative message with text and HTML parts
+ */
+export function buildMimeMessage({ to, from, subject, text, html, date = new Date() }) {
+  const boundary = `decent4-${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname() || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * The bare address in "Name <address>" or "address"
+ */
+function envelopeAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * Run one SMTP conversation: each step sends a command (none for the
+ * greeting) and expects a reply code
+ */
+function smtpConversation({ host, port, steps }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT_MS);
+
+    let buffer = '';
+    let index = 0;
+    const replies = [];
+    const fail = error => {
+      socket.destroy();
+      reject(error);
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      // A reply is complete at a line whose code is followed by a space
+      let match;
+      while ((match = /^(\d{3}) .*\r?\n/m.exec(buffer))) {
+        const end = match.index + match[0].length;
+        const reply = buffer.slice(0, end).trim();
+        buffer = buffer.slice(end);
+
+        const step = steps[index];
+        if (!step.expect.includes(Number(match[1]))) {
+          fail(new Error(`SMTP server rejected ${step.command ? step.command.split(' ')[0] : 'the connection'}: ${reply}`));
+          return;
+        }
+        replies.push(reply);
+        index += 1;
+        if (index === steps.length) {
+          socket.end();
+          resolve(replies);
+          return;
+        }
+        socket.write(`${steps[index].command}\r\n`);
+      }
+    });
+    socket.on('timeout', () => fail(new Error(`SMTP server at ${host}:${port} timed out`)));
+    socket.on('error', fail);
+    // A server that hangs up mid-conversation would otherwise leave this pending
+    socket.on('close', () => {
+      if (index < steps.length) {
+        reject(new Error(`SMTP server at ${host}:${port} closed the connection early`));
+      }
+    });
+  });
+}
+
+/**
+ * Deliver messages to an SMTP server without authentication or TLS
+ */
+export function createSmtpTransport({ host = 'localhost', port = 1025, heloName = os.hostname() || 'localhost' } = {}) {
+  return {
+    name: 'smtp',
+    async send(message) {
+      const mime = buildMimeMessage(message)
+        // Dot-stuffing: lines starting with "." get another one
+        .replace(/^\./gm, '..');
+
+      const replies = await smtpConversation({
+        host,
+        port,
+        steps: [
+          { command: null, expect: [220] },
+          { command: `EHLO ${heloName}`, expect: [250] },
+          { command: `MAIL FROM:<${envelopeAddress(message.from)}>`, expect: [250] },
+          { command: `RCPT TO:<${envelopeAddress(message.to)}>`, expect: [250, 251] },
+          { command: 'DATA', expect: [354] },
+          { command: `${mime}\r\n.`, expect: [250] },
+          { command: 'QUIT', expect: [221] }
+        ]
+      });
+
+      return { transport: 'smtp', response: replies[replies.length - 2] };
+    }
+  };
+}
+
+/**
+ * The transport configured by MAIL_TRANSPORT ("outbox", the default, or
+ * "smtp"), with OUTBOX_DIR or SMTP_HOST and SMTP_PORT
+ */
+export function createMailTransport(env = process.env) {
+  const kind = (env.MAIL_TRANSPORT || 'outbox').toLowerCase();
+  if (kind === 'smtp') {
+    return createSmtpTransport({
+      host: env.SMTP_HOST || 'localhost',
+      port: env.SMTP_PORT ? parseInt(env.SMTP_PORT) : 1025
+    });
+  }
+  if (kind === 'outbox') {
+    return createOutboxTransport({ dir: env.OUTBOX_DIR || DEFAULT_OUTBOX_DIR });
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${env.MAIL_TRANSPORT}" (use outbox or smtp)`);
+}
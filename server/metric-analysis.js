@@ -0,0 +1,280 @@
+/**
+ * Time-Series Metric Analysis
+ *
+ * health_metrics holds dated entries, so a single row says little about how a
+ * user is actually doing. This module groups a user's metric rows by type and
+ * computes the latest value, 7 and 30 day averages, the slope of the last 30
+ * days (or another trend window), variability and data freshness. The recommendation rules and the
+ * health-context endpoint read these statistics instead of an arbitrary row.
+ *
+ * Blood pressure is analyzed per component (systolic and diastolic). Its
+ * top-level statistics follow the systolic series, and the entry also carries
+ * `components`, the current `reading` ("128/82") and the `classification` of
+ * its 7-day average (null when there are no readings in the last 7 days).
+ */
+
+import { getMetricType, getCanonicalName } from './metric-registry.js';
+import { normalizeMetricValue } from './unit-conversion.js';
+import {
+  BLOOD_PRESSURE_COMPONENTS,
+  parseBloodPressure,
+  formatBloodPressure,
+  classifyBloodPressure
+} from './blood-pressure.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statistics a rule condition can reference through its `stat` field
+export const METRIC_STATS = ['latest', 'avg7', 'avg30', 'slope', 'variability', 'daysSinceLatest'];
+
+// A trend is only reported when the 30-day change exceeds this share of the average
+const TREND_THRESHOLD = 0.05;
+
+/**
+ * Normalize a metric type so that every registered spelling ("sleep-duration",
+ * "Sleep Duration") maps to the same key
+ */
+export function normalizeMetricType(type) {
+  const metric = getMetricType(type);
+  return metric ? metric.key : type.toString().toLowerCase().replace(/-/g, ' ').trim();
+}
+
+/**
+ * Round a statistic for display, leaving nulls alone
+ */
+function round(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Least-squares slope of the points, in metric units per day
+ */
+function linearSlope(points) {
+  if (points.length < 3) return null;
+
+  const xs = points.map(p => p.time / DAY_MS);
+  const ys = points.map(p => p.value);
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < points.length; i++) {
+    numerator += (xs[i] - xMean) * (ys[i] - yMean);
+    denominator += Math.pow(xs[i] - xMean, 2);
+  }
+
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Classify the direction of a series from its slope and average
+ */
+function classifyTrend(slope, average) {
+  if (slope === null || average === null) return 'unknown';
+
+  const change = slope * 30;
+  const scale = Math.abs(average) || 1;
+  if (Math.abs(change) / scale < TREND_THRESHOLD) return 'stable';
+  return change > 0 ? 'rising' : 'falling';
+}
+
+/**
+ * Describe how recent the latest entry is
+ */
+function classifyFreshness(daysSinceLatest) {
+  if (daysSinceLatest === null) return 'unknown';
+  if (daysSinceLatest <= 7) return 'fresh';
+  if (daysSinceLatest <= 30) return 'stale';
+  return 'outdated';
+}
+
+/**
+ * Convert a metric row into a dated numeric point, or null if it cannot be used.
+ * Values are normalized to the registry unit; blood pressure points keep both
+ * components and use the systolic value as their number.
+ */
+export function toMetricPoint(metric) {
+  if (!metric || metric.value === undefined || metric.value === null) return null;
+
+  const time = metric.date ? new Date(metric.date).getTime() : NaN;
+  const base = {
+    id: metric.id,
+    time: Number.isNaN(time) ? null : time,
+    date: metric.date || null
+  };
+
+  const metricType = getMetricType(metric.type);
+  if (metricType && metricType.key === 'blood-pressure') {
+    const reading = parseBloodPressure(metric.value);
+    return reading ? { ...base, value: reading.systolic, components: reading } : null;
+  }
+
+  let value = parseFloat(metric.value.toString());
+  if (Number.isNaN(value)) return null;
+
+  // Bring rows recorded in other units onto the canonical unit before comparing them
+  if (metric.unit) {
+    try {
+      value = normalizeMetricValue(metric.type, value, metric.unit).value;
+    } catch (error) {
+      // Unknown or disallowed units keep their stored value
+    }
+  }
+
+  return { ...base, value };
+}
+
+/**
+ * Analyze a single series of points for one metric type. The slope and trend
+ * cover the last `trendDays` days.
+ */
+export function analyzeSeries(points, now = new Date(), { trendDays = 30 } = {}) {
+  const nowMs = now.getTime();
+  const dated = points.filter(p => p.time !== null).sort((a, b) => b.time - a.time);
+  const undated = points.filter(p => p.time === null);
+
+  const latestPoint = dated[0] || undated[0] || null;
+  const last7 = dated.filter(p => nowMs - p.time <= 7 * DAY_MS);
+  const last30 = dated.filter(p => nowMs - p.time <= 30 * DAY_MS);
+  const trendWindow = dated.filter(p => nowMs - p.time <= trendDays * DAY_MS);
+
+  const avg7 = mean(last7.map(p => p.value));
+  const avg30 = mean(last30.map(p => p.value));
+  const slope = linearSlope(trendWindow);
+  const daysSinceLatest = dated.length > 0
+    ? Math.max(0, Math.floor((nowMs - dated[0].time) / DAY_MS))
+    : null;
+
+  return {
+    latest: latestPoint ? { value: latestPoint.value, date: latestPoint.date } : null,
+    avg7: round(avg7),
+    avg30: round(avg30),
+    slope: round(slope, 4),
+    variability: round(standardDeviation(last30.map(p => p.value))),
+    trend: classifyTrend(slope, mean(trendWindow.map(p => p.value))),
+    daysSinceLatest,
+    freshness: classifyFreshness(daysSinceLatest),
+    samples: {
+      total: points.length,
+      last7Days: last7.length,
+      last30Days: last30.length
+    }
+  };
+}
+
+/**
+ * Analyze all of a user's metric rows, grouped by normalized metric type
+ */
+export function analyzeMetrics(metrics = [], { now = new Date(), trendDays = 30 } = {}) {
+  const groups = {};
+
+  for (const metric of metrics || []) {
+    if (!metric || !metric.type) continue;
+
+    const point = toMetricPoint(metric);
+    if (!point) continue;
+
+    const key = normalizeMetricType(metric.type);
+    if (!groups[key]) {
+      groups[key] = { type: getCanonicalName(metric.type), points: [] };
+    }
+    groups[key].points.push(point);
+  }
+
+  const analysis = {};
+  for (const [key, group] of Object.entries(groups)) {
+    analysis[key] = { type: group.type, ...analyzeSeries(group.points, now, { trendDays }) };
+    if (group.points.some(p => p.components)) {
+      Object.assign(analysis[key], analyzeComponents(group.points, now, { trendDays }));
+    }
+  }
+  return analysis;
+}
+
+/**
+ * Analyze each component of a compound metric and classify its 7-day average.
+ * An old reading is still shown but not classified, so a stale high value does
+ * not read as a recent average.
+ */
+function analyzeComponents(points, now, { trendDays = 30 } = {}) {
+  const components = {};
+  for (const component of BLOOD_PRESSURE_COMPONENTS) {
+    components[component] = analyzeSeries(
+      points.map(p => ({ ...p, value: p.components[component] })),
+      now,
+      { trendDays }
+    );
+  }
+
+  const current = {
+    systolic: getCurrentValue(components.systolic),
+    diastolic: getCurrentValue(components.diastolic)
+  };
+
+  const recent = components.systolic.avg7 !== null && components.diastolic.avg7 !== null;
+
+  return {
+    components,
+    reading: formatBloodPressure(current),
+    classification: recent
+      ? classifyBloodPressure({ systolic: components.systolic.avg7, diastolic: components.diastolic.avg7 })
+      : null
+  };
+}
+
+/**
+ * Format one statistic of a compound metric as a reading, e.g. avg7 as "125/81"
+ */
+export function getComponentReading(metricAnalysis, stat = 'avg7') {
+  if (!metricAnalysis || !metricAnalysis.components) return null;
+  return formatBloodPressure({
+    systolic: getMetricStat(metricAnalysis.components.systolic, stat),
+    diastolic: getMetricStat(metricAnalysis.components.diastolic, stat)
+  });
+}
+
+/**
+ * Look up the analysis for a metric by any spelling of its type
+ */
+export function findMetricAnalysis(analysis, type) {
+  return analysis[normalizeMetricType(type)] || null;
+}
+
+/**
+ * Read one statistic from a metric analysis
+ */
+export function getMetricStat(metricAnalysis, stat = 'avg7') {
+  if (!metricAnalysis) return null;
+  if (!METRIC_STATS.includes(stat)) {
+    throw new Error(`Unknown metric statistic "${stat}"`);
+  }
+  if (stat === 'latest') {
+    return metricAnalysis.latest ? metricAnalysis.latest.value : null;
+  }
+  return metricAnalysis[stat];
+}
+
+/**
+ * The value used when a single representative number is needed: the 7-day
+ * average when there is recent data, otherwise the latest entry.
+ */
+export function getCurrentValue(metricAnalysis) {
+  if (!metricAnalysis) return null;
+  if (metricAnalysis.avg7 !== null) return metricAnalysis.avg7;
+  return metricAnalysis.latest ? metricAnalysis.latest.value : null;
+}
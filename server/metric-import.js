@@ -0,0 +1,292 @@
+/**
+ * Bulk Import of Historical Health Metrics
+ *
+ * Accepts CSV or JSON exports from spreadsheets and writes them to
+ * health_metrics through the same validation as single metric writes. Two
+ * layouts are understood:
+ *
+ *  - long: one metric per row, with type/metric, value, unit and date columns
+ *  - wide: one day per row, with a date column and one column per metric,
+ *          optionally carrying the unit in the header ("Weight (lb)")
+ *
+ * Headers are matched against the metric registry; `columns` maps any other
+ * header to a registered type. Rows that already exist for the same user, type
+ * and day are skipped, and every rejected row is reported with its reason.
+ */
+
+import { getMetricType, getCanonicalName, getMetricSpellings } from './metric-registry.js';
+import { prepareMetricForWrite, insertHealthMetrics } from './health-metrics.js';
+import { formatDay } from './dates.js';
+
+/**
+ * Raised when the uploaded file itself cannot be read, as opposed to a bad row
+ */
+export class MetricImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetricImportError';
+  }
+}
+
+const TYPE_HEADERS = ['type', 'metric', 'metric type', 'name'];
+const VALUE_HEADERS = ['value', 'reading', 'amount'];
+const UNIT_HEADERS = ['unit', 'units'];
+const DATE_HEADERS = ['date', 'day', 'recorded at', 'recorded_at', 'timestamp', 'time'];
+
+/**
+ * Parse CSV text into header names and records, following RFC 4180 quoting.
+ * A leading byte order mark, as Excel writes to "CSV UTF-8" files, is skipped.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new MetricImportError('CSV ends inside a quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers = [], ...rows] = records;
+  return {
+    headers: headers.map(h => h.trim()),
+    // Keep the spreadsheet line number (the header is line 1) for error reports
+    rows: rows
+      .map((values, index) => ({ line: index + 2, values }))
+      .filter(row => row.values.some(value => value.trim() !== ''))
+  };
+}
+
+/**
+ * Turn CSV or JSON content into plain records keyed by header, each with a row number
+ */
+export function parseImportContent(content, format) {
+  if (format === 'csv') {
+    const { headers, rows } = parseCsv(content.toString());
+    return rows.map(({ line, values }) => ({
+      row: line,
+      fields: Object.fromEntries(headers.map((header, i) => [header, (values[i] || '').trim()]))
+    }));
+  }
+
+  if (format === 'json') {
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content.replace(/^\uFEFF/, ''));
+      } catch (error) {
+        throw new MetricImportError(`Invalid JSON: ${error.message}`);
+      }
+    }
+    const records = Array.isArray(data) ? data : (data && data.metrics);
+    if (!Array.isArray(records)) {
+      throw new MetricImportError('JSON imports must be an array of records or an object with a "metrics" array');
+    }
+    return records.map((fields, index) => ({ row: index + 1, fields: fields || {} }));
+  }
+
+  throw new MetricImportError(`Unsupported import format "${format}" (use csv or json)`);
+}
+
+function findHeader(headers, candidates) {
+  return headers.find(header => candidates.includes(header.toLowerCase().trim())) || null;
+}
+
+/**
+ * Resolve a wide-layout header such as "Weight (lb)" to a metric type and unit
+ */
+function resolveMetricColumn(header, columns) {
+  if (columns[header]) {
+    return { type: columns[header], unit: null };
+  }
+
+  const match = header.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+  const name = match ? match[1] : header;
+  const metric = getMetricType(name);
+  return metric ? { type: metric.name, unit: match ? match[2] : null } : null;
+}
+
+/**
+ * Map parsed records to metric entries. Returns the entries (with row numbers)
+ * and the headers that could not be matched to a registered metric.
+ */
+export function mapRecords(records, { columns = {} } = {}) {
+  const headers = [...new Set(records.flatMap(record => Object.keys(record.fields)))];
+  const dateHeader = findHeader(headers, DATE_HEADERS);
+  const typeHeader = findHeader(headers, TYPE_HEADERS);
+  const valueHeader = findHeader(headers, VALUE_HEADERS);
+  const entries = [];
+
+  // Long layout: one metric per row
+  if (typeHeader && valueHeader) {
+    const unitHeader = findHeader(headers, UNIT_HEADERS);
+    for (const { row, fields } of records) {
+      const type = fields[typeHeader];
+      entries.push({
+        row,
+        column: typeHeader,
+        type: columns[type] || type,
+        value: fields[valueHeader],
+        unit: unitHeader ? fields[unitHeader] : null,
+        date: dateHeader ? fields[dateHeader] : null
+      });
+    }
+    return { entries, unmappedColumns: [] };
+  }
+
+  // Wide layout: a date column plus one column per metric
+  const metricColumns = [];
+  const unmappedColumns = [];
+  for (const header of headers) {
+    if (header === dateHeader) continue;
+    const resolved = resolveMetricColumn(header, columns);
+    if (resolved) {
+      metricColumns.push({ header, ...resolved });
+    } else {
+      unmappedColumns.push(header);
+    }
+  }
+
+  for (const { row, fields } of records) {
+    for (const column of metricColumns) {
+      const value = fields[column.header];
+      if (value === undefined || value === null || value.toString().trim() === '') continue;
+      entries.push({
+        row,
+        column: column.header,
+        type: column.type,
+        value,
+        unit: column.unit,
+        date: dateHeader ? fields[dateHeader] : null
+      });
+    }
+  }
+
+  return { entries, unmappedColumns };
+}
+
+/**
+ * Calendar day (UTC) used to de-duplicate entries
+ */
+function dayKey(type, date) {
+  return `${getCanonicalName(type)}|${formatDay(date)}`;
+}
+
+/**
+ * Validate, de-duplicate and (unless `dryRun`) insert metric entries for a user.
+ * Entries are { row, column, type, value, unit, date }; `row` and `column`
+ * only identify the source of an entry in the report. Pass a `client` that is
+ * already in a transaction to run the import as part of it.
+ */
+export async function importMetricEntries(pool, userId, entries, { dryRun = false, client = null } = {}) {
+  const errors = [];
+  const prepared = [];
+  for (const entry of entries) {
+    if (!entry.date) {
+      errors.push({ row: entry.row, column: entry.column, error: 'Missing date' });
+      continue;
+    }
+    try {
+      prepared.push({ row: entry.row, metric: prepareMetricForWrite(entry) });
+    } catch (error) {
+      errors.push({ row: entry.row, column: entry.column, error: error.message });
+    }
+  }
+
+  // Existing rows for the imported types, under any spelling they were stored with
+  const spellings = [...new Set(prepared.flatMap(({ metric }) => getMetricSpellings(metric.type)))];
+  const existing = new Set();
+  if (spellings.length > 0) {
+    const { rows } = await (client || pool).query(
+      'SELECT type, date FROM health_metrics WHERE user_id = $1 AND type = ANY($2)',
+      [userId, spellings]
+    );
+    rows.filter(row => row.date).forEach(row => existing.add(dayKey(row.type, row.date)));
+  }
+
+  const duplicates = [];
+  const toInsert = [];
+  for (const { row, metric } of prepared) {
+    const key = dayKey(metric.type, metric.date);
+    if (existing.has(key)) {
+      duplicates.push({ row, type: metric.type, date: metric.date.slice(0, 10) });
+      continue;
+    }
+    existing.add(key);
+    toInsert.push(metric);
+  }
+
+  let imported = 0;
+  if (!dryRun && toInsert.length > 0 && client) {
+    imported = (await insertHealthMetrics(client, userId, toInsert)).length;
+  } else if (!dryRun && toInsert.length > 0) {
+    const ownClient = await pool.connect();
+    try {
+      await ownClient.query('BEGIN');
+      imported = (await insertHealthMetrics(ownClient, userId, toInsert)).length;
+      await ownClient.query('COMMIT');
+    } catch (error) {
+      await ownClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      ownClient.release();
+    }
+  }
+
+  return {
+    dryRun,
+    metricsFound: entries.length,
+    imported,
+    wouldImport: dryRun ? toInsert.length : undefined,
+    duplicates,
+    errors
+  };
+}
+
+/**
+ * Import CSV or JSON content for a user.
+ * Returns a report with the imported count, skipped duplicates and per-row errors.
+ */
+export async function importHealthMetrics(pool, userId, content, { format, columns = {}, dryRun = false } = {}) {
+  const records = parseImportContent(content, format);
+  const { entries, unmappedColumns } = mapRecords(records, { columns });
+  const report = await importMetricEntries(pool, userId, entries, { dryRun });
+
+  return {
+    totalRows: records.length,
+    ...report,
+    unmappedColumns
+  };
+}
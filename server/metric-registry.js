@@ -0,0 +1,587 @@
+/**
+ * Health Metric Type Registry
+ *
+ * Single source of truth for metric metadata: canonical key, display name
+ * (the value stored in health_metrics.type), legacy spellings, units, normal
+ * ranges, icon and value type. Server routes and maintenance scripts import
+ * this module instead of keeping their own lists, so adding a metric only
+ * means adding an entry here.
+ *
+ * Entry fields:
+ *  - key:          canonical hyphenated key (e.g. "sleep-duration")
+ *  - name:         display name stored in health_metrics.type
+ *  - aliases:      other spellings found in older rows or imports
+ *  - defaultUnit:  unit used when none is recorded
+ *  - allowedUnits: units accepted for this metric
+ *  - normalRange:  { min, max } used for low/normal/high status, or null
+ *  - validRange:   { min, max } in the default unit outside which a value cannot
+ *                  be real (a typo or a wrong unit) and is rejected; for scales
+ *                  it is the scale itself
+ *  - improvement:  'higher' or 'lower' when that direction is better, else null
+ *  - icon:         Remix icon class shown on the dashboard
+ *  - loinc:        LOINC code used for FHIR interchange, when one exists
+ *  - valueType:    'number', 'integer' (rounded to whole numbers), 'scale'
+ *                  (whole points on validRange) or 'compound' (systolic/diastolic,
+ *                  see blood-pressure.js)
+ *  - essential:    required for a complete health profile
+ */
+
+export const METRIC_TYPES = [
+  // Essential metrics
+  {
+    key: 'weight',
+    name: 'Weight',
+    aliases: [],
+    defaultUnit: 'kg',
+    allowedUnits: ['kg', 'lb'],
+    normalRange: null,
+    validRange: { min: 1, max: 700 },
+    improvement: null,
+    icon: 'ri-scales-2-line',
+    loinc: '29463-7',
+    valueType: 'number',
+    essential: true
+  },
+  {
+    key: 'sleep-duration',
+    name: 'Sleep Duration',
+    aliases: ['sleep'],
+    defaultUnit: 'hours',
+    allowedUnits: ['hours', 'minutes'],
+    normalRange: { min: 6, max: 9 },
+    validRange: { min: 0, max: 24 },
+    improvement: null,
+    icon: 'ri-zzz-line',
+    loinc: '93832-4',
+    valueType: 'number',
+    essential: true
+  },
+  {
+    key: 'stress-level',
+    name: 'Stress Level',
+    aliases: ['stress'],
+    defaultUnit: 'score',
+    allowedUnits: ['score'],
+    normalRange: { min: 3, max: 7 },
+    validRange: { min: 1, max: 10 },
+    improvement: 'lower',
+    icon: 'ri-mental-health-line',
+    valueType: 'scale',
+    essential: true
+  },
+  {
+    key: 'exercise-frequency',
+    name: 'Exercise Frequency',
+    aliases: [],
+    defaultUnit: 'days/week',
+    allowedUnits: ['days/week'],
+    normalRange: { min: 2, max: 6 },
+    validRange: { min: 0, max: 7 },
+    improvement: 'higher',
+    icon: 'ri-run-line',
+    valueType: 'integer',
+    essential: true
+  },
+
+  // Vital signs
+  {
+    key: 'heart-rate',
+    name: 'Heart Rate',
+    aliases: [],
+    defaultUnit: 'bpm',
+    allowedUnits: ['bpm'],
+    normalRange: { min: 60, max: 100 },
+    validRange: { min: 20, max: 300 },
+    improvement: null,
+    icon: 'ri-heart-pulse-line',
+    loinc: '8867-4',
+    valueType: 'integer'
+  },
+  {
+    key: 'blood-pressure',
+    name: 'Blood Pressure',
+    aliases: [],
+    defaultUnit: 'mmHg',
+    allowedUnits: ['mmHg'],
+    normalRange: null,
+    validRange: null,
+    improvement: 'lower',
+    icon: 'ri-heart-add-line',
+    loinc: '85354-9',
+    valueType: 'compound'
+  },
+  {
+    key: 'body-temperature',
+    name: 'Body Temperature',
+    aliases: ['temperature'],
+    defaultUnit: '°C',
+    allowedUnits: ['°C', '°F'],
+    normalRange: { min: 36.1, max: 37.5 },
+    validRange: { min: 25, max: 45 },
+    improvement: null,
+    icon: 'ri-temp-hot-line',
+    loinc: '8310-5',
+    valueType: 'number'
+  },
+  {
+    key: 'respiratory-rate',
+    name: 'Respiratory Rate',
+    aliases: [],
+    defaultUnit: 'breaths/min',
+    allowedUnits: ['breaths/min'],
+    normalRange: { min: 12, max: 20 },
+    validRange: { min: 2, max: 80 },
+    improvement: null,
+    icon: 'ri-lungs-line',
+    loinc: '9279-1',
+    valueType: 'integer'
+  },
+  {
+    key: 'oxygen-saturation',
+    name: 'Oxygen Saturation',
+    aliases: ['spo2', 'blood oxygen'],
+    defaultUnit: '%',
+    allowedUnits: ['%'],
+    normalRange: { min: 95, max: 100 },
+    validRange: { min: 50, max: 100 },
+    improvement: 'higher',
+    icon: 'ri-drop-line',
+    loinc: '59408-5',
+    valueType: 'number'
+  },
+  {
+    key: 'heart-rate-variability',
+    name: 'Heart Rate Variability',
+    aliases: ['hrv'],
+    defaultUnit: 'ms',
+    allowedUnits: ['ms'],
+    normalRange: null,
+    validRange: { min: 1, max: 500 },
+    improvement: 'higher',
+    icon: 'ri-pulse-line',
+    loinc: '80404-7',
+    valueType: 'number'
+  },
+  {
+    key: 'resting-heart-rate',
+    name: 'Resting Heart Rate',
+    aliases: ['rhr'],
+    defaultUnit: 'bpm',
+    allowedUnits: ['bpm'],
+    normalRange: { min: 40, max: 100 },
+    validRange: { min: 20, max: 200 },
+    improvement: 'lower',
+    icon: 'ri-heart-pulse-line',
+    loinc: '40443-4',
+    valueType: 'integer'
+  },
+  {
+    key: 'vo2-max',
+    name: 'VO2 Max',
+    aliases: ['vo2max'],
+    defaultUnit: 'mL/kg/min',
+    allowedUnits: ['mL/kg/min'],
+    normalRange: null,
+    validRange: { min: 5, max: 100 },
+    improvement: 'higher',
+    icon: 'ri-windy-line',
+    valueType: 'number'
+  },
+  {
+    key: 'blood-glucose',
+    name: 'Blood Glucose',
+    aliases: ['glucose'],
+    defaultUnit: 'mg/dL',
+    allowedUnits: ['mg/dL', 'mmol/L'],
+    normalRange: { min: 70, max: 99 },
+    validRange: { min: 10, max: 2000 },
+    improvement: null,
+    icon: 'ri-test-tube-line',
+    loinc: '2339-0',
+    valueType: 'number'
+  },
+
+  // Activity
+  {
+    key: 'active-minutes',
+    name: 'Active Minutes',
+    aliases: [],
+    defaultUnit: 'minutes',
+    allowedUnits: ['minutes', 'hours'],
+    normalRange: null,
+    validRange: { min: 0, max: 1440 },
+    improvement: 'higher',
+    icon: 'ri-timer-line',
+    valueType: 'integer'
+  },
+  {
+    key: 'exercise-duration',
+    name: 'Exercise Duration',
+    aliases: [],
+    defaultUnit: 'minutes',
+    allowedUnits: ['minutes', 'hours'],
+    normalRange: null,
+    validRange: { min: 0, max: 1440 },
+    improvement: null,
+    icon: 'ri-timer-line',
+    valueType: 'integer'
+  },
+  {
+    key: 'steps',
+    name: 'Steps',
+    aliases: ['step-count'],
+    defaultUnit: 'steps',
+    allowedUnits: ['steps'],
+    normalRange: null,
+    validRange: { min: 0, max: 150000 },
+    improvement: 'higher',
+    icon: 'ri-footprint-line',
+    loinc: '55423-8',
+    valueType: 'integer'
+  },
+
+  // Nutrition and hydration
+  {
+    key: 'water-intake',
+    name: 'Water Intake',
+    aliases: ['water', 'hydration'],
+    defaultUnit: 'L',
+    allowedUnits: ['L', 'mL', 'fl oz'],
+    normalRange: { min: 1.5, max: null },
+    validRange: { min: 0, max: 20 },
+    improvement: 'higher',
+    icon: 'ri-drop-line',
+    valueType: 'number'
+  },
+  {
+    key: 'calorie-intake',
+    name: 'Calorie Intake',
+    aliases: ['calories'],
+    defaultUnit: 'kcal',
+    allowedUnits: ['kcal'],
+    normalRange: null,
+    validRange: { min: 0, max: 20000 },
+    improvement: null,
+    icon: 'ri-restaurant-line',
+    valueType: 'integer'
+  },
+  {
+    key: 'protein-intake',
+    name: 'Protein Intake',
+    aliases: ['protein'],
+    defaultUnit: 'g',
+    allowedUnits: ['g'],
+    normalRange: null,
+    validRange: { min: 0, max: 2000 },
+    improvement: null,
+    icon: 'ri-restaurant-line',
+    valueType: 'number'
+  },
+  {
+    key: 'carb-intake',
+    name: 'Carbohydrate Intake',
+    aliases: ['carbohydrates', 'carbs'],
+    defaultUnit: 'g',
+    allowedUnits: ['g'],
+    normalRange: null,
+    validRange: { min: 0, max: 2000 },
+    improvement: null,
+    icon: 'ri-restaurant-line',
+    valueType: 'number'
+  },
+  {
+    key: 'fat-intake',
+    name: 'Fat Intake',
+    aliases: [],
+    defaultUnit: 'g',
+    allowedUnits: ['g'],
+    normalRange: null,
+    validRange: { min: 0, max: 2000 },
+    improvement: null,
+    icon: 'ri-restaurant-line',
+    valueType: 'number'
+  },
+
+  // Sleep detail
+  {
+    key: 'deep-sleep',
+    name: 'Deep Sleep',
+    aliases: [],
+    defaultUnit: 'hours',
+    allowedUnits: ['hours', 'minutes'],
+    normalRange: null,
+    validRange: { min: 0, max: 24 },
+    improvement: 'higher',
+    icon: 'ri-moon-line',
+    valueType: 'number'
+  },
+  {
+    key: 'rem-sleep',
+    name: 'REM Sleep',
+    aliases: [],
+    defaultUnit: 'hours',
+    allowedUnits: ['hours', 'minutes'],
+    normalRange: null,
+    validRange: { min: 0, max: 24 },
+    improvement: 'higher',
+    icon: 'ri-moon-line',
+    valueType: 'number'
+  },
+  {
+    key: 'sleep-score',
+    name: 'Sleep Score',
+    aliases: [],
+    defaultUnit: 'score',
+    allowedUnits: ['score'],
+    normalRange: null,
+    validRange: { min: 0, max: 100 },
+    improvement: 'higher',
+    icon: 'ri-zzz-line',
+    valueType: 'scale'
+  },
+  {
+    key: 'recovery-score',
+    name: 'Recovery Score',
+    aliases: [],
+    defaultUnit: 'score',
+    allowedUnits: ['score'],
+    normalRange: null,
+    validRange: { min: 0, max: 100 },
+    improvement: 'higher',
+    icon: 'ri-battery-charge-line',
+    valueType: 'scale'
+  },
+
+  // Body composition
+  {
+    key: 'bmi',
+    name: 'BMI',
+    aliases: ['body mass index'],
+    defaultUnit: 'kg/m²',
+    allowedUnits: ['kg/m²'],
+    normalRange: { min: 18.5, max: 24.9 },
+    validRange: { min: 5, max: 150 },
+    improvement: null,
+    icon: 'ri-body-scan-line',
+    loinc: '39156-5',
+    valueType: 'number'
+  },
+  {
+    key: 'body-fat',
+    name: 'Body Fat',
+    aliases: ['body fat percentage'],
+    defaultUnit: '%',
+    allowedUnits: ['%'],
+    normalRange: null,
+    validRange: { min: 1, max: 80 },
+    improvement: 'lower',
+    icon: 'ri-body-scan-line',
+    loinc: '41982-0',
+    valueType: 'number'
+  },
+  {
+    key: 'lean-mass',
+    name: 'Lean Mass',
+    aliases: ['lean body mass'],
+    defaultUnit: 'kg',
+    allowedUnits: ['kg', 'lb'],
+    normalRange: null,
+    validRange: { min: 1, max: 300 },
+    improvement: 'higher',
+    icon: 'ri-body-scan-line',
+    valueType: 'number'
+  },
+  {
+    key: 'visceral-fat',
+    name: 'Visceral Fat',
+    aliases: [],
+    defaultUnit: 'level',
+    allowedUnits: ['level'],
+    normalRange: null,
+    validRange: { min: 1, max: 60 },
+    improvement: 'lower',
+    icon: 'ri-body-scan-line',
+    valueType: 'number'
+  },
+
+  // Mental wellbeing
+  {
+    key: 'mood',
+    name: 'Mood',
+    aliases: ['mood-score', 'Mood Score'],
+    defaultUnit: 'score',
+    allowedUnits: ['score'],
+    normalRange: null,
+    validRange: { min: 1, max: 10 },
+    improvement: 'higher',
+    icon: 'ri-emotion-line',
+    valueType: 'scale'
+  },
+  {
+    key: 'meditation',
+    name: 'Meditation',
+    aliases: ['mindfulness'],
+    defaultUnit: 'minutes',
+    allowedUnits: ['minutes', 'hours'],
+    normalRange: null,
+    validRange: { min: 0, max: 1440 },
+    improvement: 'higher',
+    icon: 'ri-mental-health-line',
+    valueType: 'integer'
+  },
+  {
+    key: 'anxiety-level',
+    name: 'Anxiety Level',
+    aliases: ['anxiety'],
+    defaultUnit: 'score',
+    allowedUnits: ['score'],
+    normalRange: null,
+    validRange: { min: 1, max: 10 },
+    improvement: 'lower',
+    icon: 'ri-mental-health-line',
+    valueType: 'scale'
+  },
+  {
+    key: 'energy-level',
+    name: 'Energy Level',
+    aliases: ['energy'],
+    defaultUnit: 'score',
+    allowedUnits: ['score'],
+    normalRange: null,
+    validRange: { min: 1, max: 10 },
+    improvement: 'higher',
+    icon: 'ri-flashlight-line',
+    valueType: 'scale'
+  },
+
+  // Longevity and hormones
+  {
+    key: 'biological-age',
+    name: 'Biological Age',
+    aliases: [],
+    defaultUnit: 'years',
+    allowedUnits: ['years'],
+    normalRange: null,
+    validRange: { min: 0, max: 150 },
+    improvement: 'lower',
+    icon: 'ri-hourglass-line',
+    valueType: 'number'
+  },
+  {
+    key: 'longevity-score',
+    name: 'Longevity Score',
+    aliases: [],
+    defaultUnit: 'score',
+    allowedUnits: ['score'],
+    normalRange: null,
+    validRange: { min: 0, max: 100 },
+    improvement: 'higher',
+    icon: 'ri-seedling-line',
+    valueType: 'scale'
+  },
+  {
+    key: 'testosterone',
+    name: 'Testosterone',
+    aliases: [],
+    defaultUnit: 'ng/dL',
+    allowedUnits: ['ng/dL'],
+    normalRange: null,
+    validRange: { min: 0, max: 3000 },
+    improvement: null,
+    icon: 'ri-test-tube-line',
+    loinc: '2986-8',
+    valueType: 'number'
+  },
+  {
+    key: 'cortisol',
+    name: 'Cortisol',
+    aliases: [],
+    defaultUnit: 'mcg/dL',
+    allowedUnits: ['mcg/dL'],
+    normalRange: null,
+    validRange: { min: 0, max: 100 },
+    improvement: null,
+    icon: 'ri-test-tube-line',
+    loinc: '2143-6',
+    valueType: 'number'
+  }
+];
+
+/**
+ * Normalize any spelling of a metric type for lookups
+ */
+function normalizeSpelling(type) {
+  return type.toString().toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Lookup table from every known spelling to its registry entry
+const metricsBySpelling = new Map();
+for (const metric of METRIC_TYPES) {
+  [metric.key, metric.name, ...metric.aliases].forEach(spelling => {
+    metricsBySpelling.set(normalizeSpelling(spelling), metric);
+  });
+}
+
+/**
+ * Find the registry entry for a metric type, key or legacy alias
+ */
+export function getMetricType(type) {
+  if (!type) return null;
+  return metricsBySpelling.get(normalizeSpelling(type)) || null;
+}
+
+/**
+ * Find the registry entry for a LOINC code
+ */
+export function getMetricTypeByLoinc(code) {
+  if (!code) return null;
+  return METRIC_TYPES.find(metric => metric.loinc === code) || null;
+}
+
+/**
+ * Canonical display name for a metric type, or the input if it is not registered
+ */
+export function getCanonicalName(type) {
+  const metric = getMetricType(type);
+  return metric ? metric.name : type;
+}
+
+/**
+ * Every spelling a metric may be stored under, for queries like `type = ANY($1)`
+ */
+export function getMetricSpellings(type) {
+  const metric = getMetricType(type);
+  if (!metric) return [type];
+  return [...new Set([metric.name, metric.key, ...metric.aliases])];
+}
+
+/**
+ * The metrics required for a complete health profile
+ */
+export const ESSENTIAL_METRICS = METRIC_TYPES.filter(metric => metric.essential);
+
+/**
+ * Type, unit and icon for seeding a metric row
+ */
+export function getMetricDefaults(type) {
+  const metric = getMetricType(type);
+  if (!metric) {
+    throw new Error(`Unknown metric type "${type}"`);
+  }
+  return { type: metric.name, unit: metric.defaultUnit, icon: metric.icon };
+}
+
+/**
+ * Classify a numeric value against the metric's normal range
+ */
+export function getMetricStatus(type, value) {
+  const metric = getMetricType(type);
+  if (!metric || !metric.normalRange || value === null || value === undefined || Number.isNaN(value)) {
+    return 'normal';
+  }
+
+  const { min, max } = metric.normalRange;
+  if (min !== null && min !== undefined && value < min) return 'low';
+  if (max !== null && max !== undefined && value > max) return 'high';
+  return 'normal';
+}
@@ -0,0 +1,167 @@
+/**
+ * Metric Trend and Anomaly Detection
+ *
+ * Builds on the time-series analysis in metric-analysis.js to compute a trend
+ * label for each metric type, a rolling personal baseline, and anomalies where
+ * an entry sits at least two standard deviations away from the baseline of the
+ * days before it. The lookback window sets both the period the trend slope is
+ * fitted over and how far back anomalies are reported. The computed trend is written back to health_metrics.trend so
+ * the dashboard shows real data instead of seeded strings.
+ */
+
+import { analyzeMetrics, normalizeMetricType, toMetricPoint } from './metric-analysis.js';
+import { getMetricType } from './metric-registry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of days before an entry that make up its personal baseline
+export const BASELINE_DAYS = 28;
+
+// Minimum number of baseline entries before anomalies are reported
+const MIN_BASELINE_SAMPLES = 5;
+
+// Distance from the baseline, in standard deviations, that counts as an anomaly
+const ANOMALY_Z_SCORE = 2;
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Translate a rising/falling series into the label stored in health_metrics.trend
+ */
+export function toTrendLabel(type, direction) {
+  if (direction === 'stable' || direction === 'unknown') return direction;
+
+  const metric = getMetricType(type);
+  const preferred = metric ? metric.improvement : null;
+  if (!preferred) {
+    return direction === 'rising' ? 'increasing' : 'decreasing';
+  }
+
+  const improving = (direction === 'rising') === (preferred === 'higher');
+  return improving ? 'improving' : 'declining';
+}
+
+/**
+ * Compute the baseline (mean and standard deviation) of the entries in the
+ * BASELINE_DAYS before the given time
+ */
+function computeBaseline(points, time, baselineDays) {
+  const window = points.filter(p => p.time < time && time - p.time <= baselineDays * DAY_MS);
+  if (window.length < 2) {
+    return { mean: null, standardDeviation: null, samples: window.length };
+  }
+
+  const values = window.map(p => p.value);
+  return {
+    mean: round(mean(values)),
+    standardDeviation: round(standardDeviation(values)),
+    samples: window.length
+  };
+}
+
+/**
+ * Group numeric, dated metric rows by normalized type
+ */
+function groupPoints(metrics) {
+  const groups = {};
+
+  for (const metric of metrics || []) {
+    if (!metric || !metric.type) continue;
+
+    const point = toMetricPoint(metric);
+    if (!point || point.time === null) continue;
+
+    const key = normalizeMetricType(metric.type);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(point);
+  }
+
+  Object.values(groups).forEach(points => points.sort((a, b) => a.time - b.time));
+  return groups;
+}
+
+/**
+ * Compute trends, baselines and anomalies for every metric type of a user
+ */
+export function computeMetricTrends(metrics, { now = new Date(), lookbackDays = 30, baselineDays = BASELINE_DAYS } = {}) {
+  const analysis = analyzeMetrics(metrics, { now, trendDays: lookbackDays });
+  const groups = groupPoints(metrics);
+  const nowMs = now.getTime();
+
+  return Object.entries(analysis).map(([key, metricAnalysis]) => {
+    const points = groups[key] || [];
+    const latestPoint = points[points.length - 1] || null;
+
+    // Flag recent entries that sit far outside the baseline before them
+    const anomalies = [];
+    for (const point of points) {
+      if (nowMs - point.time > lookbackDays * DAY_MS) continue;
+
+      const baseline = computeBaseline(points, point.time, baselineDays);
+      if (baseline.samples < MIN_BASELINE_SAMPLES || !baseline.standardDeviation) continue;
+
+      const zScore = (point.value - baseline.mean) / baseline.standardDeviation;
+      if (Math.abs(zScore) >= ANOMALY_Z_SCORE) {
+        anomalies.push({
+          metricId: point.id,
+          date: point.date,
+          value: point.value,
+          zScore: round(zScore),
+          direction: zScore > 0 ? 'above' : 'below',
+          baselineMean: baseline.mean,
+          baselineStandardDeviation: baseline.standardDeviation
+        });
+      }
+    }
+
+    return {
+      type: metricAnalysis.type,
+      latest: metricAnalysis.latest,
+      direction: metricAnalysis.trend,
+      trend: toTrendLabel(metricAnalysis.type, metricAnalysis.trend),
+      slopePerDay: metricAnalysis.slope,
+      average7Day: metricAnalysis.avg7,
+      average30Day: metricAnalysis.avg30,
+      baseline: {
+        windowDays: baselineDays,
+        ...computeBaseline(points, latestPoint ? latestPoint.time : nowMs, baselineDays)
+      },
+      anomalies,
+      ...(metricAnalysis.components
+        ? { reading: metricAnalysis.reading, classification: metricAnalysis.classification }
+        : {}),
+      latestMetricId: latestPoint ? latestPoint.id : null
+    };
+  });
+}
+
+/**
+ * Write the computed trend labels back onto each type's latest health_metrics row
+ */
+export async function saveComputedTrends(pool, userId, trends) {
+  let updated = 0;
+
+  for (const trend of trends) {
+    if (!trend.latestMetricId || trend.trend === 'unknown') continue;
+
+    const result = await pool.query(
+      'UPDATE health_metrics SET trend = $1 WHERE id = $2 AND user_id = $3',
+      [trend.trend, trend.latestMetricId, userId]
+    );
+    updated += result.rowCount;
+  }
+
+  return updated;
+}
@@ -0,0 +1,263 @@
+/**
+ * Recommendation History
+ *
+ * Every run of a recommendation generator is recorded as a snapshot: a summary
+ * of the inputs it saw (and a hash of them), the rule set and supplement
+ * catalog versions, the model, and the recommendations it produced. Two
+ * snapshots can be diffed to explain why recommendations changed: which
+ * inputs changed, whether the rules or catalog changed, and which
+ * recommendations were added, removed or reworded.
+ *
+ * The smart endpoints regenerate on every request, so a run that repeats the
+ * latest snapshot for the same source exactly (same inputs, versions and
+ * output) is not stored again.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { formatDay } from './dates.js';
+
+// Fields that vary between requests without the generated result changing:
+// request timestamps, lifecycle state and explain-mode traces
+const VOLATILE_FIELDS = ['date', 'instanceId', 'status', 'dismissReason', 'snoozedUntil', 'isCompleted', 'explanation'];
+
+/**
+ * Create the snapshot table if it does not exist yet
+ */
+export async function ensureHistoryTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS recommendation_snapshots (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      inputs_hash TEXT NOT NULL,
+      inputs JSONB NOT NULL,
+      rule_version TEXT,
+      catalog_version INTEGER,
+      model TEXT,
+      output_hash TEXT NOT NULL,
+      output JSONB NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * JSON with object keys sorted, so equal values always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of a value's stable JSON
+ */
+export function hashValue(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+function withoutVolatileFields(recommendation) {
+  const copy = { ...recommendation };
+  VOLATILE_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Summarize generator inputs for storage: the questionnaire as given, the
+ * count and latest reading per metric type, the lab results used, and any
+ * extra inputs (current supplements, adherence) under their own keys
+ */
+export function summarizeInputs({ questionnaire = null, metrics = [], bloodwork = [], ...extra } = {}) {
+  const metricSummary = {};
+  for (const metric of metrics) {
+    const date = metric.date ? new Date(metric.date).toISOString() : null;
+    const entry = metricSummary[metric.type] || { count: 0, latestValue: null, latestDate: null };
+    entry.count += 1;
+    if (!entry.latestDate || (date && date > entry.latestDate)) {
+      entry.latestValue = metric.value;
+      entry.latestDate = date;
+    }
+    metricSummary[metric.type] = entry;
+  }
+
+  return {
+    questionnaire,
+    metrics: metricSummary,
+    bloodwork: bloodwork.map(({ type, value, unit, status, date }) => ({
+      type,
+      value,
+      unit,
+      status,
+      date: formatDay(date)
+    })),
+    ...extra
+  };
+}
+
+function toSnapshot(row, { includeOutput = true } = {}) {
+  const snapshot = {
+    id: row.id,
+    source: row.source,
+    createdAt: row.created_at,
+    inputsHash: row.inputs_hash,
+    ruleVersion: row.rule_version || null,
+    catalogVersion: row.catalog_version ?? null,
+    model: row.model || null,
+    recommendationCount: row.output.length
+  };
+  if (includeOutput) {
+    snapshot.inputs = row.inputs;
+    snapshot.output = row.output;
+  }
+  return snapshot;
+}
+
+/**
+ * Record a generation run. Returns { snapshot, created }; created is false
+ * when the run matched the latest snapshot for the source.
+ */
+export async function saveRecommendationSnapshot(pool, userId, { source, inputs, ruleVersion = null, catalogVersion = null, model = null, output }) {
+  await ensureHistoryTables(pool);
+
+  const storedOutput = output.map(withoutVolatileFields);
+  const inputsHash = hashValue(inputs);
+  const outputHash = hashValue(storedOutput);
+
+  const latest = await pool.query(
+    `SELECT * FROM recommendation_snapshots
+     WHERE user_id = $1 AND source = $2
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, source]
+  );
+  const previous = latest.rows[0];
+  if (previous &&
+      previous.inputs_hash === inputsHash &&
+      previous.output_hash === outputHash &&
+      (previous.rule_version || null) === ruleVersion &&
+      (previous.catalog_version ?? null) === catalogVersion &&
+      (previous.model || null) === model) {
+    return { snapshot: toSnapshot(previous), created: false };
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO recommendation_snapshots
+       (id, user_id, source, inputs_hash, inputs, rule_version, catalog_version, model, output_hash, output)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [uuidv4(), userId, source, inputsHash, JSON.stringify(inputs), ruleVersion, catalogVersion, model, outputHash, JSON.stringify(storedOutput)]
+  );
+  return { snapshot: toSnapshot(rows[0]), created: true };
+}
+
+/**
+ * A user's snapshots, newest first, without their inputs and output
+ */
+export async function listRecommendationSnapshots(pool, userId, { source = null, limit = 20 } = {}) {
+  await ensureHistoryTables(pool);
+  const { rows } = await pool.query(
+    `SELECT * FROM recommendation_snapshots
+     WHERE user_id = $1 AND ($2::text IS NULL OR source = $2)
+     ORDER BY created_at DESC LIMIT $3`,
+    [userId, source, limit]
+  );
+  return rows.map(row => toSnapshot(row, { includeOutput: false }));
+}
+
+/**
+ * One of a user's snapshots with inputs and output, or null
+ */
+export async function getRecommendationSnapshot(pool, userId, id) {
+  await ensureHistoryTables(pool);
+  const { rows } = await pool.query(
+    'SELECT * FROM recommendation_snapshots WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return rows.length > 0 ? toSnapshot(rows[0]) : null;
+}
+
+/**
+ * The latest snapshot for a source taken at or before a date (or at all), or null
+ */
+export async function findSnapshotBefore(pool, userId, source, before = null) {
+  await ensureHistoryTables(pool);
+  const { rows } = await pool.query(
+    `SELECT * FROM recommendation_snapshots
+     WHERE user_id = $1 AND source = $2 AND ($3::timestamp IS NULL OR created_at <= $3)
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, source, before]
+  );
+  return rows.length > 0 ? toSnapshot(rows[0]) : null;
+}
+
+/**
+ * Identify a recommendation across snapshots: supplement key, else id, else title
+ */
+function recommendationKey(recommendation) {
+  return String(recommendation.key ?? recommendation.id ?? recommendation.title);
+}
+
+/**
+ * Top-level input sections whose content differs, e.g. ['metrics.Sleep Duration', 'bloodwork']
+ */
+function diffInputs(fromInputs = {}, toInputs = {}) {
+  const changed = [];
+  for (const section of new Set([...Object.keys(fromInputs), ...Object.keys(toInputs)])) {
+    const a = fromInputs[section];
+    const b = toInputs[section];
+    if (stableStringify(a) === stableStringify(b)) continue;
+
+    // Report individual metric types rather than the whole section
+    if (section === 'metrics' && a && b) {
+      for (const type of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (stableStringify(a[type]) !== stableStringify(b[type])) changed.push(`metrics.${type}`);
+      }
+    } else {
+      changed.push(section);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Compare two snapshots (older first): what changed in the inputs and
+ * versions, and which recommendations were added, removed or changed
+ */
+export function diffSnapshots(from, to) {
+  const fromByKey = new Map(from.output.map(rec => [recommendationKey(rec), rec]));
+  const toByKey = new Map(to.output.map(rec => [recommendationKey(rec), rec]));
+  const describe = rec => ({ key: recommendationKey(rec), title: rec.title || rec.name, priority: rec.priority });
+
+  const changed = [];
+  for (const [key, after] of toByKey) {
+    const before = fromByKey.get(key);
+    if (!before) continue;
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(field => stableStringify(before[field]) !== stableStringify(after[field]))
+      .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+    if (fields.length > 0) {
+      changed.push({ ...describe(after), fields });
+    }
+  }
+
+  return {
+    from: { id: from.id, createdAt: from.createdAt },
+    to: { id: to.id, createdAt: to.createdAt },
+    inputsChanged: from.inputsHash !== to.inputsHash,
+    changedInputs: diffInputs(from.inputs, to.inputs),
+    ruleVersionChanged: from.ruleVersion !== to.ruleVersion,
+    catalogVersionChanged: from.catalogVersion !== to.catalogVersion,
+    modelChanged: from.model !== to.model,
+    added: [...toByKey.entries()].filter(([key]) => !fromByKey.has(key)).map(([, rec]) => describe(rec)),
+    removed: [...fromByKey.entries()].filter(([key]) => !toByKey.has(key)).map(([, rec]) => describe(rec)),
+    changed
+  };
+}
@@ -0,0 +1,283 @@
+/**
+ * Recommendation Lifecycle
+ *
+ * Generated recommendations are persisted per user as instances, one per
+ * recommendation (keyed by kind and the recommendation's id, e.g.
+ * "health:1" or "supplement:zinc"), so what a user does with them survives
+ * regeneration. Kinds are per generator, since each numbers its own
+ * recommendations: "health" for /health, "lifestyle" for
+ * /health-recommendations and "supplement" for the supplement catalog.
+ * Each instance has a status:
+ *
+ *  - new:       shown to the user, no action yet
+ *  - accepted:  the user is following it
+ *  - dismissed: the user doesn't want it (with a reason); never shown again
+ *               unless restored
+ *  - snoozed:   hidden until a date, then shown as new again
+ *  - completed: done; kept for history and outcome tracking
+ *
+ * The time a recommendation was accepted, and its content at that moment,
+ * are kept through later status changes and regeneration, so its outcome can
+ * be measured from that date against what the user actually accepted.
+ *
+ * Regenerating refreshes the content of existing instances but never their
+ * status, and only new and accepted recommendations are returned to clients.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const RECOMMENDATION_STATUSES = ['new', 'accepted', 'dismissed', 'snoozed', 'completed'];
+
+export const RECOMMENDATION_KINDS = ['health', 'lifestyle', 'supplement'];
+
+// Statuses each status may move to
+const TRANSITIONS = {
+  new: ['accepted', 'dismissed', 'snoozed', 'completed'],
+  accepted: ['completed', 'dismissed', 'snoozed'],
+  snoozed: ['new', 'accepted', 'dismissed', 'completed'],
+  dismissed: ['new'],
+  completed: ['accepted']
+};
+
+// Action routes and the status they move to
+export const RECOMMENDATION_ACTIONS = {
+  accept: 'accepted',
+  dismiss: 'dismissed',
+  snooze: 'snoozed',
+  complete: 'completed',
+  restore: 'new'
+};
+
+/**
+ * Raised for status changes that are not allowed or are missing details
+ */
+export class RecommendationStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecommendationStateError';
+  }
+}
+
+/**
+ * Create the recommendation instance table if it does not exist yet
+ */
+export async function ensureRecommendationTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS recommendation_instances (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      source_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'new',
+      dismiss_reason TEXT,
+      snoozed_until TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      status_changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      accepted_at TIMESTAMP,
+      accepted_payload JSONB,
+      UNIQUE (user_id, kind, source_id)
+    )
+  `);
+  // Tables created before acceptance was timestamped and its content kept
+  await pool.query('ALTER TABLE recommendation_instances ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMP');
+  await pool.query('ALTER TABLE recommendation_instances ADD COLUMN IF NOT EXISTS accepted_payload JSONB');
+}
+
+/**
+ * Status as of now: a snooze that has run out reads as new
+ */
+export function getEffectiveStatus(instance, now = new Date()) {
+  if (instance.status === 'snoozed' && instance.snoozedUntil && new Date(instance.snoozedUntil) <= now) {
+    return 'new';
+  }
+  return instance.status;
+}
+
+function toInstance(row, now = new Date()) {
+  const instance = {
+    id: row.id,
+    kind: row.kind,
+    sourceId: row.source_id,
+    title: row.title,
+    status: row.status,
+    dismissReason: row.dismiss_reason || null,
+    snoozedUntil: row.snoozed_until || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    statusChangedAt: row.status_changed_at,
+    acceptedAt: row.accepted_at || (row.status === 'accepted' ? row.status_changed_at : null),
+    recommendation: row.payload,
+    acceptedRecommendation: null
+  };
+  // Instances accepted before the content was kept fall back to the latest
+  if (instance.acceptedAt) instance.acceptedRecommendation = row.accepted_payload || row.payload;
+  instance.status = getEffectiveStatus(instance, now);
+  if (instance.status !== 'snoozed') instance.snoozedUntil = null;
+  return instance;
+}
+
+/**
+ * Persist generated recommendations as instances, keeping the status of ones
+ * the user has already acted on. Returns the recommendations annotated with
+ * { instanceId, status, dismissReason, snoozedUntil, isCompleted }.
+ */
+export async function syncRecommendationInstances(pool, userId, kind, recommendations, { getSourceId = rec => rec.id, now = new Date() } = {}) {
+  await ensureRecommendationTables(pool);
+
+  const annotated = [];
+  for (const recommendation of recommendations) {
+    const { rows } = await pool.query(
+      `INSERT INTO recommendation_instances (id, user_id, kind, source_id, title, payload)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id, kind, source_id)
+       DO UPDATE SET title = EXCLUDED.title, payload = EXCLUDED.payload, updated_at = NOW()
+       RETURNING *`,
+      [uuidv4(), userId, kind, String(getSourceId(recommendation)), recommendation.title || recommendation.name, JSON.stringify(recommendation)]
+    );
+    const instance = toInstance(rows[0], now);
+    annotated.push({
+      ...recommendation,
+      instanceId: instance.id,
+      status: instance.status,
+      dismissReason: instance.dismissReason,
+      snoozedUntil: instance.snoozedUntil,
+      isCompleted: instance.status === 'completed'
+    });
+  }
+  return annotated;
+}
+
+/**
+ * Recommendations a user should see: new and accepted ones
+ */
+export function filterVisibleRecommendations(recommendations) {
+  return recommendations.filter(rec => rec.status === 'new' || rec.status === 'accepted');
+}
+
+/**
+ * Source ids of a user's recommendations of one kind that should not be
+ * offered again right now (dismissed, completed or snoozed)
+ */
+export async function loadHiddenSourceIds(pool, userId, kind, { now = new Date() } = {}) {
+  const instances = await loadRecommendationInstances(pool, userId, { kind, now });
+  return new Set(instances
+    .filter(instance => !['new', 'accepted'].includes(instance.status))
+    .map(instance => instance.sourceId));
+}
+
+/**
+ * A user's recommendation instances, optionally of one kind and status
+ */
+export async function loadRecommendationInstances(pool, userId, { kind = null, status = null, now = new Date() } = {}) {
+  await ensureRecommendationTables(pool);
+  const { rows } = await pool.query(
+    `SELECT * FROM recommendation_instances
+     WHERE user_id = $1 AND ($2::text IS NULL OR kind = $2)
+     ORDER BY status_changed_at DESC`,
+    [userId, kind]
+  );
+  const instances = rows.map(row => toInstance(row, now));
+  return status ? instances.filter(instance => instance.status === status) : instances;
+}
+
+/**
+ * Recommendations of one kind that users have accepted at some point, for
+ * outcome tracking: across all users, or for one
+ */
+export async function loadAcceptedRecommendations(pool, { userId = null, kind = null, now = new Date() } = {}) {
+  await ensureRecommendationTables(pool);
+  const { rows } = await pool.query(
+    `SELECT * FROM recommendation_instances
+     WHERE ($1::integer IS NULL OR user_id = $1) AND ($2::text IS NULL OR kind = $2)
+       AND (accepted_at IS NOT NULL OR status = 'accepted')
+     ORDER BY user_id, COALESCE(accepted_at, status_changed_at)`,
+    [userId, kind]
+  );
+  return rows.map(row => ({ ...toInstance(row, now), userId: row.user_id }));
+}
+
+/**
+ * Persist a recommendation that was generated elsewhere (for example by the
+ * AI endpoints) so it can be acted on. Returns { instance, created }.
+ */
+export async function createRecommendationInstance(pool, userId, { kind, sourceId, recommendation }) {
+  if (!RECOMMENDATION_KINDS.includes(kind)) {
+    throw new RecommendationStateError(`Kind must be one of ${RECOMMENDATION_KINDS.join(', ')}`);
+  }
+  if (!recommendation || typeof recommendation !== 'object' || !(recommendation.title || recommendation.name)) {
+    throw new RecommendationStateError('A recommendation with a title or name is required');
+  }
+  const id = sourceId || recommendation.id || recommendation.key;
+  if (id === undefined || id === null || id === '') {
+    throw new RecommendationStateError('A sourceId identifying the recommendation is required');
+  }
+
+  await ensureRecommendationTables(pool);
+  const { rows } = await pool.query(
+    `INSERT INTO recommendation_instances (id, user_id, kind, source_id, title, payload)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, kind, source_id) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), userId, kind, String(id), recommendation.title || recommendation.name, JSON.stringify(recommendation)]
+  );
+  if (rows.length > 0) {
+    return { instance: toInstance(rows[0]), created: true };
+  }
+
+  const existing = await pool.query(
+    'SELECT * FROM recommendation_instances WHERE user_id = $1 AND kind = $2 AND source_id = $3',
+    [userId, kind, String(id)]
+  );
+  return { instance: toInstance(existing.rows[0]), created: false };
+}
+
+/**
+ * Move one of a user's recommendations to a new status. Dismissing needs a
+ * reason and snoozing a future `snoozedUntil`. Returns the updated instance,
+ * or null if the user has no such recommendation.
+ */
+export async function transitionRecommendation(pool, userId, id, { status, reason = null, snoozedUntil = null } = {}, { now = new Date() } = {}) {
+  if (!RECOMMENDATION_STATUSES.includes(status)) {
+    throw new RecommendationStateError(`Status must be one of ${RECOMMENDATION_STATUSES.join(', ')}`);
+  }
+
+  await ensureRecommendationTables(pool);
+  const { rows } = await pool.query(
+    'SELECT * FROM recommendation_instances WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  if (rows.length === 0) return null;
+
+  const current = toInstance(rows[0], now).status;
+  if (!TRANSITIONS[current].includes(status)) {
+    throw new RecommendationStateError(`A ${current} recommendation cannot be marked ${status}`);
+  }
+
+  let until = null;
+  if (status === 'dismissed' && !(reason && reason.toString().trim())) {
+    throw new RecommendationStateError('Please give a reason for dismissing this recommendation');
+  }
+  if (status === 'snoozed') {
+    until = snoozedUntil ? new Date(snoozedUntil) : null;
+    if (!until || isNaN(until.getTime()) || until <= now) {
+      throw new RecommendationStateError('Snoozing needs a snoozedUntil date in the future');
+    }
+  }
+
+  const updated = await pool.query(
+    `UPDATE recommendation_instances
+     SET status = $3, dismiss_reason = $4, snoozed_until = $5, status_changed_at = $6, updated_at = $6,
+       accepted_at = CASE WHEN $7 THEN $6 ELSE accepted_at END,
+       accepted_payload = CASE WHEN $7 THEN payload ELSE accepted_payload END
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    // Reopening a completed recommendation keeps its original acceptance date
+    // and content
+    [id, userId, status, status === 'dismissed' ? reason.toString().trim() : null, until, now,
+      status === 'accepted' && current !== 'completed']
+  );
+  return toInstance(updated.rows[0], now);
+}
@@ -0,0 +1,276 @@
+/**
+ * Recommendation Outcomes
+ *
+ * Checks whether accepted recommendations moved the numbers they say to
+ * track. For each accepted recommendation, every metric in its
+ * `trackingMetrics` is compared over a window before and after the date it
+ * was accepted, and the change is reported as an effect size (Cohen's d:
+ * the change in the mean divided by the pooled standard deviation).
+ *
+ * Effect sizes are signed so that positive means better: a metric's
+ * `improvement` direction in the registry decides, and metrics without one
+ * (sleep duration) count moving towards their normal range as better. A
+ * change smaller than 0.2 standard deviations counts as no change.
+ *
+ * Outcomes are then aggregated per recommendation and per rule that shaped
+ * it, across users, so the rules that actually help can be told apart from
+ * the ones that don't.
+ */
+
+import { toMetricPoint } from './metric-analysis.js';
+import { getMetricSpellings, getMetricType } from './metric-registry.js';
+import { loadAcceptedRecommendations } from './recommendation-lifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_OUTCOME_WINDOW_DAYS = 14;
+
+// Fewest readings on each side of the acceptance date worth comparing
+export const MIN_OUTCOME_SAMPLES = 3;
+
+// Effect sizes below this are too small to call a change
+const NEGLIGIBLE_EFFECT = 0.2;
+
+// Tracking metric names used by recommendations that are not registry
+// spellings, mapped to the metric that measures them
+const TRACKING_METRIC_ALIASES = {
+  'daily water intake': 'water-intake',
+  'hydration status': 'water-intake',
+  'sleep quality': 'sleep-score',
+  'workout intensity': 'active-minutes'
+};
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function variance(values) {
+  const avg = mean(values);
+  return values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1);
+}
+
+function round(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * The registry entry measuring a tracking metric name, or null when no
+ * recorded metric measures it (e.g. "Meal composition")
+ */
+export function resolveTrackingMetric(name) {
+  if (!name) return null;
+  return getMetricType(name) || getMetricType(TRACKING_METRIC_ALIASES[name.toString().toLowerCase().trim()]) || null;
+}
+
+/**
+ * Whether higher or lower values are better for a metric, given where it
+ * started. Metrics without a preferred direction improve by moving into their
+ * normal range; null when neither applies.
+ */
+function getPreferredDirection(metricType, startingMean) {
+  if (metricType.improvement) return metricType.improvement;
+
+  const range = metricType.normalRange;
+  if (!range) return null;
+  if (range.min !== null && range.min !== undefined && startingMean < range.min) return 'higher';
+  if (range.max !== null && range.max !== undefined && startingMean > range.max) return 'lower';
+  return null;
+}
+
+function classifyEffect(effect) {
+  if (effect === null) return 'changed';
+  if (Math.abs(effect) < NEGLIGIBLE_EFFECT) return 'no-change';
+  return effect > 0 ? 'improved' : 'worsened';
+}
+
+function describeWindow(points) {
+  return {
+    samples: points.length,
+    mean: points.length > 0 ? round(mean(points.map(p => p.value))) : null
+  };
+}
+
+/**
+ * Compare one metric's readings in the window before and after a date
+ */
+export function evaluateMetricChange(name, metrics, acceptedAt, { windowDays = DEFAULT_OUTCOME_WINDOW_DAYS, minSamples = MIN_OUTCOME_SAMPLES } = {}) {
+  const metricType = resolveTrackingMetric(name);
+  if (!metricType) {
+    return { metric: name, type: null, outcome: 'untracked' };
+  }
+
+  const start = new Date(acceptedAt).getTime();
+  const windowMs = windowDays * DAY_MS;
+  const points = metrics
+    .filter(metric => getMetricType(metric.type) === metricType)
+    .map(toMetricPoint)
+    .filter(point => point && point.time !== null);
+  const before = points.filter(p => p.time < start && start - p.time <= windowMs);
+  const after = points.filter(p => p.time >= start && p.time - start <= windowMs);
+
+  const result = {
+    metric: name,
+    type: metricType.name,
+    before: describeWindow(before),
+    after: describeWindow(after)
+  };
+  if (before.length < minSamples || after.length < minSamples) {
+    return { ...result, outcome: 'insufficient-data' };
+  }
+
+  const beforeValues = before.map(p => p.value);
+  const afterValues = after.map(p => p.value);
+  const change = mean(afterValues) - mean(beforeValues);
+  const pooledSd = Math.sqrt(
+    ((beforeValues.length - 1) * variance(beforeValues) + (afterValues.length - 1) * variance(afterValues)) /
+    (beforeValues.length + afterValues.length - 2)
+  );
+  // Identical readings throughout have no spread to measure the change against
+  const effectSize = pooledSd > 0 ? change / pooledSd : (change === 0 ? 0 : null);
+
+  const preferred = getPreferredDirection(metricType, mean(beforeValues));
+  const improvement = preferred && effectSize !== null
+    ? (preferred === 'higher' ? effectSize : -effectSize)
+    : null;
+
+  return {
+    ...result,
+    change: round(change),
+    percentChange: mean(beforeValues) !== 0 ? round((change / Math.abs(mean(beforeValues))) * 100, 1) : null,
+    effectSize: round(effectSize),
+    preferredDirection: preferred,
+    improvement: round(improvement),
+    outcome: effectSize === 0 ? 'no-change' : (preferred ? classifyEffect(improvement) : 'changed')
+  };
+}
+
+/**
+ * Outcome of one accepted recommendation instance. The effect size is the mean
+ * improvement across its tracking metrics that have a preferred direction.
+ */
+export function evaluateRecommendationOutcome(instance, metrics, { windowDays = DEFAULT_OUTCOME_WINDOW_DAYS, now = new Date() } = {}) {
+  // What the user accepted, not what the rules produce today
+  const recommendation = instance.acceptedRecommendation || instance.recommendation || {};
+  const acceptedAt = new Date(instance.acceptedAt);
+  const metricOutcomes = (recommendation.trackingMetrics || [])
+    .map(name => evaluateMetricChange(name, metrics, acceptedAt, { windowDays }));
+
+  const improvements = metricOutcomes
+    .map(outcome => outcome.improvement)
+    .filter(value => value !== null && value !== undefined);
+  const effectSize = improvements.length > 0 ? round(mean(improvements)) : null;
+
+  let outcome = classifyEffect(effectSize);
+  if (effectSize === null) {
+    outcome = metricOutcomes.some(m => m.outcome === 'insufficient-data')
+      ? 'insufficient-data'
+      : (metricOutcomes.some(m => m.outcome === 'changed' || m.outcome === 'no-change') ? 'unknown-direction' : 'untracked');
+  }
+
+  return {
+    instanceId: instance.id,
+    userId: instance.userId,
+    kind: instance.kind,
+    sourceId: instance.sourceId,
+    title: instance.title,
+    status: instance.status,
+    acceptedAt: acceptedAt.toISOString(),
+    appliedRules: recommendation.appliedRules || [],
+    windowDays,
+    windowComplete: now.getTime() - acceptedAt.getTime() >= windowDays * DAY_MS,
+    metrics: metricOutcomes,
+    effectSize,
+    outcome
+  };
+}
+
+function aggregate(outcomes) {
+  const measured = outcomes.filter(outcome => outcome.effectSize !== null);
+  return {
+    recommendations: outcomes.length,
+    users: new Set(outcomes.map(outcome => outcome.userId)).size,
+    measured: measured.length,
+    meanEffectSize: measured.length > 0 ? round(mean(measured.map(outcome => outcome.effectSize))) : null,
+    improved: measured.filter(outcome => outcome.outcome === 'improved').length,
+    unchanged: measured.filter(outcome => outcome.outcome === 'no-change').length,
+    worsened: measured.filter(outcome => outcome.outcome === 'worsened').length
+  };
+}
+
+function byMeanEffect(a, b) {
+  return (b.meanEffectSize ?? -Infinity) - (a.meanEffectSize ?? -Infinity);
+}
+
+/**
+ * Aggregate outcomes per recommendation (kind and source id) and per rule,
+ * best first. Recommendations no rule applied to are grouped under a null
+ * ruleId: the unpersonalized base recommendations.
+ */
+export function summarizeOutcomes(outcomes) {
+  const groupBy = keyOf => {
+    const groups = new Map();
+    for (const outcome of outcomes) {
+      for (const key of keyOf(outcome)) {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(outcome);
+      }
+    }
+    return groups;
+  };
+
+  const byRecommendation = [...groupBy(outcome => [`${outcome.kind}:${outcome.sourceId}`]).values()]
+    .map(group => ({ kind: group[0].kind, sourceId: group[0].sourceId, title: group[group.length - 1].title, ...aggregate(group) }))
+    .sort(byMeanEffect);
+
+  const byRule = [...groupBy(outcome => (outcome.appliedRules.length > 0 ? outcome.appliedRules : [null])).entries()]
+    .map(([ruleId, group]) => ({ ruleId, ...aggregate(group) }))
+    .sort(byMeanEffect);
+
+  return { overall: aggregate(outcomes), byRecommendation, byRule };
+}
+
+/**
+ * The metric readings a user's accepted recommendations need: their tracked
+ * metric types, from the earliest window start to the latest window end
+ */
+async function loadOutcomeMetrics(pool, userId, instances, windowDays) {
+  const spellings = [...new Set(instances
+    .flatMap(instance => (instance.acceptedRecommendation || instance.recommendation)?.trackingMetrics || [])
+    .map(resolveTrackingMetric)
+    .filter(Boolean)
+    .flatMap(metricType => getMetricSpellings(metricType.key)))];
+  if (spellings.length === 0) return [];
+
+  const times = instances.map(instance => new Date(instance.acceptedAt).getTime());
+  const { rows } = await pool.query(
+    `SELECT id, type, value, unit, date FROM health_metrics
+     WHERE user_id = $1 AND type = ANY($2) AND date >= $3 AND date <= $4
+     ORDER BY date`,
+    [userId, spellings, new Date(Math.min(...times) - windowDays * DAY_MS), new Date(Math.max(...times) + windowDays * DAY_MS)]
+  );
+  return rows;
+}
+
+/**
+ * Evaluate accepted recommendations of one kind, for one user or all of them.
+ * Returns { outcomes, summary }.
+ */
+export async function evaluateOutcomes(pool, { userId = null, kind = 'health', windowDays = DEFAULT_OUTCOME_WINDOW_DAYS, now = new Date() } = {}) {
+  const instances = await loadAcceptedRecommendations(pool, { userId, kind, now });
+
+  const byUser = new Map();
+  for (const instance of instances) {
+    if (!byUser.has(instance.userId)) byUser.set(instance.userId, []);
+    byUser.get(instance.userId).push(instance);
+  }
+
+  const outcomes = [];
+  for (const [user, userInstances] of byUser) {
+    const metrics = await loadOutcomeMetrics(pool, user, userInstances, windowDays);
+    outcomes.push(...userInstances.map(instance => evaluateRecommendationOutcome(instance, metrics, { windowDays, now })));
+  }
+
+  return { outcomes, summary: summarizeOutcomes(outcomes) };
+}
@@ -0,0 +1,546 @@
+/**
+ * Declarative Rule Engine for Health Recommendations
+ *
+ * Personalization rules live as data files in server/rules/ (JSON or YAML) so
+ * thresholds and wording can be adjusted without touching route code. Every
+ * endpoint that personalizes recommendations evaluates the same rules through
+ * this module, which keeps their thresholds from drifting apart.
+ *
+ * A rule looks like:
+ *
+ *   {
+ *     "id": "sleep-short-duration",
+ *     "target": "Sleep",
+ *     "when": { "all": [{ "metric": "Sleep Duration", "op": "<", "value": 6 }] },
+ *     "priority": "high",
+ *     "effects": {
+ *       "recommendations": { "set": { "title": "Increase Sleep Duration" } },
+ *       "health": { "append": { "expectedBenefits": ["Better recovery"] } }
+ *     }
+ *   }
+ *
+ * - `when` is a condition tree of `all` / `any` / `not` groups. Leaf conditions
+ *   compare a metric (`metric`) or a questionnaire field (`questionnaire`).
+ *   Metric conditions read a statistic from server/metric-analysis.js through
+ *   `stat` (latest, avg7, avg30, slope, variability, daysSinceLatest). The
+ *   default is `avg7`, so a single old reading never fires a rule on its own.
+ *   Compound metrics such as blood pressure take a `component` ("systolic" or
+ *   "diastolic"), or match their category with `classification`, e.g.
+ *   { "metric": "Blood Pressure", "classification": ["stage-1-hypertension"] }.
+ *   Lab results are matched on the status of the latest result for an analyte
+ *   (see server/bloodwork.js), e.g.
+ *   { "bloodwork": "Ferritin", "status": ["low", "critical-low"] }.
+ * - `priority` is shared by every profile, so endpoints agree on urgency.
+ * - `effects` holds per-profile text changes. `set` replaces fields, `append`
+ *   adds to arrays or concatenates onto strings. Strings may reference metric
+ *   values with `{{Metric Name}}` (current value, or reading such as "128/82"
+ *   for blood pressure) or `{{Metric Name.avg30}}`, and lab results with
+ *   `{{Analyte Name}}` (latest value and unit, e.g. "18 ng/mL").
+ * - `add` holds per-profile recommendations to insert when the rule fires.
+ * - `appliesTo` optionally restricts the rule to a list of profiles.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  analyzeMetrics,
+  normalizeMetricType,
+  getMetricStat,
+  getCurrentValue,
+  METRIC_STATS
+} from './metric-analysis.js';
+import { BLOOD_PRESSURE_CATEGORIES } from './blood-pressure.js';
+import { getAnalyte } from './analyte-registry.js';
+import { BLOODWORK_STATUSES, buildBloodworkContext, getLabProfile } from './bloodwork.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default location of the rule files
+export const DEFAULT_RULES_DIR = path.join(__dirname, 'rules');
+
+const RULE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Supported comparison operators for numeric conditions
+const NUMERIC_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Cache of loaded rule sets keyed by directory
+const ruleSetCache = new Map();
+
+/**
+ * Parse the contents of a single rule file
+ */
+async function parseRuleFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+
+  if (filePath.endsWith('.json')) {
+    return JSON.parse(raw);
+  }
+
+  // YAML support is optional and only needed when YAML rule files are present
+  let yaml;
+  try {
+    yaml = await import('js-yaml');
+  } catch (error) {
+    throw new Error(`Cannot load ${path.basename(filePath)}: install js-yaml to use YAML rule files`);
+  }
+  return (yaml.default || yaml).load(raw);
+}
+
+/**
+ * Validate a rule definition, throwing a descriptive error if it is malformed
+ */
+function validateRule(rule, fileName) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid rule in ${fileName}: expected an object`);
+  }
+  if (!rule.id) {
+    throw new Error(`Invalid rule in ${fileName}: every rule needs an id`);
+  }
+  if (!rule.when) {
+    throw new Error(`Invalid rule "${rule.id}" in ${fileName}: missing "when" conditions`);
+  }
+  if (!rule.target && !rule.add) {
+    throw new Error(`Invalid rule "${rule.id}" in ${fileName}: needs either a "target" category or an "add" block`);
+  }
+  if (rule.priority && !['high', 'medium', 'low'].includes(rule.priority)) {
+    throw new Error(`Invalid rule "${rule.id}" in ${fileName}: unknown priority "${rule.priority}"`);
+  }
+}
+
+/**
+ * Build a signature of the rule files so edits are picked up without a restart
+ */
+function getRuleFilesSignature(files) {
+  return files.map(file => `${file}:${fs.statSync(file).mtimeMs}`).join('|');
+}
+
+/**
+ * Load all rule files from a directory, in filename order
+ */
+export async function loadRules(rulesDir = DEFAULT_RULES_DIR) {
+  const files = fs.readdirSync(rulesDir)
+    .filter(file => RULE_FILE_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map(file => path.join(rulesDir, file));
+
+  const signature = getRuleFilesSignature(files);
+  const cached = ruleSetCache.get(rulesDir);
+  if (cached && cached.signature === signature) {
+    return cached.rules;
+  }
+
+  const rules = [];
+  const seenIds = new Set();
+
+  for (const file of files) {
+    const fileName = path.basename(file);
+    const content = await parseRuleFile(file);
+    const fileRules = Array.isArray(content) ? content : (content.rules || []);
+
+    for (const rule of fileRules) {
+      validateRule(rule, fileName);
+      if (seenIds.has(rule.id)) {
+        throw new Error(`Duplicate rule id "${rule.id}" in ${fileName}`);
+      }
+      seenIds.add(rule.id);
+      rules.push({ ...rule, source: fileName });
+    }
+  }
+
+  console.log(`Loaded ${rules.length} recommendation rules from ${files.length} files`);
+  ruleSetCache.set(rulesDir, { signature, rules });
+  return rules;
+}
+
+/**
+ * Short content hash identifying a loaded rule set. Rule files are not
+ * versioned by hand, so any edit to a rule gives a new version.
+ */
+export function getRuleSetVersion(rules) {
+  return crypto.createHash('sha256').update(JSON.stringify(rules)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Build the evaluation context from a user's metrics, latest lab results and
+ * questionnaire. Metrics are analyzed as time series; pass `analysis` to reuse
+ * an existing one.
+ */
+export function buildRuleContext({ metrics = [], bloodwork = [], questionnaire = null, analysis = null, now } = {}) {
+  return {
+    metrics: analysis || analyzeMetrics(metrics, { now }),
+    bloodwork: buildBloodworkContext(bloodwork, getLabProfile(questionnaire)),
+    questionnaire: questionnaire || null
+  };
+}
+
+/**
+ * Find a metric in the context. `names` may be a single name or a list of alternatives.
+ */
+function lookupMetric(context, names) {
+  const candidates = Array.isArray(names) ? names : [names];
+  for (const name of candidates) {
+    const metric = context.metrics[normalizeMetricType(name)];
+    if (metric) {
+      return { name, analysis: metric };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the latest lab result for an analyte in the context
+ */
+function lookupBloodwork(context, name) {
+  const analyte = getAnalyte(name);
+  const result = analyte && context.bloodwork ? context.bloodwork[analyte.key] : null;
+  return result ? { name: analyte.name, result } : null;
+}
+
+/**
+ * Evaluate a single leaf condition
+ */
+function evaluateLeaf(condition, context) {
+  if (condition.bloodwork) {
+    if (!getAnalyte(condition.bloodwork)) {
+      throw new Error(`Unknown lab analyte "${condition.bloodwork}" for bloodwork condition`);
+    }
+    const expected = [].concat(condition.status || []);
+    if (expected.length === 0) {
+      throw new Error(`Bloodwork condition for "${condition.bloodwork}" needs a "status" list`);
+    }
+    const unknown = expected.filter(status => !BLOODWORK_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown status "${unknown[0]}" for bloodwork condition`);
+    }
+
+    const lab = lookupBloodwork(context, condition.bloodwork);
+
+    return {
+      kind: 'bloodwork',
+      analyte: lab ? lab.name : getAnalyte(condition.bloodwork).name,
+      expected,
+      actual: lab ? lab.result.status : null,
+      value: lab ? lab.result.value : null,
+      unit: lab ? lab.result.unit : null,
+      date: lab ? lab.result.date : null,
+      met: lab ? expected.includes(lab.result.status) : false
+    };
+  }
+
+  if (condition.metric && condition.classification) {
+    const metric = lookupMetric(context, condition.metric);
+    const expected = [].concat(condition.classification);
+    const unknown = expected.filter(category => !BLOOD_PRESSURE_CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown classification "${unknown[0]}" for metric condition`);
+    }
+
+    const classification = metric ? metric.analysis.classification : null;
+
+    return {
+      kind: 'classification',
+      metric: metric ? metric.name : [].concat(condition.metric)[0],
+      expected,
+      actual: classification ? classification.category : null,
+      reading: metric ? metric.analysis.reading : null,
+      date: metric && metric.analysis.latest ? metric.analysis.latest.date : null,
+      met: classification ? expected.includes(classification.category) : false
+    };
+  }
+
+  if (condition.metric) {
+    const metric = lookupMetric(context, condition.metric);
+    const compare = NUMERIC_OPERATORS[condition.op];
+    const stat = condition.stat || 'avg7';
+
+    if (!compare) {
+      throw new Error(`Unknown operator "${condition.op}" for metric condition`);
+    }
+
+    let series = metric ? metric.analysis : null;
+    if (series && condition.component) {
+      if (!series.components || !series.components[condition.component]) {
+        throw new Error(`Metric "${metric.name}" has no component "${condition.component}"`);
+      }
+      series = series.components[condition.component];
+    }
+
+    const actual = series ? getMetricStat(series, stat) : null;
+
+    return {
+      kind: 'metric',
+      metric: metric ? metric.name : [].concat(condition.metric)[0],
+      component: condition.component || null,
+      stat,
+      op: condition.op,
+      expected: condition.value,
+      actual,
+      date: metric && metric.analysis.latest ? metric.analysis.latest.date : null,
+      samples: metric ? metric.analysis.samples : null,
+      met: actual !== null ? compare(actual, condition.value) : false
+    };
+  }
+
+  if (condition.questionnaire) {
+    const field = condition.questionnaire;
+    const fieldValue = context.questionnaire ? context.questionnaire[field] : undefined;
+    const values = Array.isArray(fieldValue) ? fieldValue : (fieldValue ? [fieldValue] : []);
+    const lowered = values.map(v => v.toString().toLowerCase());
+
+    let met = false;
+    let matched = [];
+
+    if (condition.op === 'containsAny') {
+      const needles = [].concat(condition.value).map(n => n.toLowerCase());
+      matched = values.filter((v, i) => needles.some(n => lowered[i].includes(n)));
+      met = matched.length > 0;
+    } else if (condition.op === 'exists') {
+      met = values.length > 0;
+      matched = values;
+    } else {
+      throw new Error(`Unknown operator "${condition.op}" for questionnaire condition`);
+    }
+
+    return {
+      kind: 'questionnaire',
+      field,
+      op: condition.op,
+      expected: condition.value,
+      actual: matched,
+      met
+    };
+  }
+
+  throw new Error('Condition must reference a metric, a lab analyte or a questionnaire field');
+}
+
+/**
+ * Evaluate a condition tree, collecting every leaf result along the way
+ */
+function evaluateCondition(condition, context, leaves) {
+  if (condition.all) {
+    return condition.all.map(c => evaluateCondition(c, context, leaves)).every(Boolean);
+  }
+  if (condition.any) {
+    return condition.any.map(c => evaluateCondition(c, context, leaves)).some(Boolean);
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, context, leaves);
+  }
+
+  const leaf = evaluateLeaf(condition, context);
+  leaves.push(leaf);
+  return leaf.met;
+}
+
+/**
+ * Evaluate one rule against the context
+ */
+export function evaluateRule(rule, context) {
+  const conditions = [];
+  const fired = evaluateCondition(rule.when, context, conditions);
+  return { rule, fired, conditions };
+}
+
+/**
+ * Replace {{Metric Name}} and {{Metric Name.stat}} placeholders with values from the context
+ */
+export function renderTemplate(template, context) {
+  if (typeof template !== 'string') return template;
+
+  return template.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, reference) => {
+    const [name, stat] = reference.split('.');
+    const metric = lookupMetric(context, name);
+    if (!metric) {
+      const lab = lookupBloodwork(context, name);
+      return lab && lab.result.value !== null ? `${lab.result.value} ${lab.result.unit}` : match;
+    }
+
+    let value;
+    if (stat && METRIC_STATS.includes(stat)) {
+      value = getMetricStat(metric.analysis, stat);
+    } else {
+      value = metric.analysis.reading || getCurrentValue(metric.analysis);
+    }
+    return value !== null ? value.toString() : match;
+  });
+}
+
+/**
+ * Render every string (or array of strings) in an effect block
+ */
+function renderFields(fields, context) {
+  const rendered = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    rendered[key] = Array.isArray(value)
+      ? value.map(v => renderTemplate(v, context))
+      : renderTemplate(value, context);
+  }
+  return rendered;
+}
+
+/**
+ * Apply a fired rule's effects to a recommendation for the given profile
+ */
+function applyEffects(recommendation, rule, profile, context) {
+  if (rule.priority) {
+    recommendation.priority = rule.priority;
+  }
+
+  const effects = rule.effects && rule.effects[profile];
+  if (!effects) return;
+
+  Object.assign(recommendation, renderFields(effects.set, context));
+
+  for (const [key, value] of Object.entries(renderFields(effects.append, context))) {
+    if (Array.isArray(recommendation[key])) {
+      recommendation[key] = recommendation[key].concat(value);
+    } else if (typeof recommendation[key] === 'string') {
+      recommendation[key] += value;
+    } else {
+      recommendation[key] = value;
+    }
+  }
+}
+
+/**
+ * Check whether a rule is relevant to the requested profile
+ */
+function appliesToProfile(rule, profile) {
+  return !rule.appliesTo || rule.appliesTo.includes(profile);
+}
+
+/**
+ * Describe a rule evaluation for API consumers, including the data that triggered it
+ */
+export function describeEvaluation(evaluation) {
+  const { rule, fired, conditions } = evaluation;
+
+  return {
+    ruleId: rule.id,
+    description: rule.description || '',
+    source: rule.source,
+    fired,
+    conditions: conditions.map(condition => {
+      if (condition.kind === 'classification') {
+        return {
+          metric: condition.metric,
+          classifications: condition.expected,
+          classification: condition.actual,
+          reading: condition.reading,
+          recordedAt: condition.date,
+          met: condition.met
+        };
+      }
+
+      if (condition.kind === 'bloodwork') {
+        return {
+          analyte: condition.analyte,
+          statuses: condition.expected,
+          status: condition.actual,
+          value: condition.value,
+          unit: condition.unit,
+          recordedAt: condition.date,
+          met: condition.met
+        };
+      }
+
+      if (condition.kind === 'metric') {
+        return {
+          metric: condition.metric,
+          ...(condition.component ? { component: condition.component } : {}),
+          statistic: condition.stat,
+          operator: condition.op,
+          threshold: condition.expected,
+          value: condition.actual,
+          recordedAt: condition.date,
+          samples: condition.samples,
+          met: condition.met
+        };
+      }
+
+      return {
+        questionnaireField: condition.field,
+        operator: condition.op,
+        terms: condition.expected,
+        matchedAnswers: condition.actual,
+        met: condition.met
+      };
+    })
+  };
+}
+
+/**
+ * Build the explanation attached to a recommendation in explain mode
+ */
+function buildExplanation(recommendation, firedEvaluations, evaluations) {
+  const notFired = evaluations.filter(evaluation =>
+    !evaluation.fired && evaluation.rule.target === recommendation.category
+  );
+
+  return {
+    firedRules: firedEvaluations.map(describeEvaluation),
+    notFiredRules: notFired.map(describeEvaluation)
+  };
+}
+
+/**
+ * Evaluate the rules for a profile and apply them to a list of base recommendations.
+ * Returns the personalized (cloned) recommendations, each with the ids of the
+ * rules applied to it in `appliedRules`, and the per-rule evaluations.
+ * With `explain` set, each recommendation gets an `explanation` of the rules
+ * that fired for it and the rules that were checked but did not fire.
+ */
+export function applyRules(recommendations, context, { profile, rules, explain = false }) {
+  const personalized = recommendations.map(rec => JSON.parse(JSON.stringify(rec)));
+  const evaluations = [];
+
+  // Fired evaluations per recommendation, used for explain mode
+  const firedByRecommendation = new Map(personalized.map(rec => [rec, []]));
+
+  for (const rule of rules) {
+    if (!appliesToProfile(rule, profile)) continue;
+
+    const evaluation = evaluateRule(rule, context);
+    evaluations.push(evaluation);
+    if (!evaluation.fired) continue;
+
+    if (rule.target) {
+      personalized
+        .filter(rec => rec.category === rule.target)
+        .forEach(rec => {
+          applyEffects(rec, rule, profile, context);
+          firedByRecommendation.get(rec).push(evaluation);
+        });
+    }
+
+    if (rule.add && rule.add[profile]) {
+      const addition = JSON.parse(JSON.stringify(rule.add[profile]));
+      const added = { ...addition, ...renderFields(addition, context) };
+      personalized.push(added);
+      firedByRecommendation.set(added, [evaluation]);
+    }
+  }
+
+  // Which rules shaped each recommendation, kept for outcome tracking
+  personalized.forEach(rec => {
+    rec.appliedRules = firedByRecommendation.get(rec).map(evaluation => evaluation.rule.id);
+  });
+
+  if (explain) {
+    personalized.forEach(rec => {
+      rec.explanation = buildExplanation(rec, firedByRecommendation.get(rec), evaluations);
+    });
+  }
+
+  return { recommendations: personalized, evaluations };
+}
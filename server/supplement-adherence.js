@@ -0,0 +1,243 @@
+/**
+ * Supplement Adherence
+ *
+ * Users log each dose as taken or skipped, per supplement, per day and per
+ * schedule slot (a supplement taken with breakfast and dinner is two doses).
+ * Logging the same dose again replaces the earlier entry, so the log can be
+ * corrected.
+ *
+ * Adherence is the share of logged doses that were taken. A day counts
+ * towards a streak when every dose logged that day was taken; a day with no
+ * log breaks the streak, except today, which may simply not be logged yet.
+ * The recommender uses adherence to hold back new supplements from users who
+ * are not keeping up with the ones they have.
+ */
+
+import { formatDay } from './dates.js';
+
+export const ADHERENCE_STATUSES = ['taken', 'skipped'];
+
+// Fewer logged doses than this is too little to judge adherence by
+export const MIN_DOSES_FOR_ADHERENCE = 7;
+
+/**
+ * Raised for log entries that cannot be recorded as submitted
+ */
+export class AdherenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AdherenceError';
+  }
+}
+
+/**
+ * Create the adherence log table if it does not exist yet
+ */
+export async function ensureAdherenceTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS supplement_adherence (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      supplement_name TEXT NOT NULL,
+      supplement_key TEXT,
+      dose_date DATE NOT NULL,
+      slot TEXT NOT NULL DEFAULT 'daily',
+      status TEXT NOT NULL,
+      note TEXT,
+      recorded_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (user_id, supplement_name, dose_date, slot)
+    )
+  `);
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDay(date);
+}
+
+function toLogEntry(row) {
+  return {
+    id: row.id,
+    supplement: row.supplement_name,
+    key: row.supplement_key || null,
+    date: formatDay(row.dose_date),
+    slot: row.slot,
+    status: row.status,
+    note: row.note || null,
+    recordedAt: row.recorded_at
+  };
+}
+
+/**
+ * Check a log entry and normalise it to { supplement, key, date, slot, status, note }
+ */
+export function validateAdherenceEntry(entry, { now = new Date() } = {}) {
+  if (!entry || typeof entry !== 'object') {
+    throw new AdherenceError('Each log entry must be an object');
+  }
+  const supplement = (entry.supplement || entry.name || '').toString().trim();
+  if (!supplement) {
+    throw new AdherenceError('Each log entry needs a supplement name');
+  }
+  if (!ADHERENCE_STATUSES.includes(entry.status)) {
+    throw new AdherenceError(`Status for ${supplement} must be one of ${ADHERENCE_STATUSES.join(', ')}`);
+  }
+
+  const date = entry.date ? entry.date.toString() : formatDay(now);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    throw new AdherenceError(`Invalid date "${entry.date}" for ${supplement}: use YYYY-MM-DD`);
+  }
+  if (date > formatDay(now)) {
+    throw new AdherenceError(`Cannot log ${supplement} for ${date}, which is in the future`);
+  }
+
+  return {
+    supplement,
+    key: entry.key || null,
+    date,
+    slot: entry.slot ? entry.slot.toString() : 'daily',
+    status: entry.status,
+    note: entry.note ? entry.note.toString() : null
+  };
+}
+
+/**
+ * Record doses, replacing any entry for the same supplement, day and slot.
+ * All entries are validated before anything is written.
+ */
+export async function recordAdherence(pool, userId, entries, { now = new Date() } = {}) {
+  const validated = entries.map(entry => validateAdherenceEntry(entry, { now }));
+
+  await ensureAdherenceTables(pool);
+  const saved = [];
+  for (const entry of validated) {
+    const { rows } = await pool.query(
+      `INSERT INTO supplement_adherence (user_id, supplement_name, supplement_key, dose_date, slot, status, note)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id, supplement_name, dose_date, slot)
+       DO UPDATE SET status = EXCLUDED.status, note = EXCLUDED.note,
+         supplement_key = COALESCE(EXCLUDED.supplement_key, supplement_adherence.supplement_key), recorded_at = NOW()
+       RETURNING *`,
+      [userId, entry.supplement, entry.key, entry.date, entry.slot, entry.status, entry.note]
+    );
+    saved.push(toLogEntry(rows[0]));
+  }
+  return saved;
+}
+
+/**
+ * A user's log entries for the last `days` days, oldest first
+ */
+export async function loadAdherenceLog(pool, userId, { days = 30, now = new Date() } = {}) {
+  await ensureAdherenceTables(pool);
+  const { rows } = await pool.query(
+    `SELECT * FROM supplement_adherence
+     WHERE user_id = $1 AND dose_date > $2
+     ORDER BY dose_date, supplement_name, slot`,
+    [userId, addDays(formatDay(now), -days)]
+  );
+  return rows.map(toLogEntry);
+}
+
+/**
+ * Current and longest run of consecutive days on which every logged dose was taken
+ */
+function computeStreaks(entries, today) {
+  const dayStatus = new Map();
+  for (const entry of entries) {
+    const adherent = dayStatus.get(entry.date) !== false && entry.status === 'taken';
+    dayStatus.set(entry.date, adherent);
+  }
+
+  const days = [...dayStatus.keys()].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    if (dayStatus.get(day) && previous && addDays(previous, 1) === day) {
+      run += 1;
+    } else {
+      run = dayStatus.get(day) ? 1 : 0;
+    }
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  // Count back from today, or from yesterday if today isn't logged yet
+  let current = 0;
+  let day = dayStatus.has(today) ? today : addDays(today, -1);
+  while (dayStatus.get(day)) {
+    current += 1;
+    day = addDays(day, -1);
+  }
+
+  return { currentStreak: current, longestStreak: longest };
+}
+
+function summarizeEntries(entries, today) {
+  const taken = entries.filter(entry => entry.status === 'taken').length;
+  const skipped = entries.length - taken;
+  const lastTaken = entries.filter(entry => entry.status === 'taken').map(entry => entry.date).sort().pop() || null;
+  return {
+    taken,
+    skipped,
+    percentage: entries.length > 0 ? Math.round((taken / entries.length) * 100) : null,
+    ...computeStreaks(entries, today),
+    lastTaken
+  };
+}
+
+/**
+ * Overall and per-supplement adherence for a log
+ */
+export function summarizeAdherence(entries, { days = 30, now = new Date() } = {}) {
+  const today = formatDay(now);
+  const bySupplement = new Map();
+  for (const entry of entries) {
+    const name = entry.supplement;
+    if (!bySupplement.has(name)) bySupplement.set(name, []);
+    bySupplement.get(name).push(entry);
+  }
+
+  return {
+    periodDays: days,
+    loggedDoses: entries.length,
+    ...summarizeEntries(entries, today),
+    enoughData: entries.length >= MIN_DOSES_FOR_ADHERENCE,
+    supplements: [...bySupplement.entries()]
+      .map(([supplement, supplementEntries]) => ({ supplement, ...summarizeEntries(supplementEntries, today) }))
+      .sort((a, b) => (a.percentage ?? 101) - (b.percentage ?? 101))
+  };
+}
+
+/**
+ * How many new supplements to recommend given a user's adherence and the
+ * number they already take. Returns { limit, reason } with reason null when
+ * adherence doesn't restrict the usual number.
+ */
+export function getAdherenceLimit(summary, currentCount, { defaultLimit = 3 } = {}) {
+  if (!summary || !summary.enoughData) {
+    return { limit: defaultLimit, reason: null };
+  }
+  const { percentage } = summary;
+  if (percentage >= 80) {
+    return { limit: defaultLimit, reason: null };
+  }
+  if (percentage >= 60) {
+    return {
+      limit: Math.min(defaultLimit, 1),
+      reason: `You took ${percentage}% of your logged doses recently, so we're suggesting one addition at a time.`
+    };
+  }
+  if (currentCount >= 3) {
+    return {
+      limit: 0,
+      reason: `You took ${percentage}% of your logged doses recently. Rather than adding another supplement, focus on the ${currentCount} you already have.`
+    };
+  }
+  return {
+    limit: 1,
+    reason: `You took ${percentage}% of your logged doses recently, so we're only suggesting your top priority.`
+  };
+}
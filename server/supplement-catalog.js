@@ -0,0 +1,302 @@
+/**
+ * Supplement Catalog
+ *
+ * The supplement knowledge base the recommender draws from, kept as data so
+ * entries can be reviewed and edited without touching route code. The tracked
+ * server/supplements/catalog.json is only the seed: the catalog the server
+ * reads and admins edit lives at ~/.decent4/supplements/catalog.json
+ * (override with SUPPLEMENT_CATALOG_PATH) and is copied from the seed the
+ * first time it is needed, so edits never rewrite files in the checkout.
+ *
+ * The catalog carries a version that increases with every edit made through
+ * saveCatalogEntry. Before each edit the current file is copied to
+ * history/catalog-v<version>.json next to it, so any earlier version can be
+ * read back and recommendations can be traced to the catalog that produced them.
+ * Saves hold a lock file (catalog.json.lock) so two servers never write the
+ * same version.
+ *
+ * Entry fields:
+ *  - id:                  numeric id returned to clients
+ *  - key:                 canonical hyphenated key (e.g. "vitamin-d3")
+ *  - name, category, description, timing, benefits
+ *  - forms:               forms it is sold in
+ *  - dosage:              dosage as shown to users ("2000 IU daily"); parsed
+ *                       into nutrient amounts by supplement-dosage.js
+ *  - dosageRange:         { min, max, unit } typical daily range, or null
+ *  - priority:            default priority before personalization
+ *  - indicatedFor, contraindicatedFor: plain-language conditions; the
+ *                       contraindications are enforced by supplement-safety.js
+ *  - requiresLabEvidence: only recommended when lab results call for it
+ *  - evidenceLevel:       one of EVIDENCE_LEVELS
+ *  - citations:           [{ title, source, url }]
+ *  - tags:                free-form tags
+ *  - active:              false hides the entry from recommendations
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SEED_CATALOG_PATH = path.join(__dirname, 'supplements', 'catalog.json');
+
+export const DEFAULT_CATALOG_PATH = path.join(os.homedir(), '.decent4', 'supplements', 'catalog.json');
+
+export const EVIDENCE_LEVELS = ['strong', 'moderate', 'limited', 'traditional'];
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// A lock older than this was left by a save that crashed
+const STALE_LOCK_MS = 30 * 1000;
+
+/**
+ * Raised for catalog entries that fail validation
+ */
+export class SupplementCatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SupplementCatalogError';
+  }
+}
+
+/**
+ * Raised when another save is writing the catalog
+ */
+export class CatalogLockedError extends Error {
+  constructor(message = 'The supplement catalog is being saved by another request; try again') {
+    super(message);
+    this.name = 'CatalogLockedError';
+  }
+}
+
+// Cache of loaded catalogs keyed by file path
+const catalogCache = new Map();
+
+function getCatalogPath() {
+  return process.env.SUPPLEMENT_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+}
+
+function getHistoryPath(catalogPath, version) {
+  return path.join(path.dirname(catalogPath), 'history', `catalog-v${version}.json`);
+}
+
+/**
+ * Copy the tracked seed catalog to a writable catalog path that doesn't exist yet
+ */
+function ensureCatalogFile(catalogPath) {
+  if (catalogPath === SEED_CATALOG_PATH || fs.existsSync(catalogPath)) return;
+  fs.mkdirSync(path.dirname(catalogPath), { recursive: true });
+  try {
+    fs.copyFileSync(SEED_CATALOG_PATH, catalogPath, fs.constants.COPYFILE_EXCL);
+  } catch (error) {
+    // Another process seeded it first
+    if (error.code !== 'EEXIST') throw error;
+  }
+}
+
+/**
+ * Run `write` while holding the catalog's lock file, taking over a lock that
+ * has gone stale. Throws CatalogLockedError while another save holds it.
+ */
+function withCatalogLock(catalogPath, write) {
+  const lockPath = `${catalogPath}.lock`;
+  let fd;
+  try {
+    fd = fs.openSync(lockPath, 'wx');
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    let age;
+    try {
+      age = Date.now() - fs.statSync(lockPath).mtimeMs;
+    } catch (statError) {
+      // Released in the meantime
+      age = Infinity;
+    }
+    if (age < STALE_LOCK_MS) throw new CatalogLockedError();
+    fs.rmSync(lockPath, { force: true });
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+    } catch (retryError) {
+      if (retryError.code === 'EEXIST') throw new CatalogLockedError();
+      throw retryError;
+    }
+  }
+
+  try {
+    return write();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Load the current catalog ({ version, updatedAt, updatedBy, entries }).
+ * The file is re-read when it changes on disk.
+ */
+export function loadSupplementCatalog(catalogPath = getCatalogPath()) {
+  ensureCatalogFile(catalogPath);
+  const modified = fs.statSync(catalogPath).mtimeMs;
+  const cached = catalogCache.get(catalogPath);
+  if (cached && cached.modified === modified) {
+    return cached.catalog;
+  }
+
+  const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  catalog.entries.forEach(entry => validateCatalogEntry(entry));
+  catalogCache.set(catalogPath, { modified, catalog });
+  return catalog;
+}
+
+/**
+ * Load a specific catalog version, current or archived. Returns null if unknown.
+ */
+export function loadCatalogVersion(version, catalogPath = getCatalogPath()) {
+  const current = loadSupplementCatalog(catalogPath);
+  if (version === current.version) return current;
+
+  const archived = getHistoryPath(catalogPath, version);
+  return fs.existsSync(archived) ? JSON.parse(fs.readFileSync(archived, 'utf8')) : null;
+}
+
+/**
+ * List the catalog versions that can be loaded, newest first
+ */
+export function listCatalogVersions(catalogPath = getCatalogPath()) {
+  const current = loadSupplementCatalog(catalogPath);
+  const historyDir = path.dirname(getHistoryPath(catalogPath, 0));
+  const archived = fs.existsSync(historyDir)
+    ? fs.readdirSync(historyDir)
+      .map(file => file.match(/^catalog-v(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => JSON.parse(fs.readFileSync(path.join(historyDir, match[0]), 'utf8')))
+    : [];
+
+  return [current, ...archived]
+    .map(({ version, updatedAt, updatedBy, entries }) => ({ version, updatedAt, updatedBy, entryCount: entries.length }))
+    .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Validate a catalog entry, throwing a descriptive error if it is malformed
+ */
+export function validateCatalogEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new SupplementCatalogError('Catalog entry must be an object');
+  }
+  const label = entry.key || entry.name || 'entry';
+
+  if (!entry.key || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(entry.key)) {
+    throw new SupplementCatalogError(`Invalid key "${entry.key}": use lowercase words separated by hyphens`);
+  }
+  for (const field of ['name', 'category', 'description', 'dosage', 'timing']) {
+    if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+      throw new SupplementCatalogError(`Catalog entry "${label}" needs a "${field}"`);
+    }
+  }
+  if (!Number.isInteger(entry.id) || entry.id < 1) {
+    throw new SupplementCatalogError(`Catalog entry "${label}" needs a positive integer id`);
+  }
+  for (const field of ['forms', 'benefits', 'indicatedFor', 'contraindicatedFor', 'tags']) {
+    if (!Array.isArray(entry[field]) || entry[field].some(item => typeof item !== 'string')) {
+      throw new SupplementCatalogError(`Catalog entry "${label}": "${field}" must be a list of strings`);
+    }
+  }
+  if (!PRIORITIES.includes(entry.priority)) {
+    throw new SupplementCatalogError(`Catalog entry "${label}": unknown priority "${entry.priority}"`);
+  }
+  if (!EVIDENCE_LEVELS.includes(entry.evidenceLevel)) {
+    throw new SupplementCatalogError(`Catalog entry "${label}": evidenceLevel must be one of ${EVIDENCE_LEVELS.join(', ')}`);
+  }
+  if (entry.dosageRange !== null && entry.dosageRange !== undefined) {
+    const { min, max, unit } = entry.dosageRange;
+    if (typeof min !== 'number' || typeof max !== 'number' || min > max || !unit) {
+      throw new SupplementCatalogError(`Catalog entry "${label}": dosageRange needs numeric min <= max and a unit`);
+    }
+  }
+  if (!Array.isArray(entry.citations) || entry.citations.some(citation => !citation || !citation.title || !citation.source)) {
+    throw new SupplementCatalogError(`Catalog entry "${label}": every citation needs a title and source`);
+  }
+}
+
+/**
+ * Add or replace an entry (matched by key) and write the catalog as a new
+ * version. Returns the saved entry and the new catalog version.
+ */
+export function saveCatalogEntry(input, { updatedBy = null, catalogPath = getCatalogPath() } = {}) {
+  ensureCatalogFile(catalogPath);
+  return withCatalogLock(catalogPath, () => writeCatalogEntry(input, { updatedBy, catalogPath }));
+}
+
+function writeCatalogEntry(input, { updatedBy, catalogPath }) {
+  catalogCache.delete(catalogPath);
+  const catalog = loadSupplementCatalog(catalogPath);
+  const existing = catalog.entries.find(entry => entry.key === input.key);
+
+  const entry = {
+    ...(existing || {}),
+    ...input,
+    id: existing ? existing.id : Math.max(0, ...catalog.entries.map(e => e.id)) + 1,
+    active: input.active !== undefined ? input.active : (existing ? existing.active : true)
+  };
+  if (!existing) {
+    entry.forms = entry.forms || [];
+    entry.citations = entry.citations || [];
+    entry.tags = entry.tags || [];
+    entry.contraindicatedFor = entry.contraindicatedFor || [];
+  }
+  validateCatalogEntry(entry);
+
+  const duplicateName = catalog.entries.find(e => e.key !== entry.key && e.name.toLowerCase() === entry.name.toLowerCase());
+  if (duplicateName) {
+    throw new SupplementCatalogError(`"${entry.name}" is already in the catalog as "${duplicateName.key}"`);
+  }
+
+  const updated = {
+    version: catalog.version + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+    entries: existing
+      ? catalog.entries.map(e => (e.key === entry.key ? entry : e))
+      : [...catalog.entries, entry]
+  };
+
+  // Archive the current version, then replace the file in one step
+  const archivePath = getHistoryPath(catalogPath, catalog.version);
+  fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+  fs.writeFileSync(archivePath, JSON.stringify(catalog, null, 2) + '\n');
+
+  const tempPath = `${catalogPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(updated, null, 2) + '\n');
+  fs.renameSync(tempPath, catalogPath);
+  catalogCache.delete(catalogPath);
+
+  return { entry, version: updated.version, created: !existing };
+}
+
+/**
+ * Active catalog entries in the shape the recommender personalizes
+ */
+export function getSupplementOptions(catalog = loadSupplementCatalog()) {
+  return catalog.entries
+    .filter(entry => entry.active !== false)
+    .map(entry => JSON.parse(JSON.stringify({
+      id: entry.id,
+      key: entry.key,
+      name: entry.name,
+      category: entry.category,
+      description: entry.description,
+      dosage: entry.dosage,
+      timing: entry.timing,
+      benefits: entry.benefits,
+      priority: entry.priority,
+      requiresLabEvidence: !!entry.requiresLabEvidence,
+      indicatedFor: entry.indicatedFor,
+      contraindicatedFor: entry.contraindicatedFor,
+      evidenceLevel: entry.evidenceLevel,
+      citations: entry.citations,
+      tags: entry.tags
+    })));
+}
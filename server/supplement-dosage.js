@@ -0,0 +1,348 @@
+/**
+ * Supplement Dosage Totals
+ *
+ * Dosage strings are free text ("300-400mg daily", "2,000 IU", "2 x 500mg
+ * twice daily", "1-2 capsules (200mg each)", "50,000 IU weekly"). parseDosage turns them into structured
+ * amounts; the nutrient data in supplements/nutrients.json then attributes each
+ * amount to a nutrient, converts it to the nutrient's unit and sums it across
+ * a stack so the daily total can be compared with the tolerable upper intake
+ * level for the user's age and sex.
+ *
+ * Amounts are attributed using a nutrient named next to the amount ("Zinc
+ * 15mg, Copper 2mg"), otherwise the nutrient the product is named after
+ * ("Vitamin D3"). Multi-ingredient products whose dosage gives no per-nutrient
+ * amounts ("Multivitamin", "1 tablet") fall back to typical contents, and those
+ * amounts are marked as assumed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_NUTRIENTS_PATH = path.join(__dirname, 'supplements', 'nutrients.json');
+
+// Amount, optional range end, unit
+const AMOUNT_PATTERN = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(billion\s+cfu|cfu|mcg|µg|ug|mg|g|iu)(?![a-z])/gi;
+
+// Number of capsules, tablets etc. per dose, optionally a range ("1-2 capsules")
+const UNIT_COUNT_PATTERN = /(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\s*(?:capsules?|caps|tablets?|tabs|softgels?|gummies|pills?|lozenges?|scoops?)\b/i;
+
+// Wording that states an amount per capsule rather than per dose
+const PER_UNIT_PATTERN = /\beach\b|\bper\s+(?:capsule|cap|tablet|tab|softgel|gummy|pill|lozenge|scoop)\b/i;
+
+const UNIT_SPELLINGS = { 'µg': 'mcg', ug: 'mcg', mcg: 'mcg', mg: 'mg', g: 'g', iu: 'IU', cfu: 'CFU', 'billion cfu': 'billion CFU' };
+
+// Size of each mass unit in mg
+const MASS_UNITS = { g: 1000, mg: 1, mcg: 0.001 };
+
+// Doses per day implied by frequency wording; anything else is once daily
+const FREQUENCIES = [
+  [/\b(twice|two times|2 times|bid|b\.i\.d)\b|\b2 ?x(?!\s*\d)/i, 2],
+  [/\b(three times|3 times|tid|t\.i\.d)\b|\b3 ?x(?!\s*\d)/i, 3],
+  [/\b(four times|4 times|qid|q\.i\.d)\b|\b4 ?x(?!\s*\d)/i, 4],
+  [/\b(every other day|alternate days)\b/i, 0.5],
+  [/\b(weekly|once a week|per week|a week|every week)\b|\/\s*week/i, 1 / 7]
+];
+
+const FREQUENCY_WORDS = /\b(daily|per day|a day|each day|once|twice|three times|four times|times|weekly|per week|a week|every|other|day|week|with|meals?|food|in the|morning|evening|bedtime|at|of|each|take|x)\b/gi;
+
+// Cache of loaded nutrient files keyed by path
+const nutrientCache = new Map();
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function termPattern(term) {
+  return new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z])`, 'i');
+}
+
+/**
+ * Load the nutrient upper limits and product contents, re-reading the file
+ * when it changes
+ */
+export function loadNutrientData(filePath = DEFAULT_NUTRIENTS_PATH) {
+  const modified = fs.statSync(filePath).mtimeMs;
+  const cached = nutrientCache.get(filePath);
+  if (cached && cached.modified === modified) {
+    return cached.data;
+  }
+
+  const { nutrients, products } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const file = path.basename(filePath);
+
+  for (const [id, nutrient] of Object.entries(nutrients)) {
+    if (!nutrient.unit || !Array.isArray(nutrient.terms) || !Array.isArray(nutrient.upperLimits)) {
+      throw new Error(`Invalid nutrient "${id}" in ${file}`);
+    }
+    nutrient.patterns = nutrient.terms.map(termPattern);
+  }
+  for (const product of products) {
+    const unknown = product.contents.find(item => !nutrients[item.nutrient]);
+    if (unknown) {
+      throw new Error(`Product "${product.name}" in ${file} lists unknown nutrient "${unknown.nutrient}"`);
+    }
+    product.patterns = product.terms.map(termPattern);
+  }
+
+  const data = { nutrients, products };
+  nutrientCache.set(filePath, { modified, data });
+  return data;
+}
+
+/**
+ * Parse a dosage string into per-dose amounts and the number of doses a day.
+ * Returns { amounts: [{ label, min, max, unit }], dosesPerDay }; label is the
+ * text around the amount ("Zinc", "EPA/DHA") or null.
+ */
+export function parseDosage(text) {
+  const dosage = (text || '').toString().replace(/(\d),(\d{3})(?!\d)/g, '$1$2');
+
+  const frequency = FREQUENCIES.find(([pattern]) => pattern.test(dosage));
+  const dosesPerDay = frequency ? frequency[1] : 1;
+
+  // "1-2 capsules (200mg each)" is 200-400mg per dose
+  const units = dosage.match(UNIT_COUNT_PATTERN);
+
+  const amounts = [];
+  for (const segment of dosage.split(/[,;+]|\band\b/i)) {
+    // "2 x 500mg" is two units of 500mg per dose
+    const count = segment.match(/(\d+)\s*[x×]\s*(?=\d)/i);
+    const multiplier = count ? parseInt(count[1]) : 1;
+    const unitCounts = units && PER_UNIT_PATTERN.test(segment)
+      ? [parseInt(units[1]), parseInt(units[2] || units[1])]
+      : [1, 1];
+
+    const found = [...segment.matchAll(AMOUNT_PATTERN)];
+    if (found.length === 0) continue;
+
+    let label = segment;
+    if (count) label = label.replace(count[0], ' ');
+    if (units) label = label.replace(units[0], ' ');
+    found.forEach(match => { label = label.replace(match[0], ' '); });
+    label = label.replace(PER_UNIT_PATTERN, ' ').replace(FREQUENCY_WORDS, ' ').replace(/[()]/g, ' ').replace(/\s+/g, ' ').trim();
+
+    for (const match of found) {
+      const values = [parseFloat(match[1]), match[2] ? parseFloat(match[2]) : parseFloat(match[1])];
+      amounts.push({
+        label: label || null,
+        min: Math.min(...values) * multiplier * Math.min(...unitCounts),
+        max: Math.max(...values) * multiplier * Math.max(...unitCounts),
+        unit: UNIT_SPELLINGS[match[3].toLowerCase().replace(/\s+/g, ' ')]
+      });
+    }
+  }
+
+  return { amounts, dosesPerDay };
+}
+
+/**
+ * Nutrient id a name refers to, or null
+ */
+export function findNutrient(name, data = loadNutrientData()) {
+  if (!name) return null;
+  const match = Object.entries(data.nutrients).find(([, nutrient]) => nutrient.patterns.some(pattern => pattern.test(name)));
+  return match ? match[0] : null;
+}
+
+/**
+ * Convert an amount to the nutrient's unit, or null if the units don't convert
+ */
+export function convertToNutrientUnit(amount, unit, nutrient) {
+  if (unit === nutrient.unit) return amount;
+  if (MASS_UNITS[unit] && MASS_UNITS[nutrient.unit]) {
+    return amount * MASS_UNITS[unit] / MASS_UNITS[nutrient.unit];
+  }
+  const factor = nutrient.conversions?.[unit];
+  return factor ? amount * factor : null;
+}
+
+/**
+ * Daily nutrient amounts provided by one supplement ({ name, key, dosage }).
+ * Returns [{ nutrient, name, min, max, unit, assumed }] in the nutrient's unit.
+ */
+export function getNutrientAmounts(supplement, data = loadNutrientData()) {
+  const product = data.products.find(p =>
+    (supplement.key && p.catalog.includes(supplement.key)) || p.patterns.some(pattern => pattern.test(supplement.name || ''))
+  );
+  const namedNutrient = product ? null : findNutrient(supplement.name, data);
+  const { amounts, dosesPerDay } = parseDosage(supplement.dosage);
+
+  const totals = new Map();
+  const add = (id, min, max, assumed) => {
+    const nutrient = data.nutrients[id];
+    const existing = totals.get(id) || { nutrient: id, name: nutrient.name, min: 0, max: 0, unit: nutrient.unit, assumed };
+    existing.min += min;
+    existing.max += max;
+    totals.set(id, existing);
+  };
+
+  for (const amount of amounts) {
+    const id = findNutrient(amount.label, data) || namedNutrient;
+    if (!id) continue;
+    const min = convertToNutrientUnit(amount.min, amount.unit, data.nutrients[id]);
+    const max = convertToNutrientUnit(amount.max, amount.unit, data.nutrients[id]);
+    if (min === null) continue;
+    add(id, min * dosesPerDay, max * dosesPerDay, false);
+  }
+
+  if (totals.size === 0 && product) {
+    for (const item of product.contents) {
+      const amount = convertToNutrientUnit(item.amount, item.unit, data.nutrients[item.nutrient]);
+      add(item.nutrient, amount * dosesPerDay, amount * dosesPerDay, true);
+    }
+  }
+
+  return [...totals.values()].map(total => ({ ...total, min: round(total.min), max: round(total.max) }));
+}
+
+/**
+ * Upper intake limit for a nutrient and a { sex, age } profile. Adult limits
+ * are used when the age is unknown.
+ */
+export function getUpperLimit(nutrient, { sex = null, age = null } = {}) {
+  const effectiveAge = age === null || age === undefined ? 30 : age;
+  const normalizedSex = sex ? sex.toString().toLowerCase() : null;
+  const bands = nutrient.upperLimits.filter(band =>
+    (band.minAge === undefined || effectiveAge >= band.minAge) &&
+    (band.maxAge === undefined || effectiveAge < band.maxAge) &&
+    (!band.sex || band.sex === normalizedSex)
+  );
+  if (bands.length === 0) return null;
+  return [...bands].sort((a, b) => (b.sex ? 1 : 0) - (a.sex ? 1 : 0))[0].limit;
+}
+
+function formatAmount(min, max, unit) {
+  return min === max ? `${round(max)} ${unit}` : `${round(min)}-${round(max)} ${unit}`;
+}
+
+/**
+ * Sum nutrients across supplements ({ name, key, dosage, source }) and compare
+ * the totals with the upper limits for the profile. A total "exceeds" the
+ * limit when even the low end of the dosage ranges is above it, and "may
+ * exceed" when only the high end is.
+ */
+export function checkUpperLimits(supplements, profile = {}, { data = loadNutrientData() } = {}) {
+  const totals = new Map();
+
+  for (const supplement of supplements) {
+    for (const amount of getNutrientAmounts(supplement, data)) {
+      const total = totals.get(amount.nutrient) || {
+        nutrient: amount.nutrient,
+        name: amount.name,
+        unit: amount.unit,
+        min: 0,
+        max: 0,
+        sources: []
+      };
+      total.min += amount.min;
+      total.max += amount.max;
+      total.sources.push({
+        name: supplement.name,
+        source: supplement.source || null,
+        min: amount.min,
+        max: amount.max,
+        assumed: amount.assumed
+      });
+      totals.set(amount.nutrient, total);
+    }
+  }
+
+  const results = [...totals.values()].map(total => {
+    const upperLimit = getUpperLimit(data.nutrients[total.nutrient], profile);
+    return {
+      ...total,
+      min: round(total.min),
+      max: round(total.max),
+      upperLimit,
+      percentOfLimit: upperLimit ? Math.round((total.max / upperLimit) * 100) : null
+    };
+  });
+
+  const warnings = results
+    .filter(total => total.upperLimit !== null && total.max > total.upperLimit)
+    .map(total => {
+      const level = total.min > total.upperLimit ? 'exceeds' : 'may-exceed';
+      const sources = total.sources
+        .map(source => `${source.name} (${formatAmount(source.min, source.max, total.unit)}${source.assumed ? ', typical amount' : ''})`)
+        .join(', ');
+      return {
+        nutrient: total.nutrient,
+        name: total.name,
+        level,
+        total: total.max,
+        unit: total.unit,
+        upperLimit: total.upperLimit,
+        sources: total.sources.map(source => source.name),
+        message: `Your daily ${total.name} ${level === 'exceeds' ? 'comes to' : 'could reach'} ${formatAmount(total.min, total.max, total.unit)} from ${sources}, above the ${total.upperLimit} ${total.unit} upper limit. ${data.nutrients[total.nutrient].note}`
+      };
+    })
+    .sort((a, b) => (a.level === b.level ? 0 : a.level === 'exceeds' ? -1 : 1));
+
+  return { totals: results, warnings };
+}
+
+/**
+ * Lower every dosage range to its low end ("300-400mg" becomes "300mg")
+ */
+function lowerDosage(dosage) {
+  const text = (dosage || '').toString().replace(/(\d),(\d{3})(?!\d)/g, '$1$2');
+  const lowered = text.replace(AMOUNT_PATTERN, (match, low, high, unit) => (high ? `${Math.min(low, high)}${unit}` : match));
+  return lowered === text ? dosage : lowered;
+}
+
+/**
+ * Keep recommended supplements ({ name, key, dosage }) within the upper limits
+ * once they are added to the current stack. Recommendations are checked in
+ * order, so earlier ones are kept first. One that goes over a limit is lowered
+ * to the low end of its dosage range when that fits, and dropped otherwise.
+ * Returns the remaining supplements and a safety note per change.
+ */
+export function applyUpperLimitScreen(supplements, { current = [], profile = {} } = {}, { data = loadNutrientData() } = {}) {
+  const stack = current.map(s => ({ name: s.name, key: s.key, dosage: s.dosage, source: 'current' }));
+  const safetyNotes = [];
+  const screened = [];
+
+  const warningsFor = supplement => checkUpperLimits(
+    [...stack, { name: supplement.name, key: supplement.key, dosage: supplement.dosage, source: 'recommended' }],
+    profile,
+    { data }
+  ).warnings.filter(warning => warning.sources.includes(supplement.name));
+
+  for (const supplement of supplements) {
+    const warnings = warningsFor(supplement);
+    let kept = supplement;
+
+    if (warnings.length > 0) {
+      const lowered = { ...supplement, dosage: lowerDosage(supplement.dosage) };
+      if (lowered.dosage !== supplement.dosage && warningsFor(lowered).length === 0) {
+        kept = lowered;
+        safetyNotes.push(...warnings.map(warning => ({
+          supplement: supplement.name,
+          action: 'adjusted',
+          contraindication: 'upper-limit',
+          field: 'dosage',
+          matched: warning.name,
+          reason: `Dosage lowered to ${lowered.dosage} to stay within the ${warning.upperLimit} ${warning.unit} upper limit for ${warning.name}.`
+        })));
+      } else {
+        safetyNotes.push({
+          supplement: supplement.name,
+          action: 'excluded',
+          contraindication: 'upper-limit',
+          field: 'dosage',
+          matched: warnings[0].name,
+          reason: warnings[0].message
+        });
+        continue;
+      }
+    }
+
+    screened.push(kept);
+    stack.push({ name: kept.name, key: kept.key, dosage: kept.dosage, source: 'recommended' });
+  }
+
+  return { supplements: screened, safetyNotes };
+}
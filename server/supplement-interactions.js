@@ -0,0 +1,225 @@
+/**
+ * Supplement Interaction Checker
+ *
+ * Checks a set of supplements and medications for known interactions:
+ * supplement-supplement (zinc blocking copper, calcium blocking iron),
+ * supplement-medication (St John's wort with SSRIs, fish oil with blood
+ * thinners) and duplicated nutrients (two magnesium products).
+ *
+ * The interaction data lives in supplements/interactions.json. Each item is
+ * mapped to "agents" (ingredients or drug classes) by catalog key or by name
+ * terms matched as whole words; interactions are declared between agents, so
+ * "Magnesium Citrate" and "Magnesium Glycinate" both resolve to magnesium.
+ * Supplement agents are only looked for in supplements and medication agents
+ * only in medications.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_INTERACTIONS_PATH = path.join(__dirname, 'supplements', 'interactions.json');
+
+// Most severe first
+export const INTERACTION_SEVERITIES = ['major', 'moderate', 'minor'];
+
+const AGENT_KINDS = ['supplement', 'medication'];
+
+const LOWER_PRIORITY = { high: 'medium', medium: 'low', low: 'low' };
+
+// Cache of loaded interaction files keyed by path
+const interactionCache = new Map();
+
+// Terms match whole words, optionally plural ("probiotic" matches
+// "Probiotics"), so "iron" does not match "Ironman" and "vitamin a" does not
+// match "Vitamin and Mineral Complex". "Iron-free" says the opposite, so a
+// term followed by "-free" does not match either.
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}(?:e?s)?(?![a-z]|-free\\b)`, 'i');
+}
+
+/**
+ * Load and validate the interaction data, re-reading the file when it changes
+ */
+export function loadInteractionData(filePath = DEFAULT_INTERACTIONS_PATH) {
+  const modified = fs.statSync(filePath).mtimeMs;
+  const cached = interactionCache.get(filePath);
+  if (cached && cached.modified === modified) {
+    return cached.data;
+  }
+
+  const { agents, interactions } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const file = path.basename(filePath);
+
+  for (const [id, agent] of Object.entries(agents)) {
+    if (!AGENT_KINDS.includes(agent.kind) || !Array.isArray(agent.terms)) {
+      throw new Error(`Invalid interaction agent "${id}" in ${file}`);
+    }
+    if (agent.duplicate && !INTERACTION_SEVERITIES.includes(agent.duplicate)) {
+      throw new Error(`Agent "${id}" in ${file} has unknown duplicate severity "${agent.duplicate}"`);
+    }
+    agent.patterns = agent.terms.map(termPattern);
+  }
+  for (const interaction of interactions) {
+    if (!INTERACTION_SEVERITIES.includes(interaction.severity)) {
+      throw new Error(`Interaction "${interaction.id}" in ${file} has unknown severity "${interaction.severity}"`);
+    }
+    const unknown = (interaction.agents || []).flat().find(id => !agents[id]);
+    if (interaction.agents?.length !== 2 || unknown) {
+      throw new Error(`Interaction "${interaction.id}" in ${file} must list two groups of known agents${unknown ? ` ("${unknown}" is unknown)` : ''}`);
+    }
+  }
+
+  const data = { agents, interactions };
+  interactionCache.set(filePath, { modified, data });
+  return data;
+}
+
+/**
+ * Agent ids (ingredients or drug classes) recognised in a supplement or
+ * medication by catalog key or name
+ */
+export function identifyAgents(name, { key = null, kind = 'supplement' } = {}, data = loadInteractionData()) {
+  return Object.entries(data.agents)
+    .filter(([, agent]) => agent.kind === kind)
+    .filter(([, agent]) => (key && agent.catalog?.includes(key)) || agent.patterns.some(pattern => pattern.test(name)))
+    .map(([id]) => id);
+}
+
+/**
+ * Normalise a supplement or medication (a name or an object with a name and
+ * optional catalog key) into { name, key, source, agents }
+ */
+function describeItem(item, source, data) {
+  const name = (typeof item === 'string' ? item : item?.name || '').trim();
+  const key = typeof item === 'object' && item ? item.key || null : null;
+  const kind = source === 'medication' ? 'medication' : 'supplement';
+
+  return { name, key, source, agents: identifyAgents(name, { key, kind }, data) };
+}
+
+/**
+ * Interactions and nutrient duplications between two items
+ */
+function checkPair(a, b, data) {
+  const findings = [];
+
+  for (const interaction of data.interactions) {
+    const [first, second] = interaction.agents;
+    for (const [x, y] of [[a, b], [b, a]]) {
+      const agentX = x.agents.find(id => first.includes(id));
+      const agentY = y.agents.find(id => second.includes(id));
+      if (agentX && agentY) {
+        findings.push({
+          id: interaction.id,
+          type: 'interaction',
+          severity: interaction.severity,
+          items: [x, y].map(({ name, source }) => ({ name, source })),
+          agents: [agentX, agentY],
+          description: interaction.description,
+          management: interaction.management
+        });
+        break;
+      }
+    }
+  }
+
+  if (a.source !== 'medication' && b.source !== 'medication') {
+    for (const id of a.agents.filter(agent => b.agents.includes(agent) && data.agents[agent].duplicate)) {
+      findings.push({
+        id: `duplicate-${id}`,
+        type: 'duplication',
+        severity: data.agents[id].duplicate,
+        items: [a, b].map(({ name, source }) => ({ name, source })),
+        agents: [id, id],
+        description: `${a.name} and ${b.name} both provide ${id.replace(/-/g, ' ')}, so the combined dose may be higher than intended.`,
+        management: 'Check the combined daily amount, or keep just one of them.'
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Check the current stack, proposed additions and medications against each
+ * other. Medication pairs are not checked. Returns the recognised items, the
+ * interactions found (most severe first) and the highest severity, if any.
+ */
+export function checkInteractions({ current = [], proposed = [], medications = [] } = {}, { data = loadInteractionData() } = {}) {
+  const items = [
+    ...current.map(item => describeItem(item, 'current', data)),
+    ...proposed.map(item => describeItem(item, 'proposed', data)),
+    ...medications.map(item => describeItem(item, 'medication', data))
+  ].filter(item => item.name);
+
+  const interactions = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (items[i].source === 'medication' && items[j].source === 'medication') continue;
+      interactions.push(...checkPair(items[i], items[j], data));
+    }
+  }
+  interactions.sort((a, b) => INTERACTION_SEVERITIES.indexOf(a.severity) - INTERACTION_SEVERITIES.indexOf(b.severity));
+
+  return {
+    items,
+    interactions,
+    highestSeverity: interactions.length > 0 ? interactions[0].severity : null
+  };
+}
+
+/**
+ * Screen recommended supplements against what the user already takes.
+ * A recommendation is dropped when it has a major interaction with a current
+ * supplement or medication, or duplicates a nutrient already in the stack;
+ * moderate interactions lower its priority and minor ones only add a warning.
+ * Returns the remaining supplements and a safety note per exclusion or warning.
+ */
+export function applyInteractionScreen(supplements, { current = [], medications = [] } = {}, { data = loadInteractionData() } = {}) {
+  const safetyNotes = [];
+  const screened = [];
+
+  for (const supplement of supplements) {
+    const { interactions } = checkInteractions({ current, proposed: [supplement], medications }, { data });
+    const relevant = interactions.filter(finding => finding.items.some(item => item.source === 'proposed'));
+
+    const notes = relevant.map(finding => {
+      const other = finding.items.find(item => item.source !== 'proposed');
+      const excluded = finding.severity === 'major' || finding.type === 'duplication';
+      return {
+        supplement: supplement.name,
+        action: excluded ? 'excluded' : (finding.severity === 'moderate' ? 'downgraded' : 'warned'),
+        contraindication: finding.id,
+        field: other.source === 'medication' ? 'medications' : 'currentSupplements',
+        matched: other.name,
+        reason: finding.type === 'duplication'
+          ? `You already take ${other.name}, which also provides ${finding.agents[0].replace(/-/g, ' ')}.`
+          : `${finding.description} ${finding.management}`
+      };
+    });
+
+    const exclusion = notes.find(note => note.action === 'excluded');
+    if (exclusion) {
+      safetyNotes.push(exclusion);
+      continue;
+    }
+    safetyNotes.push(...notes);
+
+    if (notes.length > 0) {
+      const flagged = { ...supplement };
+      if (notes.some(note => note.action === 'downgraded')) {
+        flagged.priority = LOWER_PRIORITY[flagged.priority] || 'low';
+      }
+      flagged.interactionWarnings = notes.map(note => note.reason);
+      screened.push(flagged);
+    } else {
+      screened.push(supplement);
+    }
+  }
+
+  return { supplements: screened, safetyNotes };
+}
@@ -0,0 +1,179 @@
+/**
+ * Supplement Safety Filter
+ *
+ * Checks recommended supplements against a user's existing conditions,
+ * medications and allergies (from the questionnaire) and latest lab results.
+ * Catalog entries list their contraindications in plain language
+ * (`contraindicatedFor`); supplements/contraindications.json says which terms
+ * trigger each one and whether the supplement is excluded or kept with a
+ * caution at lower priority.
+ *
+ * Every exclusion or downgrade is reported as a safety note so users (and
+ * support staff) can see why a supplement was not recommended.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hasBloodworkStatus } from './bloodwork.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CONTRAINDICATIONS_PATH = path.join(__dirname, 'supplements', 'contraindications.json');
+
+const SAFETY_ACTIONS = ['exclude', 'caution'];
+
+const LOWER_PRIORITY = { high: 'medium', medium: 'low', low: 'low' };
+
+// Cache of loaded rule files keyed by path
+const rulesCache = new Map();
+
+/**
+ * Load the contraindication rules, re-reading the file when it changes
+ */
+export function loadContraindicationRules(filePath = DEFAULT_CONTRAINDICATIONS_PATH) {
+  const modified = fs.statSync(filePath).mtimeMs;
+  const cached = rulesCache.get(filePath);
+  if (cached && cached.modified === modified) {
+    return cached.rules;
+  }
+
+  const { rules } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  for (const rule of rules) {
+    if (!rule.contraindication || !SAFETY_ACTIONS.includes(rule.action)) {
+      throw new Error(`Invalid contraindication rule "${rule.contraindication}" in ${path.basename(filePath)}`);
+    }
+  }
+
+  rulesCache.set(filePath, { modified, rules });
+  return rules;
+}
+
+/**
+ * Read a questionnaire answer that may be a list or a comma-separated string
+ */
+function toList(answer) {
+  if (!answer) return [];
+  const values = Array.isArray(answer) ? answer : answer.toString().split(/[,;\n]/);
+  return values
+    .map(value => (typeof value === 'object' && value !== null ? value.name : value))
+    .filter(Boolean)
+    .map(value => value.toString().trim())
+    .filter(value => value && !/^(none|n\/a|no)$/i.test(value));
+}
+
+/**
+ * The parts of a user's profile that contraindications are checked against
+ */
+export function getSafetyProfile(questionnaire, bloodwork = {}) {
+  const answers = questionnaire || {};
+  return {
+    conditions: toList(answers.existingConditions),
+    medications: toList(answers.medications),
+    allergies: toList(answers.allergies),
+    bloodwork
+  };
+}
+
+/**
+ * Find the first user answer containing one of the terms (at a word start)
+ */
+function findTerm(answers, terms = []) {
+  for (const term of terms) {
+    const pattern = new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i');
+    const answer = answers.find(value => pattern.test(value));
+    if (answer) return answer;
+  }
+  return null;
+}
+
+/**
+ * Check one contraindication label against the profile. Returns the match
+ * ({ rule, field, matched }) or null.
+ */
+function checkContraindication(supplement, label, profile, rules) {
+  const applicable = rules.filter(rule =>
+    rule.contraindication.toLowerCase() === label.toLowerCase() &&
+    (!rule.supplements || rule.supplements.includes(supplement.key))
+  );
+
+  // Labels without a rule are matched literally against existing conditions
+  if (applicable.length === 0) {
+    const matched = findTerm(profile.conditions, [label]);
+    return matched
+      ? { rule: { contraindication: label, action: 'exclude', reason: `${supplement.name} is not recommended with ${label}.` }, field: 'existingConditions', matched }
+      : null;
+  }
+
+  for (const rule of applicable) {
+    const checks = [
+      ['existingConditions', findTerm(profile.conditions, rule.conditions)],
+      ['medications', findTerm(profile.medications, rule.medications)],
+      ['allergies', findTerm(profile.allergies, rule.allergies)]
+    ];
+    const hit = checks.find(([, matched]) => matched);
+    if (hit) {
+      return { rule, field: hit[0], matched: hit[1] };
+    }
+
+    const lab = (rule.labs || []).find(({ analyte, status }) => hasBloodworkStatus(profile.bloodwork, analyte, status));
+    if (lab) {
+      const result = profile.bloodwork[lab.analyte];
+      return { rule, field: 'bloodwork', matched: `${result.name} ${result.value} ${result.unit} (${result.status})` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove or downgrade supplements that conflict with the user's profile.
+ * Returns the remaining supplements and a safety note per exclusion or caution.
+ */
+export function applySafetyFilter(supplements, profile, { rules = loadContraindicationRules() } = {}) {
+  const safetyNotes = [];
+  const safe = [];
+
+  for (const supplement of supplements) {
+    // An allergy to the supplement itself, or to one of its forms
+    const allergy = findTerm(profile.allergies, [supplement.name, supplement.key.replace(/-/g, ' ')]);
+    if (allergy) {
+      safetyNotes.push({
+        supplement: supplement.name,
+        action: 'excluded',
+        contraindication: 'allergy',
+        field: 'allergies',
+        matched: allergy,
+        reason: `You listed an allergy to ${allergy}.`
+      });
+      continue;
+    }
+
+    const matches = (supplement.contraindicatedFor || [])
+      .map(label => checkContraindication(supplement, label, profile, rules))
+      .filter(Boolean);
+    const exclusion = matches.find(match => match.rule.action === 'exclude');
+
+    const notes = (exclusion ? [exclusion] : matches).map(match => ({
+      supplement: supplement.name,
+      action: match.rule.action === 'exclude' ? 'excluded' : 'downgraded',
+      contraindication: match.rule.contraindication,
+      field: match.field,
+      matched: match.matched,
+      reason: match.rule.reason
+    }));
+    safetyNotes.push(...notes);
+
+    if (exclusion) continue;
+
+    if (matches.length > 0) {
+      const cautioned = { ...supplement };
+      cautioned.priority = LOWER_PRIORITY[cautioned.priority] || 'low';
+      cautioned.safetyWarnings = notes.map(note => note.reason);
+      safe.push(cautioned);
+    } else {
+      safe.push(supplement);
+    }
+  }
+
+  return { supplements: safe, safetyNotes };
+}
@@ -0,0 +1,257 @@
+/**
+ * Supplement Schedule Builder
+ *
+ * Turns a list of supplements into a daily plan of time slots (before
+ * breakfast, with meals, before bed) using each supplement's free-text timing,
+ * and exports the plan as an iCalendar file of daily reminders.
+ *
+ * Placement rules live in supplements/schedule-rules.json: which timing
+ * phrases map to which slots, which ingredients are fat-soluble and must be
+ * taken with food, and which ingredients need to be kept apart (zinc and iron).
+ * Ingredients are recognised with the agent definitions of the interaction
+ * checker, so "Ferrous Sulfate" and "Iron Bisglycinate" are both iron.
+ * Supplements with the fewest acceptable slots are placed first; when a
+ * supplement cannot be kept apart from another, it goes in its preferred slot
+ * and the conflict is reported in the schedule notes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { identifyAgents, loadInteractionData } from './supplement-interactions.js';
+import { parseDosage } from './supplement-dosage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SCHEDULE_RULES_PATH = path.join(__dirname, 'supplements', 'schedule-rules.json');
+
+// Cache of loaded rule files keyed by path
+const scheduleRulesCache = new Map();
+
+/**
+ * Load the schedule rules, re-reading the file when it changes
+ */
+export function loadScheduleRules(filePath = DEFAULT_SCHEDULE_RULES_PATH) {
+  const modified = fs.statSync(filePath).mtimeMs;
+  const cached = scheduleRulesCache.get(filePath);
+  if (cached && cached.modified === modified) {
+    return cached.rules;
+  }
+
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const slotIds = rules.slots.map(slot => slot.id);
+  for (const slot of rules.slots) {
+    if (!/^\d{2}:\d{2}$/.test(slot.time)) {
+      throw new Error(`Schedule slot "${slot.id}" in ${path.basename(filePath)} needs a time as HH:MM`);
+    }
+  }
+  for (const slots of [...rules.timing.map(rule => rule.slots), rules.defaultSlots]) {
+    const unknown = slots.find(id => !slotIds.includes(id));
+    if (unknown) {
+      throw new Error(`Unknown schedule slot "${unknown}" in ${path.basename(filePath)}`);
+    }
+  }
+
+  scheduleRulesCache.set(filePath, { modified, rules });
+  return rules;
+}
+
+function slotHours(slot) {
+  const [hours, minutes] = slot.time.split(':').map(Number);
+  return hours + minutes / 60;
+}
+
+/**
+ * Preferred slots for a timing string: { slots, divided, matched }
+ */
+function getTimingSlots(timing, rules) {
+  const text = (timing || '').toLowerCase();
+  const rule = rules.timing.find(candidate =>
+    candidate.match.some(phrase => new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(text))
+  );
+  return rule
+    ? { slots: rule.slots, divided: !!rule.divided, matched: true }
+    : { slots: rules.defaultSlots, divided: false, matched: false };
+}
+
+/**
+ * The separation rule keeping two agent lists apart, or null
+ */
+function findSeparation(agentsA, agentsB, rules) {
+  return rules.separations.find(({ agents: [first, second] }) =>
+    (agentsA.some(id => first.includes(id)) && agentsB.some(id => second.includes(id))) ||
+    (agentsB.some(id => first.includes(id)) && agentsA.some(id => second.includes(id)))
+  ) || null;
+}
+
+/**
+ * Build a daily schedule for supplements ({ name, key, dosage, timing, source }).
+ * Returns { slots: [{ id, label, time, withFood, items }], notes }.
+ */
+export function buildSupplementSchedule(supplements, { rules = loadScheduleRules(), agentData = loadInteractionData() } = {}) {
+  const slotsById = new Map(rules.slots.map(slot => [slot.id, { ...slot, items: [] }]));
+  const foodSlots = rules.slots.filter(slot => slot.withFood).map(slot => slot.id);
+  const notes = [];
+
+  const plans = supplements.map(supplement => {
+    const agents = identifyAgents(supplement.name, { key: supplement.key }, agentData);
+    const timing = getTimingSlots(supplement.timing, rules);
+    let candidates = [...timing.slots];
+
+    if (!timing.matched) {
+      notes.push({
+        supplement: supplement.name,
+        message: supplement.timing
+          ? `"${supplement.timing}" isn't a timing the planner recognises, so ${supplement.name} is scheduled with a meal.`
+          : `No timing guidance for ${supplement.name}, so it is scheduled with a meal.`
+      });
+    }
+
+    // Fat-soluble vitamins need a meal to be absorbed well
+    const fatSoluble = agents.some(id => rules.fatSoluble.includes(id));
+    if (fatSoluble && candidates.some(id => !foodSlots.includes(id))) {
+      const withFood = candidates.filter(id => foodSlots.includes(id));
+      candidates = withFood.length > 0 ? withFood : [...foodSlots].reverse();
+      notes.push({
+        supplement: supplement.name,
+        message: `${supplement.name} is fat-soluble, so it is scheduled with a meal to be absorbed properly.`
+      });
+    }
+
+    // Dosages taken more than once a day are spread across meals
+    const { dosesPerDay } = parseDosage(supplement.dosage);
+    const doses = timing.divided ? candidates.length : Math.max(1, Math.min(Math.round(dosesPerDay), foodSlots.length));
+    if (doses > 1 && !timing.divided) {
+      candidates = foodSlots.filter((id, index) => index === 0 || index === foodSlots.length - 1 || doses > 2);
+    }
+
+    return { supplement, agents, candidates, doses };
+  });
+
+  // Place the most constrained supplements first
+  const order = [...plans].sort((a, b) => (a.candidates.length - a.doses) - (b.candidates.length - b.doses));
+  const placed = [];
+
+  for (const plan of order) {
+    const conflictsIn = slotId => {
+      const slot = slotsById.get(slotId);
+      return placed
+        .filter(other => other.plan !== plan)
+        .map(other => ({ other, rule: findSeparation(plan.agents, other.plan.agents, rules) }))
+        .filter(({ other, rule }) => rule && Math.abs(slotHours(slot) - slotHours(slotsById.get(other.slotId))) < rule.hours);
+    };
+
+    let chosen;
+    if (plan.doses > 1) {
+      chosen = plan.candidates.slice(0, plan.doses);
+    } else {
+      const free = plan.candidates.find(id => conflictsIn(id).length === 0);
+      if (free && free !== plan.candidates[0]) {
+        const [{ other, rule }] = conflictsIn(plan.candidates[0]);
+        notes.push({
+          supplement: plan.supplement.name,
+          message: `${plan.supplement.name} is moved to the "${slotsById.get(free).label}" slot to keep it apart from ${other.plan.supplement.name}. ${rule.reason}`
+        });
+      }
+      chosen = [free || plan.candidates[0]];
+    }
+
+    for (const slotId of chosen) {
+      for (const { other, rule } of conflictsIn(slotId)) {
+        notes.push({
+          supplement: plan.supplement.name,
+          message: `${plan.supplement.name} and ${other.plan.supplement.name} should be taken at least ${rule.hours} hours apart, but their timing leaves no room. ${rule.reason}`
+        });
+      }
+      placed.push({ plan, slotId });
+      slotsById.get(slotId).items.push({
+        name: plan.supplement.name,
+        key: plan.supplement.key || null,
+        dosage: plan.supplement.dosage || null,
+        timing: plan.supplement.timing || null,
+        source: plan.supplement.source || null
+      });
+    }
+  }
+
+  return {
+    slots: rules.slots.map(slot => slotsById.get(slot.id)),
+    notes
+  };
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeIcsText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets as iCalendar requires
+ */
+function foldIcsLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatIcsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Export a schedule as an iCalendar file with one daily recurring reminder per
+ * slot that has supplements. Times are floating (the device's local time).
+ */
+export function buildScheduleCalendar(schedule, { userId, start = new Date(), now = new Date() } = {}) {
+  const startDate = formatIcsDate(start);
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Decent4//Supplement Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Supplement schedule'
+  ];
+
+  for (const slot of schedule.slots.filter(s => s.items.length > 0)) {
+    const summary = `${slot.label}: ${slot.items.map(item => item.name).join(', ')}`;
+    const description = slot.items
+      .map(item => [item.name, item.dosage, item.timing].filter(Boolean).join(' - '))
+      .join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:supplement-schedule-${userId}-${slot.id}@decent4`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${startDate}T${slot.time.replace(':', '')}00`,
+      'DURATION:PT15M',
+      'RRULE:FREQ=DAILY',
+      `SUMMARY:${escapeIcsText(summary)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(summary)}`,
+      'TRIGGER:PT0M',
+      'END:VALARM',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
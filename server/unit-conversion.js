@@ -0,0 +1,198 @@
+/**
+ * Unit Conversion for Health Metrics
+ *
+ * Metric values arrive in whatever unit the source used ('hr' from one seeder,
+ * 'hours' from another, pounds from US users). Values are normalized to the
+ * registry's canonical unit on write, and converted to the user's preferred
+ * unit system (metric or imperial) on read. Lab-style units such as mg/dL and
+ * mmol/L need an analyte-specific factor, which is looked up by metric type.
+ */
+
+import { getMetricType } from './metric-registry.js';
+import { parseBloodPressure, formatBloodPressure } from './blood-pressure.js';
+
+// Spellings seen in the data, mapped to the canonical unit symbol
+const UNIT_ALIASES = {
+  'hours': 'hours', 'hour': 'hours', 'hrs': 'hours', 'hr': 'hours', 'h': 'hours',
+  'minutes': 'minutes', 'minute': 'minutes', 'mins': 'minutes', 'min': 'minutes',
+  'kg': 'kg', 'kgs': 'kg', 'kilograms': 'kg',
+  'lb': 'lb', 'lbs': 'lb', 'pounds': 'lb',
+  'l': 'L', 'liters': 'L', 'litres': 'L',
+  'ml': 'mL', 'milliliters': 'mL', 'millilitres': 'mL',
+  'fl oz': 'fl oz', 'oz': 'fl oz', 'floz': 'fl oz',
+  'cm': 'cm', 'in': 'in', 'inches': 'in', 'ft': 'ft', 'feet': 'ft', 'm': 'm',
+  '°c': '°C', 'c': '°C', 'degc': '°C', 'celsius': '°C',
+  '°f': '°F', 'f': '°F', 'degf': '°F', 'fahrenheit': '°F',
+  'mg/dl': 'mg/dL', 'mmol/l': 'mmol/L',
+  'score': 'score', 'scale': 'score', '/10': 'score',
+  'days/week': 'days/week', 'x/week': 'days/week', 'times/week': 'days/week',
+  'bpm': 'bpm', 'count/min': 'bpm', 'mmhg': 'mmHg', 'ms': 'ms', '%': '%',
+  'breaths/min': 'breaths/min', 'ml/kg/min': 'mL/kg/min', 'ml/min·kg': 'mL/kg/min',
+  'steps': 'steps', 'kcal': 'kcal', 'g': 'g'
+};
+
+// Linear conversions: each unit's size in terms of the dimension's base unit
+const LINEAR_UNITS = {
+  mass: { kg: 1, lb: 0.45359237 },
+  volume: { L: 1, mL: 0.001, 'fl oz': 0.0295735 },
+  duration: { hours: 1, minutes: 1 / 60 },
+  length: { cm: 1, m: 100, in: 2.54, ft: 30.48 }
+};
+
+// mg/dL per mmol/L for analytes reported in either unit
+const MOLAR_FACTORS = {
+  'blood-glucose': 18.016,
+  'total-cholesterol': 38.67,
+  'ldl-cholesterol': 38.67,
+  'hdl-cholesterol': 38.67,
+  'triglycerides': 88.57
+};
+
+// Unit each system prefers for a canonical unit; anything not listed is shared
+const PREFERRED_UNITS = {
+  metric: { lb: 'kg', 'fl oz': 'L', '°F': '°C', in: 'cm' },
+  imperial: { kg: 'lb', L: 'fl oz', '°C': '°F', cm: 'in' }
+};
+
+/**
+ * Canonical symbol for a unit spelling, or the trimmed input if unknown
+ */
+export function normalizeUnit(unit) {
+  if (unit === null || unit === undefined || unit === '') return null;
+  const trimmed = unit.toString().trim();
+  return UNIT_ALIASES[trimmed.toLowerCase()] || trimmed;
+}
+
+function findLinearDimension(unit) {
+  return Object.values(LINEAR_UNITS).find(dimension => dimension[unit] !== undefined) || null;
+}
+
+/**
+ * Convert a numeric value between two units. `metricType` is only needed for
+ * analyte-specific conversions such as mg/dL to mmol/L.
+ */
+export function convertValue(value, fromUnit, toUnit, { metricType } = {}) {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (!from || !to || from === to) return value;
+
+  // Temperature is affine rather than linear
+  if (from === '°C' && to === '°F') return value * 9 / 5 + 32;
+  if (from === '°F' && to === '°C') return (value - 32) * 5 / 9;
+
+  // Concentrations depend on the molar mass of the analyte
+  if ((from === 'mg/dL' && to === 'mmol/L') || (from === 'mmol/L' && to === 'mg/dL')) {
+    const metric = getMetricType(metricType);
+    const factor = metric ? MOLAR_FACTORS[metric.key] : undefined;
+    if (!factor) {
+      throw new Error(`No mg/dL to mmol/L factor for "${metricType}"`);
+    }
+    return from === 'mg/dL' ? value / factor : value * factor;
+  }
+
+  const dimension = findLinearDimension(from);
+  if (!dimension || dimension[to] === undefined) {
+    throw new Error(`Cannot convert from ${from} to ${to}`);
+  }
+  return value * dimension[from] / dimension[to];
+}
+
+/**
+ * Round a converted value to a sensible precision for display and storage
+ */
+export function roundValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalize an incoming metric value to the registry's canonical unit.
+ * Returns { value, unit }; values of unregistered metrics pass through and
+ * blood pressure readings are rewritten as "systolic/diastolic". Integer
+ * metrics are rounded, and values off their scale or outside the metric's
+ * validRange are rejected.
+ */
+export function normalizeMetricValue(type, value, unit) {
+  const metric = getMetricType(type);
+  const normalizedUnit = normalizeUnit(unit);
+
+  if (!metric) {
+    return { value, unit: normalizedUnit };
+  }
+
+  if (metric.valueType === 'compound') {
+    if (normalizedUnit && !metric.allowedUnits.includes(normalizedUnit)) {
+      throw new Error(`Unit "${unit}" is not allowed for ${metric.name} (allowed: ${metric.allowedUnits.join(', ')})`);
+    }
+    const reading = parseBloodPressure(value);
+    if (!reading) {
+      throw new Error(`Value "${typeof value === 'object' ? JSON.stringify(value) : value}" for ${metric.name} is not a systolic/diastolic reading`);
+    }
+    return { value: formatBloodPressure(reading), unit: metric.defaultUnit };
+  }
+
+  const numeric = parseFloat(value.toString());
+  if (Number.isNaN(numeric)) {
+    throw new Error(`Value "${value}" for ${metric.name} is not a number`);
+  }
+
+  const from = normalizedUnit || metric.defaultUnit;
+  if (!metric.allowedUnits.includes(from)) {
+    throw new Error(`Unit "${unit}" is not allowed for ${metric.name} (allowed: ${metric.allowedUnits.join(', ')})`);
+  }
+
+  let converted = convertValue(numeric, from, metric.defaultUnit, { metricType: metric.key });
+  if (metric.valueType === 'integer') {
+    converted = Math.round(converted);
+  }
+
+  const range = metric.validRange;
+  if (metric.valueType === 'scale' && (!Number.isInteger(converted) || converted < range.min || converted > range.max)) {
+    throw new Error(`Value "${value}" for ${metric.name} is not a whole number on its ${range.min}-${range.max} scale`);
+  }
+  if (range && (converted < range.min || converted > range.max)) {
+    throw new Error(`Value "${value}" for ${metric.name} is outside the possible range of ${range.min}-${range.max} ${metric.defaultUnit}`);
+  }
+
+  return {
+    value: roundValue(converted),
+    unit: metric.defaultUnit
+  };
+}
+
+/**
+ * Determine a user's preferred unit system from their questionnaire
+ */
+export function getUnitSystem(questionnaire) {
+  if (!questionnaire) return 'metric';
+  if (questionnaire.unitSystem === 'imperial' || questionnaire.unitSystem === 'metric') {
+    return questionnaire.unitSystem;
+  }
+
+  const weightUnit = normalizeUnit(questionnaire.weightUnit);
+  const heightUnit = normalizeUnit(questionnaire.heightUnit);
+  return weightUnit === 'lb' || heightUnit === 'in' || heightUnit === 'ft' ? 'imperial' : 'metric';
+}
+
+/**
+ * Convert a stored metric value to the unit preferred by the given unit system.
+ * Returns { value, unit }; non-numeric values are returned unchanged.
+ */
+export function toPreferredUnit(type, value, unit, unitSystem = 'metric') {
+  const metric = getMetricType(type);
+  const from = normalizeUnit(unit) || (metric ? metric.defaultUnit : null);
+  const numeric = parseFloat(value === null || value === undefined ? '' : value.toString());
+
+  if (!from || Number.isNaN(numeric) || (metric && metric.valueType === 'compound')) {
+    return { value, unit: from };
+  }
+
+  const preferred = (PREFERRED_UNITS[unitSystem] || {})[from];
+  if (!preferred || (metric && !metric.allowedUnits.includes(preferred))) {
+    return { value: numeric, unit: from };
+  }
+
+  return {
+    value: roundValue(convertValue(numeric, from, preferred, { metricType: type })),
+    unit: preferred
+  };
+}
@@ -0,0 +1,369 @@
+/**
+ * Weekly Health Digest
+ *
+ * Once a week, users who opted in get an email summing up their last seven
+ * days: how each metric's average moved against the week before, progress on
+ * their goals, supplement adherence, and recommendations that are new or were
+ * raised in priority since last week (from the recommendation history).
+ *
+ * Digests are only sent to users with `enabled` set in digest_preferences,
+ * at most once every six days, and are skipped when there is nothing to
+ * report. Delivery goes through a mail transport (see mail-transport.js).
+ */
+
+import { getMetricType } from './metric-registry.js';
+import { toMetricPoint } from './metric-analysis.js';
+import { listGoals } from './health-goals.js';
+import { loadAdherenceLog, summarizeAdherence } from './supplement-adherence.js';
+import { diffSnapshots, findSnapshotBefore } from './recommendation-history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Digests are not sent more often than this, even when the job runs again
+const MIN_DAYS_BETWEEN_DIGESTS = 6;
+
+// Relative change in a weekly average that is worth mentioning
+const NOTABLE_CHANGE = 0.05;
+
+// History sources whose recommendations appear in the digest
+const DIGEST_SOURCES = { health: 'Health', supplements: 'Supplement' };
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+export const DEFAULT_DIGEST_FROM = 'Decent4 <digest@decent4.local>';
+
+/**
+ * Raised for digest preferences that cannot be saved as submitted
+ */
+export class DigestPreferenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DigestPreferenceError';
+  }
+}
+
+/**
+ * Create the digest preference table if it does not exist yet
+ */
+export async function ensureDigestTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS digest_preferences (
+      user_id INTEGER PRIMARY KEY,
+      enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      email TEXT,
+      last_sent_at TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+function toPreferences(row) {
+  return {
+    enabled: row ? row.enabled : false,
+    email: row ? row.email || null : null,
+    lastSentAt: row ? row.last_sent_at || null : null
+  };
+}
+
+/**
+ * A user's digest preferences; users are opted out until they opt in
+ */
+export async function getDigestPreferences(pool, userId) {
+  await ensureDigestTables(pool);
+  const { rows } = await pool.query('SELECT * FROM digest_preferences WHERE user_id = $1', [userId]);
+  return toPreferences(rows[0]);
+}
+
+/**
+ * Opt a user in or out, optionally sending to an address other than their
+ * account email
+ */
+export async function setDigestPreferences(pool, userId, { enabled, email }) {
+  if (typeof enabled !== 'boolean') {
+    throw new DigestPreferenceError('enabled must be true or false');
+  }
+  const address = email ? email.toString().trim() : null;
+  if (address && !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(address)) {
+    throw new DigestPreferenceError(`"${email}" is not a valid email address`);
+  }
+
+  await ensureDigestTables(pool);
+  const { rows } = await pool.query(
+    `INSERT INTO digest_preferences (user_id, enabled, email)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id) DO UPDATE SET enabled = EXCLUDED.enabled, email = EXCLUDED.email, updated_at = NOW()
+     RETURNING *`,
+    [userId, enabled, address]
+  );
+  return toPreferences(rows[0]);
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Average of each metric this week against the week before. A change counts
+ * as better or worse when the metric has a preferred direction.
+ */
+export function summarizeMetricChanges(metrics, { now = new Date() } = {}) {
+  const weekStart = now.getTime() - 7 * DAY_MS;
+  const previousStart = weekStart - 7 * DAY_MS;
+  const weeks = new Map();
+
+  for (const metric of metrics) {
+    const metricType = getMetricType(metric.type);
+    const point = toMetricPoint(metric);
+    if (!metricType || !point || point.time === null || point.time < previousStart || point.time > now.getTime()) continue;
+
+    if (!weeks.has(metricType)) weeks.set(metricType, { current: [], previous: [] });
+    weeks.get(metricType)[point.time >= weekStart ? 'current' : 'previous'].push(point.value);
+  }
+
+  const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+  return [...weeks.entries()]
+    .filter(([, week]) => week.current.length > 0)
+    .map(([metricType, week]) => {
+      const thisWeek = average(week.current);
+      const lastWeek = week.previous.length > 0 ? average(week.previous) : null;
+      const change = lastWeek !== null ? thisWeek - lastWeek : null;
+
+      let assessment = 'new';
+      if (change !== null) {
+        const notable = Math.abs(change) / (Math.abs(lastWeek) || 1) >= NOTABLE_CHANGE;
+        if (!notable) {
+          assessment = 'steady';
+        } else if (!metricType.improvement) {
+          assessment = change > 0 ? 'up' : 'down';
+        } else {
+          assessment = (change > 0) === (metricType.improvement === 'higher') ? 'better' : 'worse';
+        }
+      }
+
+      return {
+        metric: metricType.name,
+        unit: metricType.defaultUnit,
+        thisWeek: round(thisWeek),
+        lastWeek: lastWeek !== null ? round(lastWeek) : null,
+        change: change !== null ? round(change) : null,
+        readings: week.current.length,
+        assessment
+      };
+    })
+    .sort((a, b) => a.metric.localeCompare(b.metric));
+}
+
+/**
+ * Recommendations added or raised in priority between the snapshot in effect
+ * a week ago and the latest one, per history source
+ */
+async function loadRecommendationChanges(pool, userId, now) {
+  const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+  const changes = [];
+
+  for (const [source, label] of Object.entries(DIGEST_SOURCES)) {
+    const latest = await findSnapshotBefore(pool, userId, source, now);
+    if (!latest || new Date(latest.createdAt) < weekAgo) continue;
+
+    const previous = await findSnapshotBefore(pool, userId, source, weekAgo);
+    const describe = (rec, change) => ({ kind: label, title: rec.title || rec.name, priority: rec.priority || null, change });
+
+    if (!previous) {
+      changes.push(...latest.output.map(rec => describe(rec, 'new')));
+      continue;
+    }
+    const diff = diffSnapshots(previous, latest);
+    changes.push(...diff.added.map(rec => describe(rec, 'new')));
+    diff.changed
+      .filter(rec => rec.fields.some(field =>
+        field.field === 'priority' && (PRIORITY_RANK[field.to] ?? 0) > (PRIORITY_RANK[field.from] ?? 0)
+      ))
+      .forEach(rec => changes.push(describe(rec, 'escalated')));
+  }
+  return changes;
+}
+
+/**
+ * Gather everything a user's digest covers for the week ending `now`
+ */
+export async function buildWeeklyDigest(pool, userId, { now = new Date() } = {}) {
+  const since = new Date(now.getTime() - 14 * DAY_MS);
+  const [{ rows: users }, { rows: metrics }, goals, adherenceLog, recommendations] = await Promise.all([
+    pool.query('SELECT id, username, email FROM users WHERE id = $1', [userId]),
+    pool.query('SELECT id, type, value, unit, date FROM health_metrics WHERE user_id = $1 AND date >= $2 ORDER BY date', [userId, since]),
+    listGoals(pool, userId, { status: 'active', now }),
+    loadAdherenceLog(pool, userId, { days: 7, now }),
+    loadRecommendationChanges(pool, userId, now)
+  ]);
+
+  const adherence = summarizeAdherence(adherenceLog, { days: 7, now });
+  const digest = {
+    userId,
+    name: users[0]?.username || null,
+    weekEnding: now.toISOString().slice(0, 10),
+    metrics: summarizeMetricChanges(metrics, { now }),
+    goals: goals.map(goal => ({
+      title: goal.title,
+      percentComplete: goal.progress.percentComplete,
+      achieved: goal.progress.achieved,
+      eta: goal.progress.eta,
+      deadline: goal.deadline,
+      onTrack: goal.progress.onTrack
+    })),
+    adherence: adherence.loggedDoses > 0
+      ? { percentage: adherence.percentage, taken: adherence.taken, loggedDoses: adherence.loggedDoses, currentStreak: adherence.currentStreak }
+      : null,
+    recommendations
+  };
+  digest.isEmpty = digest.metrics.length === 0 && digest.goals.length === 0 && !digest.adherence && recommendations.length === 0;
+  return digest;
+}
+
+function formatChange(entry) {
+  const unit = entry.unit && entry.unit !== 'score' ? ` ${entry.unit}` : '';
+  if (entry.lastWeek === null) return `${entry.thisWeek}${unit} (no readings the week before)`;
+  const sign = entry.change > 0 ? '+' : '';
+  return `${entry.thisWeek}${unit}, ${sign}${entry.change} vs ${entry.lastWeek} last week (${entry.assessment})`;
+}
+
+function formatGoal(goal) {
+  if (goal.achieved) return `${goal.title}: reached`;
+  const eta = goal.eta ? `, on course for ${goal.eta}` : ', no ETA at the current pace';
+  const deadline = goal.deadline ? (goal.onTrack ? ` (ahead of your ${goal.deadline} deadline)` : ` (behind your ${goal.deadline} deadline)`) : '';
+  return `${goal.title}: ${goal.percentComplete}%${eta}${deadline}`;
+}
+
+function formatAdherence(adherence) {
+  return `You took ${adherence.taken} of ${adherence.loggedDoses} logged doses (${adherence.percentage}%). Current streak: ${adherence.currentStreak} day${adherence.currentStreak === 1 ? '' : 's'}.`;
+}
+
+function formatRecommendation(rec) {
+  return `${rec.kind}: ${rec.title}${rec.change === 'escalated' ? ` - now ${rec.priority} priority` : ' (new)'}`;
+}
+
+/**
+ * The digest's sections as [heading, lines] pairs, leaving out empty ones
+ */
+function digestSections(digest) {
+  return [
+    ['Your metrics this week', digest.metrics.map(entry => `${entry.metric}: ${formatChange(entry)}`)],
+    ['Goals', digest.goals.map(formatGoal)],
+    ['Supplement adherence', digest.adherence ? [formatAdherence(digest.adherence)] : []],
+    ['New and updated recommendations', digest.recommendations.map(formatRecommendation)]
+  ].filter(([, lines]) => lines.length > 0);
+}
+
+export function renderDigestSubject(digest) {
+  return `Your weekly health digest for the week ending ${digest.weekEnding}`;
+}
+
+/**
+ * Plain-text email body
+ */
+export function renderDigestText(digest) {
+  const lines = [`Hi ${digest.name || 'there'},`, '', 'Here is what changed in your health data over the last seven days.'];
+  for (const [heading, items] of digestSections(digest)) {
+    lines.push('', heading, '-'.repeat(heading.length), ...items.map(item => `- ${item}`));
+  }
+  lines.push('', 'Open the app for the details. You can turn these emails off in your digest preferences.');
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+  return text.toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML email body, with inline styles since mail clients drop stylesheets
+ */
+export function renderDigestHtml(digest) {
+  const sections = digestSections(digest).map(([heading, items]) => `
+    <h2 style="font-size:16px;margin:24px 0 8px;">${escapeHtml(heading)}</h2>
+    <ul style="padding-left:20px;margin:0;">
+      ${items.map(item => `<li style="margin:4px 0;">${escapeHtml(item)}</li>`).join('\n      ')}
+    </ul>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(renderDigestSubject(digest))}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#1f2933;max-width:600px;margin:0 auto;padding:16px;">
+  <p>Hi ${escapeHtml(digest.name || 'there')},</p>
+  <p>Here is what changed in your health data over the last seven days.</p>${sections}
+  <p style="margin-top:24px;color:#616e7c;font-size:12px;">Open the app for the details. You can turn these emails off in your digest preferences.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build and send digests to every opted-in user who hasn't had one in the
+ * last six days (all opted-in users with `force`). Returns the users sent to,
+ * skipped and failed.
+ */
+export async function runWeeklyDigests(pool, { transport, from = DEFAULT_DIGEST_FROM, now = new Date(), force = false } = {}) {
+  await ensureDigestTables(pool);
+  const { rows } = await pool.query(
+    `SELECT p.user_id, COALESCE(p.email, u.email) AS email
+     FROM digest_preferences p JOIN users u ON u.id = p.user_id
+     WHERE p.enabled AND ($1 OR p.last_sent_at IS NULL OR p.last_sent_at <= $2)
+     ORDER BY p.user_id`,
+    [force, new Date(now.getTime() - MIN_DAYS_BETWEEN_DIGESTS * DAY_MS)]
+  );
+
+  const result = { sent: [], skipped: [], failed: [] };
+  for (const { user_id: userId, email } of rows) {
+    if (!email) {
+      result.skipped.push({ userId, reason: 'no email address' });
+      continue;
+    }
+    try {
+      const digest = await buildWeeklyDigest(pool, userId, { now });
+      if (digest.isEmpty) {
+        result.skipped.push({ userId, reason: 'nothing to report' });
+        continue;
+      }
+
+      const receipt = await transport.send({
+        id: `digest-${digest.weekEnding}-user-${userId}`,
+        to: email,
+        from,
+        subject: renderDigestSubject(digest),
+        text: renderDigestText(digest),
+        html: renderDigestHtml(digest)
+      });
+      await pool.query('UPDATE digest_preferences SET last_sent_at = $2 WHERE user_id = $1', [userId, now]);
+      result.sent.push({ userId, ...receipt });
+    } catch (error) {
+      console.error(`Error sending weekly digest to user ${userId}:`, error);
+      result.failed.push({ userId, error: error.message });
+    }
+  }
+  return result;
+}
+
+/**
+ * Check every hour and run the digests on the given weekday and hour (local
+ * time; Monday 8am by default). Returns the timer; the process can exit
+ * while it is pending.
+ */
+export function startDigestScheduler(getPool, { transport, from, day = 1, hour = 8, intervalMs = 60 * 60 * 1000 } = {}) {
+  const tick = async () => {
+    const now = new Date();
+    if (now.getDay() !== day || now.getHours() !== hour) return;
+    try {
+      const result = await runWeeklyDigests(await getPool(), { transport, from, now });
+      console.log(`Weekly digests: ${result.sent.length} sent, ${result.skipped.length} skipped, ${result.failed.length} failed`);
+    } catch (error) {
+      console.error('Error running weekly digests:', error);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}